@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Simulates booster openings and reports slot odds and expected value (see src/odds-simulator.js).
+ *
+ * Usage:
+ *   npm run simulate-odds -- <pack key...|--all> [options]
+ *
+ * Pack keys name a booster product ("blb-collector"); a bare set code means its Play Booster.
+ *
+ * Options:
+ *   --runs <n>            Packs to open per booster (default 10000)
+ *   --seed <seed>         Seed for reproducible reports (default "odds-simulator")
+ *   --cards <file>        Scryfall bulk-data JSON to use instead of the live API
+ *   --collation <mode>    "sheets" (default) collates from the booster's print sheets,
+ *                         "random" picks every card independently, "compare" runs both
+ *   --json                Print the raw reports as JSON
+ *   --min-ev-ratio <r>    Fail when expected value / price is below r
+ *   --max-ev-ratio <r>    Fail when expected value / price is above r
+ *   --min-mythic <p>      Fail when P(at least one mythic) is below p
+ *   --verbose             Keep the app's debug logging
+ *
+ * Exits with status 1 when any check fails (booster configuration problems found by
+ * src/booster-validator.js, slot odds that don't sum to 1, unfilled picks, or one of the
+ * thresholds above), so it can run in CI.
+ */
+
+import { register } from 'node:module';
+import { readFile, access } from 'node:fs/promises';
+
+register('./src-loader.mjs', import.meta.url);
+
+const { loadBoosters } = await import('../src/utils.js');
+const { setCardSource, createBulkDataCardSource } = await import('../src/card-source.js');
+const { simulateBooster, compareCollation, checkSlotOdds } = await import('../src/odds-simulator.js');
+const { migratePackType } = await import('../src/booster-products.js');
+
+const parseArgs = (argv) => {
+  const options = { codes: [], runs: 10000, seed: 'odds-simulator', collation: 'sheets', json: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--all': options.all = true; break;
+      case '--runs': options.runs = parseInt(next(), 10); break;
+      case '--seed': options.seed = next(); break;
+      case '--cards': options.cards = next(); break;
+      case '--collation': options.collation = next(); break;
+      case '--json': options.json = true; break;
+      case '--verbose': options.verbose = true; break;
+      case '--min-ev-ratio': options.minEvRatio = parseFloat(next()); break;
+      case '--max-ev-ratio': options.maxEvRatio = parseFloat(next()); break;
+      case '--min-mythic': options.minMythic = parseFloat(next()); break;
+      default: options.codes.push(migratePackType(arg));
+    }
+  }
+  return options;
+};
+
+const percent = (share) => `${(share * 100).toFixed(2)}%`;
+const money = (value) => `$${value.toFixed(2)}`;
+
+const formatComposition = ({ commonColors, missingColor, uncommonRate }) => (
+  `${commonColors.toFixed(2)} of 5 colors, ${percent(missingColor)} of packs missing a color; `
+  + `each of ${uncommonRate.cards} uncommons in ${percent(uncommonRate.min)} - ${percent(uncommonRate.max)} of packs`
+);
+
+const formatComparison = (name, { sheets, random }) => [
+  `${name} (${sheets.setCode}) collation - ${sheets.runs} packs, seed "${sheets.seed}"`,
+  `  Print sheets: ${formatComposition(sheets.composition)}`,
+  `  Random:       ${formatComposition(random.composition)}`,
+  `  Expected value: ${money(sheets.expectedValue)} with print sheets, ${money(random.expectedValue)} random`
+].join('\n');
+
+const formatReport = (name, report) => {
+  const lines = [
+    `${name} (${report.setCode}) - ${report.runs} packs, seed "${report.seed}"`,
+    `  Cards per pack: ${report.cardsPerPack.toFixed(2)}`,
+    `  Expected value: ${money(report.expectedValue)}${report.price ? ` vs price ${money(report.price)} (${report.evRatio.toFixed(2)}x)` : ''}`,
+    `  Value: min ${money(report.value.min)}, p10 ${money(report.value.p10)}, median ${money(report.value.median)}, p90 ${money(report.value.p90)}, max ${money(report.value.max)}`,
+    `  P(at least one mythic): ${percent(report.atLeastOneMythic)}`,
+    `  Commons: ${formatComposition(report.composition)}`,
+    '  Slots:'
+  ];
+  for (const slot of report.slots) {
+    const rarities = Object.entries(slot.rarity).map(([rarity, share]) => `${rarity} ${percent(share)}`).join(', ');
+    const chance = slot.chance !== null ? ` (in ${percent(slot.chance)} of packs)` : '';
+    lines.push(`    #${slot.slotIndex + 1} ${slot.pool || 'custom'} x${slot.cardsPerPack.toFixed(2)}${chance}: ${rarities}; foil ${percent(slot.foil)}${slot.unfilled ? `; ${slot.unfilled} unfilled` : ''}`);
+  }
+  lines.push('  Value distribution:');
+  const peak = Math.max(...report.histogram.map(bin => bin.count), 1);
+  for (const bin of report.histogram) {
+    const bar = '#'.repeat(Math.round((bin.count / peak) * 40));
+    lines.push(`    ${money(bin.from).padStart(9)} - ${money(bin.to).padEnd(9)} ${bar} ${bin.count}`);
+  }
+  return lines.join('\n');
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.verbose) console.log = () => {};
+
+  if (options.cards) {
+    const cards = JSON.parse(await readFile(options.cards, 'utf8'));
+    setCardSource(createBulkDataCardSource({ cards }));
+  }
+
+  const configProblems = [];
+  const packs = await loadBoosters({
+    loadDefinitions: async () => JSON.parse(await readFile(new URL('../public/assets/boosters.json', import.meta.url), 'utf8')),
+    imageExists: (image) => access(new URL(`../public/assets/${image}`, import.meta.url)).then(() => true, () => false),
+    onProblems: (problems) => configProblems.push(...problems)
+  });
+  const codes = options.all ? Object.keys(packs) : options.codes;
+  if (codes.length === 0 || !['sheets', 'random', 'compare'].includes(options.collation)) {
+    process.stderr.write('Usage: simulate-odds <pack key...|--all> [--runs n] [--seed s] [--cards file] [--collation sheets|random|compare] [--json]\n');
+    return 2;
+  }
+
+  // Invalid boosters are left out by loadBoosters, so their problems are failures on their own
+  const failures = configProblems.map(problem => `config: ${problem}`);
+  const reports = {};
+  for (const code of codes) {
+    const pack = packs[code];
+    if (!pack) {
+      failures.push(`${code}: unknown pack`);
+      continue;
+    }
+    failures.push(...checkSlotOdds(pack.slots).map(problem => `${code}: ${problem}`));
+
+    let report;
+    try {
+      if (options.collation === 'compare') {
+        // Thresholds below are checked against the booster as it opens, collated from its sheets
+        const comparison = await compareCollation(pack, { runs: options.runs, seed: options.seed });
+        reports[code] = comparison;
+        report = comparison.sheets;
+        if (!options.json) process.stdout.write(`${formatComparison(pack.name, comparison)}\n\n`);
+      } else {
+        report = await simulateBooster(pack, { runs: options.runs, seed: options.seed, collation: options.collation });
+        reports[code] = report;
+        if (!options.json) process.stdout.write(`${formatReport(pack.name, report)}\n\n`);
+      }
+    } catch (error) {
+      failures.push(`${code}: simulation failed: ${error.message}`);
+      continue;
+    }
+
+    if (report.unfilled > 0) failures.push(`${code}: ${report.unfilled} picks could not be filled from the card pool`);
+    if (options.minEvRatio !== undefined && report.evRatio !== null && report.evRatio < options.minEvRatio) {
+      failures.push(`${code}: EV ratio ${report.evRatio.toFixed(2)} below ${options.minEvRatio}`);
+    }
+    if (options.maxEvRatio !== undefined && report.evRatio !== null && report.evRatio > options.maxEvRatio) {
+      failures.push(`${code}: EV ratio ${report.evRatio.toFixed(2)} above ${options.maxEvRatio}`);
+    }
+    if (options.minMythic !== undefined && report.atLeastOneMythic < options.minMythic) {
+      failures.push(`${code}: P(at least one mythic) ${percent(report.atLeastOneMythic)} below ${percent(options.minMythic)}`);
+    }
+  }
+
+  if (options.json) process.stdout.write(`${JSON.stringify(reports, null, 2)}\n`);
+  for (const failure of failures) process.stderr.write(`FAIL ${failure}\n`);
+  return failures.length > 0 ? 1 : 0;
+};
+
+process.exitCode = await main();
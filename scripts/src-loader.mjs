@@ -0,0 +1,23 @@
+/**
+ * Node module hooks that let scripts import the app's src/ modules directly:
+ * src files are ES modules with extensionless relative imports (as webpack resolves them),
+ * while the package itself is CommonJS.
+ */
+
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && specifier.startsWith('.') && !specifier.endsWith('.js')) {
+      return nextResolve(`${specifier}.js`, context);
+    }
+    throw error;
+  }
+};
+
+export const load = async (url, context, nextLoad) => {
+  if (url.startsWith('file:') && url.includes('/src/') && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+};
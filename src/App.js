@@ -1,6 +1,6 @@
-import React, { useState, useCallback, useMemo, useEffect } from 'react';
+import React, { useState, useCallback, useMemo, useEffect, useRef } from 'react';
 import { AnimatePresence, motion } from 'framer-motion'; // Import AnimatePresence and motion
-import { ShoppingCart, DollarSign } from 'lucide-react'; // Import icons
+import { ShoppingCart, WifiOff } from 'lucide-react'; // Import icons
 import { Helmet, HelmetProvider } from 'react-helmet-async';
 import Header from './components/Header';
 import PackDisplay from './components/PackDisplay';
@@ -10,13 +10,58 @@ import Collection from './components/Collection';
 import BackgroundParticles from './components/BackgroundParticles';
 import Store from './components/Store';
 import PackOpeningScreen from './components/PackOpeningScreen'; // Import PackOpeningScreen
+import SaveFileDialog from './components/SaveFileDialog';
 import ErrorBoundary from './components/ErrorBoundary'; // Import ErrorBoundary
 import { NotificationProvider, useNotification } from './components/NotificationProvider';
 import { getRarityColor, getAuraColor, loadBoosters, logger, performanceMonitor } from './utils';
-import { fetchBoosterPack } from './mtg-api';
+import { fetchBoosterPack, replayBoosterPack, fetchCardMetadata } from './mtg-api';
+import { needsCardMetadata } from './card-metadata';
+import { hasCachedBoosterPools } from './card-pool';
+import { getSlotSetCodes } from './pack-generator';
+import { DEFAULT_CURRENCY, formatUsdIn } from './currencies';
+import { TRANSACTION_TYPES, createLedger, fromCents, recordTransaction } from './money-ledger';
+import { EMPTY_PRICE_HISTORY, applyCurrentPrices, fetchCurrentPrices, isPriceRefreshDue, recordPriceHistory } from './price-history';
 import { APP_CONFIG } from './config';
+import { loadSaveData, putCollectionCards, deleteCollectionCards, saveValue, diffCollections } from './storage';
+import { downloadSaveFile, parseSaveFile, planImport, SaveFileError } from './save-file';
+import { createRandom, createSeed, formatPackSeed, parsePackSeed } from './rng';
+import { DEFAULT_PRODUCT_TYPE, migratePackType } from './booster-products';
+import { DEFAULT_LANGUAGE, getPackLanguage } from './card-languages';
+import { getBackImage, getDisplayFaces } from './card-faces';
+import { getCardImage, preloadImages } from './card-images';
 import styles from './App.module.css';
 
+/**
+ * Lists the pack keys free packs are drawn from: every set's Play Booster, so free packs
+ * never hand out premium products (any pack when no set has one).
+ * @param {Object} packs - Loaded packs
+ * @returns {Array<string>} Pack keys
+ */
+const getFreePackTypes = (packs) => {
+  const playBoosters = Object.keys(packs).filter(key => packs[key].type === DEFAULT_PRODUCT_TYPE);
+  return playBoosters.length > 0 ? playBoosters : Object.keys(packs);
+};
+
+/**
+ * Chooses the pack type of a free pack, seeded by the time it was granted so the choice
+ * can be reproduced.
+ * @param {Array<string>} packTypes - Available pack keys
+ * @param {Date} grantedAt - When the free pack was granted
+ * @returns {string} Pack key
+ */
+const chooseFreePackType = (packTypes, grantedAt) => {
+  const random = createRandom(`free:${grantedAt.toISOString()}`);
+  return packTypes[Math.floor(random() * packTypes.length)];
+};
+
+/**
+ * Lists the images the pack view shows for a pack: each card's front and, for two-sided
+ * cards, its back (see CardDisplay).
+ * @param {Array<Object>} cards - Normalized cards
+ * @returns {Array<string>} Image URLs
+ */
+const getPackImageUrls = (cards) => cards.flatMap(card => [getCardImage(getDisplayFaces(card)[0], 'normal'), getBackImage(card)]);
+
 /**
  * Main application content component that uses notifications
  * @returns {JSX.Element} The rendered application content
@@ -33,72 +78,122 @@ const AppContent = () => {
   const [isLoading, setIsLoading] = useState(false); // New state for global loading overlay
   const [triggerPackExplosion, setTriggerPackExplosion] = useState(false); // New state to trigger explosion
   const [cards, setCards] = useState([]);
+  // Share code ("<packType>:<seed>") of the pack on screen, and whether it is a replay (not added to the collection)
+  const [openedPackSeed, setOpenedPackSeed] = useState(null);
+  const [isReplay, setIsReplay] = useState(false);
   const [flippedCards, setFlippedCards] = useState(new Set());
   const [animatingOutCards, setAnimatingOutCards] = useState(false);
   const allCardsFlipped = useMemo(() => {
     if (cards.length === 0) return false; // No cards, so not all are flipped
     return cards.every(card => flippedCards.has(card.id));
   }, [cards, flippedCards]);
-  const [collection, setCollection] = useState(() => {
-    const savedCollection = localStorage.getItem('mtgCollection');
-    if (savedCollection) {
-      try {
-        const parsedCollection = JSON.parse(savedCollection);
-        if (Array.isArray(parsedCollection)) {
-          return parsedCollection;
-        }
-      } catch (error) {
-        console.error('Error loading collection from localStorage:', error);
-      }
-    }
-    return [];
-  });
+  // Saved state is loaded asynchronously from storage (see storage.js); nothing is persisted until it has loaded
+  const [saveStatus, setSaveStatus] = useState('loading'); // 'loading', 'ready', 'failed'
+  const saveLoaded = saveStatus === 'ready';
+  const savedLastFreePackRef = useRef(null);
+  const persistedCollectionRef = useRef([]);
+  const [collection, setCollection] = useState([]);
   // Track pending opened cards to make adding robust against reloads
-  const [pendingOpenedIds, setPendingOpenedIds] = useState(() => {
-    const saved = localStorage.getItem('mtgPendingOpenedCards');
-    if (!saved) return [];
-    try {
-      const parsed = JSON.parse(saved);
-      return Array.isArray(parsed) ? parsed : [];
-    } catch {
-      return [];
-    }
-  });
+  const [pendingOpenedIds, setPendingOpenedIds] = useState([]);
   const [showCollection, setShowCollection] = useState(false);
-  const [money, setMoney] = useState(() => {
-    // Only set starting money for new users (no saved money in localStorage)
-    const savedMoney = localStorage.getItem('mtgMoney');
-    if (savedMoney) {
-      try {
-        return parseFloat(savedMoney);
-      } catch (error) {
-        console.error('Error parsing saved money:', error);
-        return 0;
-      }
-    }
-    return APP_CONFIG.startingMoney;
-  });
+  // Money in integer cents, with every transaction (see money-ledger.js)
+  const [ledger, setLedger] = useState(() => createLedger());
   const [lastFreePack, setLastFreePack] = useState(null);
   const [nextFreePackTime, setNextFreePackTime] = useState(null);
-  const [packInventory, setPackInventory] = useState(() => {
-    const savedInventory = localStorage.getItem('mtgPackInventory');
-    if (savedInventory) {
-      try {
-        return JSON.parse(savedInventory);
-      } catch (error) {
-        console.error('Error parsing saved pack inventory:', error);
-        return {};
-      }
-    }
-    return {};
-  });
+  const [packInventory, setPackInventory] = useState({});
+  // Opened packs, newest last (capped at APP_CONFIG.packHistoryLimit)
+  const [packHistory, setPackHistory] = useState([]);
+  // Language packs open in: { global, packs: { [packKey]: lang } } (see card-languages.js)
+  const [languagePreferences, setLanguagePreferences] = useState({ global: DEFAULT_LANGUAGE, packs: {} });
+  // Dated Scryfall prices of the collection's printings (see price-history.js)
+  const [priceHistory, setPriceHistory] = useState(EMPTY_PRICE_HISTORY);
+  const [isRefreshingPrices, setIsRefreshingPrices] = useState(false);
+  // Currency prices are shown and cards sold in (see currencies.js)
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  // Parsed save file waiting for the player to confirm the import
+  const [pendingImport, setPendingImport] = useState(null);
   const [showStore, setShowStore] = useState(false);
+  // Offline, packs open only from set pools cached on this device (see service-worker.js)
+  const [isOnline, setIsOnline] = useState(() => typeof navigator === 'undefined' || navigator.onLine !== false);
+  // Cancels the in-flight pack fetch (timeout, user cancel or unmount)
+  const openingAbortRef = useRef(null);
+  const openingCancelledRef = useRef(false);
+  // Cancels the running price refresh (unmount)
+  const priceRefreshRef = useRef(null);
+
+  useEffect(() => () => openingAbortRef.current?.abort(), []);
+  useEffect(() => () => priceRefreshRef.current?.abort(), []);
+
+  // Track connectivity and tell the player what still works offline
+  useEffect(() => {
+    const handleOffline = () => {
+      setIsOnline(false);
+      addNotification({
+        message: 'You are offline. Your collection is available, and packs open only from sets already loaded on this device.',
+        type: 'warning',
+        duration: 5000
+      });
+    };
+    const handleOnline = () => {
+      setIsOnline(true);
+      addNotification({ message: 'Back online.', type: 'info', duration: 3000 });
+    };
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('online', handleOnline);
+    return () => {
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, [addNotification]);
+
+  // Load saved game state on component mount (migrates legacy localStorage saves on first run)
+  useEffect(() => {
+    let active = true;
+    loadSaveData()
+      .then(saved => {
+        if (!active) return;
+        persistedCollectionRef.current = saved.collection;
+        savedLastFreePackRef.current = saved.lastFreePack;
+        setCollection(saved.collection);
+        // Only grant starting money to new users (no saved ledger)
+        setLedger(saved.ledger || createLedger());
+        setPackInventory(saved.packInventory);
+        setPendingOpenedIds(saved.pendingOpenedCards);
+        setPackHistory(saved.packHistory);
+        setLanguagePreferences(saved.languagePreferences);
+        setPriceHistory(saved.priceHistory);
+        setCurrency(saved.currency);
+        setSaveStatus('ready');
+      })
+      .catch(error => {
+        logger.error('Failed loading saved data', error);
+        if (!active) return;
+        // Play on without persisting, so a broken load never overwrites the existing save
+        setSaveStatus('failed');
+        addNotification({
+          message: 'Could not load your saved collection. Changes will not be saved this session.',
+          type: 'error',
+          duration: 8000
+        });
+      });
+    return () => { active = false; };
+  }, [addNotification]);
 
   // Load booster data on component mount
   useEffect(() => {
     const initializeBoosters = async () => {
       console.log('Attempting to load boosters...');
-      const loadedPacks = await loadBoosters();
+      const loadedPacks = await loadBoosters({
+        onProblems: (problems) => {
+          // Booster config mistakes are for whoever edits src/data/boosters.js, not for players
+          if (process.env.NODE_ENV === 'production') return;
+          addNotification({
+            message: `${problems.length} booster configuration problem(s), invalid boosters were left out of the Store. See the console for details.`,
+            type: 'warning',
+            duration: 10000
+          });
+        }
+      });
       console.log('Loaded packs:', loadedPacks);
       setPacks(loadedPacks);
 
@@ -108,30 +203,23 @@ const AppContent = () => {
         setCurrentPack(firstPackCode);
       }
 
-      // The pack inventory is now initialized directly from localStorage in useState.
-      // No need to load it again here.
+      // The pack inventory is loaded together with the rest of the saved state.
     };
     initializeBoosters();
-  }, []);
+  }, [addNotification]);
 
-  // Load data from localStorage on component mount
+  // Award free packs earned while away, once both boosters and saved state are loaded
   useEffect(() => {
-    // Only proceed if packs are loaded
-    if (Object.keys(packs).length === 0) {
-      console.log('Free pack useEffect: Packs not yet loaded, skipping free pack calculation.');
+    // Only proceed if packs and saved data are loaded
+    if (Object.keys(packs).length === 0 || saveStatus === 'loading') {
+      console.log('Free pack useEffect: Packs or saved data not yet loaded, skipping free pack calculation.');
       return;
     }
 
-    const savedMoney = localStorage.getItem('mtgMoney');
-    const savedLastFreePack = localStorage.getItem('mtgLastFreePack');
-
-    if (savedMoney) {
-      try {
-        setMoney(parseFloat(savedMoney));
-      } catch (error) {
-        console.error('Error loading money from localStorage:', error);
-      }
-    }
+    const savedLastFreePack = savedLastFreePackRef.current;
+    // Only run the catch-up once per load
+    savedLastFreePackRef.current = undefined;
+    if (savedLastFreePack === undefined) return;
 
     if (savedLastFreePack) {
       try {
@@ -141,16 +229,22 @@ const AppContent = () => {
         const packsEarned = Math.floor(diff / APP_CONFIG.freePackInterval);
 
         if (packsEarned > 0) {
-          const packTypes = Object.keys(packs);
-          // This warning should now ideally not be hit if the initial check works
-          if (packTypes.length === 0) {
-            console.warn('No pack types available for free pack calculation, packs object is empty (unexpected).');
-          }
+          const packTypes = getFreePackTypes(packs);
           let newPacks = {};
+          const grants = [];
           for (let i = 0; i < packsEarned; i++) {
-            const randomPackType = packTypes[Math.floor(Math.random() * packTypes.length)];
+            const grantedAt = new Date(lastFreePackTime.getTime() + (i + 1) * APP_CONFIG.freePackInterval);
+            const randomPackType = chooseFreePackType(packTypes, grantedAt);
             newPacks[randomPackType] = (newPacks[randomPackType] || 0) + 1;
+            grants.push({ packType: randomPackType, grantedAt });
           }
+          setLedger(prev => grants.reduce((current, { packType, grantedAt }) => recordTransaction(current, {
+            type: 'freePack',
+            amount: 0,
+            reference: packType,
+            description: packs[packType]?.name || TRANSACTION_TYPES.freePack,
+            at: grantedAt
+          }), prev));
           setPackInventory(prev => {
             const updatedInventory = { ...prev };
             for (const packType in newPacks) {
@@ -171,47 +265,214 @@ const AppContent = () => {
       setLastFreePack(new Date());
     }
 
-    // Reconcile any pending opened cards (in case of reload/crash before UI "Continue")
-    try {
-      const savedPending = localStorage.getItem('mtgPendingOpenedCards');
-      if (savedPending) {
-        const pendingIds = JSON.parse(savedPending);
-        if (Array.isArray(pendingIds) && pendingIds.length > 0) {
-          // If collection already contains them, clear marker; otherwise we trust the persisted collection effect
-          // and simply clear the marker to avoid re-adding duplicates.
-          setPendingOpenedIds(pendingIds);
-          // If needed, a more complex reconciliation could verify presence; our IDs are unique per instance.
-          localStorage.removeItem('mtgPendingOpenedCards');
-          setPendingOpenedIds([]);
-        }
+    // Pending opened cards are already part of the saved collection (cards are saved as soon as
+    // they are fetched); clear the marker left by a reload/crash before "Continue".
+    setPendingOpenedIds([]);
+  }, [packs, saveStatus]);
+
+  // Persist changes whenever they happen, once the saved state has loaded
+  const reportSaveError = useCallback((error) => {
+    logger.error('Failed saving game data', error);
+    addNotification({
+      message: 'Your progress could not be saved. Check your browser storage settings.',
+      type: 'error',
+      duration: 5000
+    });
+  }, [addNotification]);
+
+  useEffect(() => {
+    if (!saveLoaded) return;
+    // Only write the cards that were added, changed or removed since the last save
+    const { added, removedIds } = diffCollections(persistedCollectionRef.current, collection);
+    persistedCollectionRef.current = collection;
+    putCollectionCards(added).catch(reportSaveError);
+    deleteCollectionCards(removedIds).catch(reportSaveError);
+  }, [collection, saveLoaded, reportSaveError]);
+
+  // Backfill card metadata (mana cost, oracle text, legalities...) of cards saved before it
+  // existed, a batch of card ids at a time in the background; each batch is saved as it lands
+  useEffect(() => {
+    if (!saveLoaded) return;
+    const cardIds = [...new Set(persistedCollectionRef.current.filter(needsCardMetadata).map(card => card.originalId))];
+    if (cardIds.length === 0) return;
+    const abortController = new AbortController();
+
+    const backfill = async () => {
+      logger.log('Backfilling card metadata', { cards: cardIds.length });
+      for (let i = 0; i < cardIds.length; i += APP_CONFIG.metadataBackfillBatch) {
+        const metadata = await fetchCardMetadata(cardIds.slice(i, i + APP_CONFIG.metadataBackfillBatch), { signal: abortController.signal });
+        if (metadata.size === 0) continue;
+        setCollection(prev => prev.map(card => (
+          needsCardMetadata(card) && metadata.has(card.originalId) ? { ...card, ...metadata.get(card.originalId) } : card
+        )));
       }
-    } catch (err) {
-      console.warn('Error reconciling pending opened cards:', err);
+    };
+    backfill().catch(error => {
+      if (error.name !== 'AbortError') logger.error('Card metadata backfill failed', error);
+    });
+    return () => abortController.abort();
+  }, [saveLoaded]);
+
+  useEffect(() => {
+    if (!saveLoaded) return;
+    saveValue('pendingOpenedCards', pendingOpenedIds).catch(reportSaveError);
+  }, [pendingOpenedIds, saveLoaded, reportSaveError]);
+
+  useEffect(() => {
+    if (!saveLoaded) return;
+    saveValue('ledger', ledger).catch(reportSaveError);
+  }, [ledger, saveLoaded, reportSaveError]);
+
+  useEffect(() => {
+    if (lastFreePack && saveLoaded) {
+      saveValue('lastFreePack', lastFreePack.toISOString()).catch(reportSaveError);
     }
-  }, [packs, currentPack]);
+  }, [lastFreePack, saveLoaded, reportSaveError]);
+
+  useEffect(() => {
+    if (!saveLoaded) return;
+    saveValue('packInventory', packInventory).catch(reportSaveError);
+  }, [packInventory, saveLoaded, reportSaveError]);
 
-  // Save data to localStorage whenever it changes
   useEffect(() => {
-    localStorage.setItem('mtgCollection', JSON.stringify(collection));
-  }, [collection]);
+    if (!saveLoaded) return;
+    saveValue('packHistory', packHistory).catch(reportSaveError);
+  }, [packHistory, saveLoaded, reportSaveError]);
 
   useEffect(() => {
-    localStorage.setItem('mtgPendingOpenedCards', JSON.stringify(pendingOpenedIds));
-  }, [pendingOpenedIds]);
+    if (!saveLoaded) return;
+    saveValue('languagePreferences', languagePreferences).catch(reportSaveError);
+  }, [languagePreferences, saveLoaded, reportSaveError]);
 
   useEffect(() => {
-    localStorage.setItem('mtgMoney', money.toString());
-  }, [money]);
+    if (!saveLoaded) return;
+    saveValue('priceHistory', priceHistory).catch(reportSaveError);
+  }, [priceHistory, saveLoaded, reportSaveError]);
 
   useEffect(() => {
-    if (lastFreePack) {
-      localStorage.setItem('mtgLastFreePack', lastFreePack.toISOString());
+    if (!saveLoaded) return;
+    saveValue('currency', currency).catch(reportSaveError);
+  }, [currency, saveLoaded, reportSaveError]);
+
+  /**
+   * Refreshes the collection's prices from Scryfall and records them in the price history.
+   * @param {Object} [options]
+   * @param {boolean} [options.manual] - Started by the player: report the outcome
+   */
+  const refreshPrices = useCallback(async ({ manual = false } = {}) => {
+    const cards = persistedCollectionRef.current;
+    if (priceRefreshRef.current || cards.length === 0) return;
+    const abortController = new AbortController();
+    priceRefreshRef.current = abortController;
+    setIsRefreshingPrices(true);
+    try {
+      const { prices, failed } = await fetchCurrentPrices(cards, { signal: abortController.signal });
+      if (abortController.signal.aborted) return;
+      logger.log('Card prices refreshed', { printings: prices.size, failed });
+      // Nothing came back (e.g. offline): leave the refresh due
+      if (prices.size === 0) throw new Error('No prices could be fetched');
+      const refreshedAt = new Date().toISOString();
+      setCollection(prev => applyCurrentPrices(prev, prices, refreshedAt));
+      setPriceHistory(prev => recordPriceHistory(prev, prices, refreshedAt));
+      if (manual) {
+        addNotification({
+          message: `Prices updated for ${prices.size} printings${failed > 0 ? ` (${failed} could not be found)` : ''}.`,
+          type: 'success',
+          duration: 3000
+        });
+      }
+    } catch (error) {
+      logger.warn('Price refresh failed', { error: error.message });
+      if (manual) addNotification({ message: `Could not refresh prices: ${error.message}`, type: 'error', duration: 5000 });
+    } finally {
+      priceRefreshRef.current = null;
+      setIsRefreshingPrices(false);
     }
-  }, [lastFreePack]);
+  }, [addNotification]);
 
+  // Refresh prices in the background once they are a day old
   useEffect(() => {
-    localStorage.setItem('mtgPackInventory', JSON.stringify(packInventory));
-  }, [packInventory]);
+    if (!saveLoaded || !isOnline || !isPriceRefreshDue(priceHistory)) return;
+    refreshPrices();
+  }, [saveLoaded, isOnline, priceHistory, refreshPrices]);
+
+  /**
+   * Downloads the whole game state as a save file.
+   */
+  const exportSave = useCallback(() => {
+    try {
+      downloadSaveFile({
+        collection, ledger, packInventory, lastFreePack, history: packHistory, languagePreferences, currency, priceHistory
+      });
+      logger.log('Save file exported', { cards: collection.length });
+    } catch (error) {
+      logger.error('Failed exporting save file', error);
+      addNotification({ message: 'Could not export your save.', type: 'error', duration: 5000 });
+    }
+  }, [collection, ledger, packInventory, lastFreePack, packHistory, languagePreferences, currency, priceHistory, addNotification]);
+
+  /**
+   * Reads a save file and opens the import preview.
+   * @param {File} file - The selected save file
+   */
+  const importSave = useCallback(async (file) => {
+    if (!saveLoaded) {
+      addNotification({ message: 'Your current save has not loaded, so nothing can be imported into it.', type: 'error', duration: 5000 });
+      return;
+    }
+    try {
+      const parsed = parseSaveFile(await file.text(), { packs });
+      setPendingImport({ fileName: file.name, ...parsed });
+    } catch (error) {
+      logger.warn('Save file import rejected', { error: error.message });
+      addNotification({
+        message: error instanceof SaveFileError ? error.message : 'Could not read the save file.',
+        type: 'error',
+        duration: 5000
+      });
+    }
+  }, [saveLoaded, packs, addNotification]);
+
+  const importPlans = useMemo(() => {
+    if (!pendingImport) return null;
+    const current = {
+      collection, ledger, packInventory, lastFreePack, history: packHistory, languagePreferences, currency, priceHistory
+    };
+    return {
+      replace: planImport(current, pendingImport.data, 'replace'),
+      merge: planImport(current, pendingImport.data, 'merge')
+    };
+  }, [pendingImport, collection, ledger, packInventory, lastFreePack, packHistory, languagePreferences, currency, priceHistory]);
+
+  /**
+   * Applies the previewed import; the persist effects write the result.
+   * @param {'replace'|'merge'} mode - Import mode
+   */
+  const applyImport = useCallback((mode) => {
+    const { result, summary } = importPlans[mode];
+    setCollection(result.collection);
+    setLedger(result.ledger);
+    setPackInventory(result.packInventory);
+    setLastFreePack(result.lastFreePack);
+    setPackHistory(result.history.slice(-APP_CONFIG.packHistoryLimit));
+    setLanguagePreferences(result.languagePreferences);
+    setCurrency(result.currency);
+    setPriceHistory(result.priceHistory);
+    setPendingImport(null);
+    logger.log('Save file imported', { mode, ...summary });
+    addNotification({
+      message: `${mode === 'replace' ? 'Save imported.' : `Save merged: ${summary.cardsAdded} cards added.`}${summary.cardsDropped > 0 ? ` ${summary.cardsDropped} cards did not fit in your collection.` : ''}`,
+      type: 'success'
+    });
+  }, [importPlans, addNotification]);
+
+  /**
+   * Records a change of money in the ledger.
+   * @param {Object} transaction - { type, amount (cents), reference, description }, see recordTransaction
+   */
+  const addTransaction = useCallback((transaction) => {
+    setLedger(prev => recordTransaction(prev, transaction));
+  }, []);
 
   /**
    * Claims a free booster pack
@@ -219,12 +480,12 @@ const AppContent = () => {
   const claimFreePack = useCallback(() => {
     const now = new Date();
     // Add a random pack to inventory
-    const packTypes = Object.keys(packs); // Use dynamically loaded packs
+    const packTypes = getFreePackTypes(packs); // Use dynamically loaded packs
     if (packTypes.length === 0) {
       console.warn('No pack types available to claim a free pack.');
       return false;
     }
-    const randomPackType = packTypes[Math.floor(Math.random() * packTypes.length)];
+    const randomPackType = chooseFreePackType(packTypes, now);
 
     setPackInventory(prev => ({
       ...prev,
@@ -232,12 +493,19 @@ const AppContent = () => {
     }));
 
     setLastFreePack(now);
+    addTransaction({
+      type: 'freePack',
+      amount: 0,
+      reference: randomPackType,
+      description: packs[randomPackType]?.name || TRANSACTION_TYPES.freePack,
+      at: now
+    });
     addNotification({
       message: `A free ${packs[randomPackType]?.name || 'random'} pack has been added to your inventory!`,
       type: 'success'
     });
     return true;
-  }, [addNotification, packs]);
+  }, [addNotification, addTransaction, packs]);
 
   // Automatically claim free pack when time is up
   useEffect(() => {
@@ -290,6 +558,23 @@ const AppContent = () => {
       return;
     }
 
+    // Offline, only packs whose card pools are all cached can be opened; the pack stays in the inventory otherwise
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    const offlinePack = packs[packType];
+    if (offline && !(offlinePack && await hasCachedBoosterPools(
+      offlinePack.setCode,
+      getSlotSetCodes(offlinePack.slots || [], offlinePack.setCode),
+      getPackLanguage(packType, languagePreferences.global, languagePreferences.packs)
+    ))) {
+      logger.warn(`Pack not available offline`, { packType });
+      addNotification({
+        message: `You are offline and ${packs[packType]?.name || 'this set'} has not been loaded on this device yet. Reconnect to open this pack.`,
+        type: 'error',
+        duration: 5000
+      });
+      return;
+    }
+
     setIsLoading(true); // Start loading
     logger.log(`Pack opening UI state initialized`, { packType });
 
@@ -298,6 +583,10 @@ const AppContent = () => {
     setOpeningPackType(packType);
     setCards([]);
     setFlippedCards(new Set());
+    setIsReplay(false);
+
+    // Every pack gets its own seed so the pull can be replayed and shared
+    const seed = createSeed();
 
     // Use the pack from inventory
     setPackInventory(prev => ({
@@ -307,9 +596,17 @@ const AppContent = () => {
 
     logger.log(`Pack removed from inventory`, { packType, remaining: packInventory[packType] - 1 });
 
-    // Create a timeout promise to prevent hanging
+    const abortController = new AbortController();
+    openingAbortRef.current = abortController;
+    openingCancelledRef.current = false;
+
+    // Create a timeout promise to prevent hanging; timing out also cancels the outstanding requests
+    let timeoutId = null;
     const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Pack opening timed out after 30 seconds')), 30000);
+      timeoutId = setTimeout(() => {
+        reject(new Error('Pack opening timed out after 30 seconds'));
+        abortController.abort();
+      }, 30000);
     });
 
     try {
@@ -323,10 +620,11 @@ const AppContent = () => {
       // Fetch cards with timeout
       let fetchedCards;
       const fetchPromise = Array.isArray(packConfig.slots) && packConfig.slots.length > 0
-        ? fetchBoosterPack(packConfig.setCode, packConfig.slots)
-        : fetchBoosterPack(packConfig.setCode);
+        ? fetchBoosterPack(packConfig.setCode, packConfig.slots, { signal: abortController.signal, seed, printSheets: packConfig.printSheets, lang: getPackLanguage(packType, languagePreferences.global, languagePreferences.packs), offline })
+        : fetchBoosterPack(packConfig.setCode, null, { signal: abortController.signal, seed, offline });
 
       fetchedCards = await Promise.race([fetchPromise, timeoutPromise]);
+      clearTimeout(timeoutId);
 
       logger.log(`Cards fetched successfully`, { packType, cardCount: fetchedCards?.length });
 
@@ -342,6 +640,13 @@ const AppContent = () => {
 
       logger.log(`Valid cards processed`, { packType, validCardCount: validCards.length });
 
+      // Let the card images load (within a budget) so the cards don't pop in blank after the explosion
+      const preload = await preloadImages(getPackImageUrls(validCards), { signal: abortController.signal });
+      logger.log(`Pack images preloaded`, { packType, ...preload });
+      if (openingCancelledRef.current) {
+        throw new Error('Pack opening cancelled');
+      }
+
       // Add cards to collection
       const now = Date.now(); // Get current timestamp in Unix milliseconds
       const cardsWithTimestamp = validCards.map(card => ({
@@ -357,9 +662,17 @@ const AppContent = () => {
       });
 
       setPendingOpenedIds(cardsWithTimestamp.map(c => c.id)); // Use cardsWithTimestamp here
+      setPackHistory(prev => [...prev, {
+        packType,
+        setCode: packConfig.setCode,
+        seed,
+        openedAt: new Date(now).toISOString(),
+        cardIds: cardsWithTimestamp.map(c => c.id)
+      }].slice(-APP_CONFIG.packHistoryLimit));
+      setOpenedPackSeed(formatPackSeed(packType, seed));
       setCards(cardsWithTimestamp); // Use cardsWithTimestamp here
 
-      // Show cards immediately after fetching
+      // Show cards as soon as they are ready
       setAnimationPhase('cards');
       setTriggerPackExplosion(true); // Trigger explosion in PackOpeningScreen
 
@@ -367,18 +680,34 @@ const AppContent = () => {
       logger.log(`Pack opening completed successfully`, { packType, operationId });
 
     } catch (error) {
-      logger.error(`Pack opening failed`, { packType, operationId, error: error.message });
+      clearTimeout(timeoutId);
       performanceMonitor.end(`Pack opening for ${packType}`, startTime);
 
-      const errorMessage = error.message.includes('timed out')
-        ? 'Pack opening timed out. Please check your internet connection and try again.'
-        : `API Error: ${error.message}`;
+      if (openingCancelledRef.current) {
+        // User backed out before any card was added: give the pack back
+        logger.log(`Pack opening cancelled by user`, { packType, operationId });
+        setPackInventory(prev => ({
+          ...prev,
+          [packType]: (prev[packType] || 0) + 1
+        }));
+        addNotification({
+          message: 'Pack opening cancelled. The pack was returned to your inventory.',
+          type: 'info',
+          duration: 3000
+        });
+      } else {
+        logger.error(`Pack opening failed`, { packType, operationId, error: error.message });
 
-      addNotification({
-        message: errorMessage,
-        type: 'error',
-        duration: 5000
-      });
+        const errorMessage = error.message.includes('timed out')
+          ? 'Pack opening timed out. Please check your internet connection and try again.'
+          : `API Error: ${error.message}`;
+
+        addNotification({
+          message: errorMessage,
+          type: 'error',
+          duration: 5000
+        });
+      }
 
       // Reset animation states
       setIsOpening(false);
@@ -386,8 +715,81 @@ const AppContent = () => {
       setAnimationPhase('idle');
       setIsLoading(false); // End loading on error
       setTriggerPackExplosion(false); // Reset explosion trigger on error
+    } finally {
+      if (openingAbortRef.current === abortController) {
+        openingAbortRef.current = null;
+      }
+    }
+  }, [currentPack, packInventory, addNotification, packs, setAnimationPhase, languagePreferences]);
+
+  /**
+   * Regenerates a previously opened pack from its share code, using only the set's local card pool.
+   * The replayed cards are shown like a normal opening but are not added to the collection.
+   * @param {string} shareCode - "<packType>:<seed>"
+   * @returns {Promise<boolean>} Whether the replay started
+   */
+  const replayPack = useCallback(async (shareCode) => {
+    const code = parsePackSeed(shareCode);
+    // Codes shared before booster products existed name only the set ("blb:<seed>")
+    const parsed = code && { ...code, packType: migratePackType(code.packType) };
+    const packConfig = parsed && packs[parsed.packType];
+    if (!packConfig) {
+      addNotification({ message: 'That is not a valid pack seed.', type: 'error', duration: 3000 });
+      return false;
+    }
+
+    setIsLoading(true);
+    setIsOpening(true);
+    setOpeningPackType(parsed.packType);
+    setCards([]);
+    setFlippedCards(new Set());
+    setIsReplay(true);
+
+    try {
+      const { cards: replayed, missing } = await replayBoosterPack(
+        packConfig.setCode,
+        packConfig.slots,
+        parsed.seed,
+        packConfig.printSheets,
+        getPackLanguage(parsed.packType, languagePreferences.global, languagePreferences.packs)
+      );
+      if (replayed.length === 0) {
+        throw new Error('No cards could be generated from the local card pool');
+      }
+      if (missing > 0) {
+        addNotification({
+          message: `${missing} cards of this pack were not in the local card pool and could not be replayed.`,
+          type: 'warning',
+          duration: 5000
+        });
+      }
+      await preloadImages(getPackImageUrls(replayed));
+      setOpenedPackSeed(formatPackSeed(parsed.packType, parsed.seed));
+      setCards(replayed);
+      setAnimationPhase('cards');
+      setTriggerPackExplosion(true);
+      return true;
+    } catch (error) {
+      logger.error('Pack replay failed', { shareCode, error: error.message });
+      addNotification({ message: `Could not replay pack: ${error.message}`, type: 'error', duration: 5000 });
+      setIsOpening(false);
+      setOpeningPackType(null);
+      setAnimationPhase('idle');
+      setIsLoading(false);
+      setTriggerPackExplosion(false);
+      setIsReplay(false);
+      return false;
     }
-  }, [currentPack, packInventory, addNotification, packs, setAnimationPhase]);
+  }, [packs, addNotification, languagePreferences]);
+
+  /**
+   * Cancels a pack opening that is still waiting for cards.
+   */
+  const cancelPackOpening = useCallback(() => {
+    if (!openingAbortRef.current) return;
+    openingCancelledRef.current = true;
+    openingAbortRef.current.abort();
+  }, []);
 
   const handlePackOpeningAnimationComplete = useCallback(() => {
     setIsLoading(false); // End loading when PackOpeningScreen animation is complete
@@ -457,10 +859,11 @@ const AppContent = () => {
         setAnimationPhase('idle');
         setOpeningPackType(null);
         setIsLoading(false); // Ensure loading is false when returning to idle
+        setOpenedPackSeed(null);
+        setIsReplay(false);
 
         // Clear pending opened marker
       setPendingOpenedIds([]);
-      localStorage.removeItem('mtgPendingOpenedCards');
     }, 600);
   }
 }, [cards, setAnimationPhase, flipCard, flippedCards]);
@@ -490,16 +893,22 @@ const AppContent = () => {
           className={styles.storeButton}
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.9 }}
-          onClick={() => setShowStore(true)}
+          onClick={() => saveStatus !== 'loading' && setShowStore(true)}
         >
           <ShoppingCart size={24} />
           <div className={styles.moneyDisplay}>
-            <DollarSign size={16} />
-            <span>{money.toFixed(2)}</span>
+            <span>{formatUsdIn(fromCents(ledger.balance), currency)}</span>
           </div>
         </motion.button>
       </motion.div>
 
+      {!isOnline && (
+        <div className={styles.offlineBanner} role="status">
+          <WifiOff size={16} />
+          <span>Offline: packs open only from sets already loaded on this device</span>
+        </div>
+      )}
+
       <div className={styles.mainContent}>
         <AnimatePresence mode="wait">
           {/* Simplified animation sequence with clear phases */}
@@ -511,7 +920,7 @@ const AppContent = () => {
               animate={{ opacity: 1 }}
               exit={{ opacity: 0 }}
             >
-              {Object.keys(packs).length > 0 && currentPack !== null ? (
+              {Object.keys(packs).length > 0 && currentPack !== null && saveStatus !== 'loading' ? (
                 <PackDisplay
                   packs={packConfig}
                   currentPack={currentPack}
@@ -547,12 +956,15 @@ const AppContent = () => {
                 flipCard={flipCard}
                 getAuraColor={getAuraColor}
                 animatingOut={animatingOutCards}
+                currency={currency}
               />
               <ActionButtons
                 flippedCards={flippedCards}
                 cards={cards}
                 onAction={handleCardAction}
                 allCardsFlipped={allCardsFlipped}
+                packSeed={openedPackSeed}
+                isReplay={isReplay}
               />
             </motion.div>
           )}
@@ -562,8 +974,8 @@ const AppContent = () => {
       <AnimatePresence>
         {showStore && (
           <Store
-            money={money}
-            setMoney={setMoney}
+            ledger={ledger}
+            addTransaction={addTransaction}
             collection={collection}
             setCollection={setCollection}
             openPack={openPack}
@@ -577,6 +989,11 @@ const AppContent = () => {
             claimFreePack={claimFreePack}
             showCollection={showCollection}
             setShowCollection={setShowCollection}
+            onReplaySeed={replayPack}
+            languagePreferences={languagePreferences}
+            setLanguagePreferences={setLanguagePreferences}
+            currency={currency}
+            setCurrency={setCurrency}
           />
         )}
       </AnimatePresence>
@@ -587,17 +1004,36 @@ const AppContent = () => {
         setShowCollection={setShowCollection}
         getRarityColor={getRarityColor}
         setCollection={setCollection}
-        setMoney={setMoney}
+        addTransaction={addTransaction}
         packs={packConfig}
+        onExportSave={exportSave}
+        onImportSave={importSave}
+        priceHistory={priceHistory}
+        onRefreshPrices={() => refreshPrices({ manual: true })}
+        isRefreshingPrices={isRefreshingPrices}
+        currency={currency}
       />
 
+      <AnimatePresence>
+        {pendingImport && importPlans && (
+          <SaveFileDialog
+            fileName={pendingImport.fileName}
+            version={pendingImport.version}
+            warnings={pendingImport.warnings}
+            plans={importPlans}
+            onApply={applyImport}
+            onCancel={() => setPendingImport(null)}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Legal disclaimer at bottom of main screen */}
       <footer className={styles.legalDisclaimer}>
         <p><strong>MTG Booster Pack Simulator:</strong> This is a virtual simulation game. All currency used within this simulator is entirely fictional and holds no real-world monetary value. All products presented are simulated and do not represent or replicate real-world goods. All referenced items, including card designs, names, and intellectual property, are the copyrighted property of Wizards of the Coast and Hasbro. This simulation is a fan-created experience and is not affiliated with, endorsed by, or associated with Wizards of the Coast or Hasbro.</p>
       </footer>
       <AnimatePresence>
         {isLoading && (
-          <PackOpeningScreen packConfig={packs[openingPackType]} onAnimationComplete={handlePackOpeningAnimationComplete} triggerExplosion={triggerPackExplosion} />
+          <PackOpeningScreen packConfig={packs[openingPackType]} onAnimationComplete={handlePackOpeningAnimationComplete} triggerExplosion={triggerPackExplosion} onCancel={isReplay ? undefined : cancelPackOpening} />
         )}
       </AnimatePresence>
     </div>
@@ -1,8 +1,12 @@
 /**
- * Test suite intentionally removed.
- * The previous default CRA test asserted for a "learn react" link that does not exist,
- * causing false negatives and masking real regressions.
- *
- * If tests are reintroduced later, prefer a stable smoke test on App or key components,
- * mocking network calls and browser-only globals as needed.
+ * Smoke test: the app mounts and unmounts without crashing (no boosters or card data load
+ * here, as there is no network).
  */
+
+import { render } from '@testing-library/react';
+import App from './App';
+
+it('renders without crashing', () => {
+  const { unmount } = render(<App />);
+  unmount();
+});
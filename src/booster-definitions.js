@@ -0,0 +1,95 @@
+/**
+ * Runtime booster definitions.
+ *
+ * public/assets/boosters.json lists boosters in the same shape as src/data/boosters.js, but
+ * with declarative slots only (no functions), so sets can be added or tuned without a code
+ * change. Entries are merged over the built-in BOOSTERS by code and product type (`type`,
+ * Play Booster when left out, see booster-products.js):
+ * - fields given in the JSON replace the built-in ones (slots included);
+ * - "slots" may name a template from SLOT_TEMPLATES instead of listing slots;
+ * - "enabled": false leaves the booster out of the Store;
+ * - products the built-in list doesn't have are added.
+ * loadBoosters() (utils.js) validates the merged list, so mistakes in the JSON are reported there.
+ */
+
+import { SLOT_TEMPLATES } from './data/boosters';
+import { getPackKey, getProductType } from './booster-products';
+
+export const BOOSTER_DEFINITIONS_PATH = 'assets/boosters.json';
+
+/**
+ * Fetches the runtime booster definitions.
+ * A missing or unreadable file is not an error: the built-in boosters are used as they are.
+ * @returns {Promise<Array<Object>>} Booster definitions from boosters.json
+ */
+export const fetchBoosterDefinitions = async () => {
+  if (typeof fetch !== 'function' || typeof window === 'undefined') return [];
+  try {
+    const response = await fetch(`${process.env.PUBLIC_URL}/${BOOSTER_DEFINITIONS_PATH}`, { cache: 'no-cache' });
+    if (!response.ok) return [];
+    const definitions = await response.json();
+    if (!Array.isArray(definitions)) {
+      console.warn(`${BOOSTER_DEFINITIONS_PATH} should contain an array of boosters, ignoring it`);
+      return [];
+    }
+    return definitions;
+  } catch (e) {
+    console.warn(`Could not load ${BOOSTER_DEFINITIONS_PATH}:`, e);
+    return [];
+  }
+};
+
+/**
+ * Resolves a slots value from boosters.json: a template name becomes a copy of that template.
+ * Anything else is returned as is for the validator to check.
+ * @param {*} slots - Slots array or template name
+ * @returns {*} Slots
+ */
+const resolveSlots = (slots) => {
+  if (typeof slots === 'string' && SLOT_TEMPLATES[slots]) {
+    return SLOT_TEMPLATES[slots].map(slot => ({ ...slot }));
+  }
+  return slots;
+};
+
+/**
+ * Returns the merge key of a booster: its pack key, or null when it has no code.
+ * @param {Object} booster - Booster definition
+ * @returns {string|null} Merge key
+ */
+const getMergeKey = (booster) => (
+  typeof booster?.code === 'string' ? getPackKey(booster.code, getProductType(booster)) : null
+);
+
+/**
+ * Merges runtime booster definitions over the built-in ones by code (case-insensitive) and product type.
+ * Built-in boosters keep their order; new products are appended in file order.
+ * @param {Array<Object>} builtIn - Built-in boosters (BOOSTERS)
+ * @param {Array<Object>} definitions - Definitions from boosters.json
+ * @returns {Array<Object>} Merged booster list
+ */
+export const mergeBoosterDefinitions = (builtIn, definitions) => {
+  const merged = builtIn.map(booster => ({ ...booster }));
+  const indexByKey = new Map(merged.map((booster, index) => [getMergeKey(booster), index]));
+  const disabled = new Set();
+
+  for (const definition of definitions) {
+    // Entries without a code can't be merged; keep them so the validator reports them
+    const key = getMergeKey(definition);
+    const { enabled, ...fields } = definition || {};
+    if (key && enabled === false) {
+      disabled.add(key);
+      continue;
+    }
+    if (fields.slots !== undefined) fields.slots = resolveSlots(fields.slots);
+
+    if (key && indexByKey.has(key)) {
+      const index = indexByKey.get(key);
+      merged[index] = { ...merged[index], ...fields };
+    } else {
+      if (key) indexByKey.set(key, merged.length);
+      merged.push(fields);
+    }
+  }
+  return merged.filter(booster => !disabled.has(getMergeKey(booster)));
+};
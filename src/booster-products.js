@@ -0,0 +1,86 @@
+/**
+ * Booster products.
+ *
+ * A set can be sold as several products (Play, Draft, Set and Collector boosters), each a
+ * separate entry in src/data/boosters.js with its own `type`, price and slots. Loaded packs,
+ * the pack inventory, pack history and share codes key each product as "<code>-<type>"
+ * (e.g. "blb-collector"). Saves from before products existed keyed packs by set code alone;
+ * those keys are read as the set's Play Booster.
+ */
+
+export const PRODUCT_TYPES = ['play', 'draft', 'set', 'collector'];
+
+export const PRODUCT_TYPE_LABELS = {
+  play: 'Play Booster',
+  draft: 'Draft Booster',
+  set: 'Set Booster',
+  collector: 'Collector Booster'
+};
+
+// Type of boosters that don't name one, and of legacy set-code-only pack keys
+export const DEFAULT_PRODUCT_TYPE = 'play';
+
+/**
+ * Returns a booster's product type.
+ * @param {Object} booster - Booster definition
+ * @returns {string} Product type
+ */
+export const getProductType = (booster) => booster?.type || DEFAULT_PRODUCT_TYPE;
+
+/**
+ * Builds the pack key of a product.
+ * @param {string} code - Set code
+ * @param {string} [type] - Product type
+ * @returns {string} Pack key, e.g. "blb-collector"
+ */
+export const getPackKey = (code, type = DEFAULT_PRODUCT_TYPE) => `${String(code).toLowerCase()}-${type}`;
+
+/**
+ * Upgrades a pack key saved before products existed ("blb") to its product key ("blb-play").
+ * Keys that already name a product are returned unchanged.
+ * @param {string} packType - Pack key
+ * @returns {string} Product pack key
+ */
+export const migratePackType = (packType) => {
+  const key = String(packType).toLowerCase();
+  return key.includes('-') ? key : getPackKey(key);
+};
+
+/**
+ * Upgrades a pack inventory keyed by set code to product keys, adding up counts that land
+ * on the same key.
+ * @param {Object} inventory - Mapping pack key -> count
+ * @returns {Object} Inventory keyed by product
+ */
+export const migratePackInventory = (inventory) => {
+  const migrated = {};
+  for (const [packType, count] of Object.entries(inventory || {})) {
+    const key = migratePackType(packType);
+    migrated[key] = (migrated[key] || 0) + count;
+  }
+  return migrated;
+};
+
+/**
+ * Upgrades the pack keys of pack history entries.
+ * @param {Array<Object>} history - Pack history entries ({ packType, ... })
+ * @returns {Array<Object>} History keyed by product
+ */
+export const migratePackHistory = (history) => history.map(entry => (
+  entry && typeof entry.packType === 'string' ? { ...entry, packType: migratePackType(entry.packType) } : entry
+));
+
+/**
+ * Groups loaded packs by set, keeping load order, for the Store and the set filters.
+ * @param {Object} packs - Loaded packs keyed by pack key (see loadBoosters in utils.js)
+ * @returns {Array<{ setCode: string, setName: string, products: Array<{ key: string, pack: Object }> }>} Sets
+ */
+export const groupPacksBySet = (packs) => {
+  const sets = new Map();
+  for (const [key, pack] of Object.entries(packs || {})) {
+    const setCode = String(pack.setCode).toLowerCase();
+    if (!sets.has(setCode)) sets.set(setCode, { setCode, setName: pack.setName || pack.name, products: [] });
+    sets.get(setCode).products.push({ key, pack });
+  }
+  return [...sets.values()];
+};
@@ -0,0 +1,326 @@
+/**
+ * Booster configuration validator.
+ *
+ * Checks booster definitions against the slot schema documented in src/data/boosters.js,
+ * so a typo'd pool, odds that don't sum to 1 or a resolver returning an unknown rarity is
+ * reported when boosters load instead of surfacing mid-opening as a silently short pack.
+ * loadBoosters (utils.js) leaves invalid boosters out of the Store and logs every problem.
+ */
+
+import { createRandom } from './rng';
+import { FINISHES, TREATMENTS, TREATMENT_FIELDS } from './card-treatments';
+import { DEFAULT_PRODUCT_TYPE, PRODUCT_TYPES, getPackKey, getProductType } from './booster-products';
+
+export const SLOT_POOLS = ['common', 'uncommon', 'rare', 'mythic', 'land', 'wildcard', 'bonus'];
+export const SLOT_RARITIES = ['common', 'uncommon', 'rare', 'mythic'];
+
+// Allowed drift of an odds total from 1, for weights written as fractions like 6/7
+export const ODDS_TOLERANCE = 0.001;
+
+// How many times count and resolver functions are called to check what they return
+const RESOLVER_SAMPLES = 200;
+
+// Scryfall set codes, including bonus sheet sets like "brr" or "plst"
+const SET_CODE_PATTERN = /^[a-z0-9]{2,6}$/i;
+
+/**
+ * Checks a slot type constraint: a type line word or a non-empty list of them.
+ * @param {*} type - Slot type
+ * @returns {boolean} Whether the constraint is valid
+ */
+const isTypeWords = (type) => {
+  const words = Array.isArray(type) ? type : [type];
+  return words.length > 0 && words.every(word => typeof word === 'string' && word.trim() !== '');
+};
+
+// Image checks already made this session, by image path
+const imageChecks = new Map();
+
+/**
+ * Checks that an image exists under public/assets/ by requesting it, once per image.
+ * The dev server answers unknown paths with index.html, so the content type is checked too.
+ * Only development builds request anything: production ships the art it lists, and players
+ * shouldn't pay a request per booster on every load. Outside a browser there is nothing to
+ * request either (scripts/simulate-odds.mjs checks the files itself), so every image is assumed to exist.
+ * @param {string} image - Path under public/assets/
+ * @returns {Promise<boolean>} Whether the image exists
+ */
+export const fetchImageExists = (image) => {
+  if (process.env.NODE_ENV !== 'development' || typeof window === 'undefined' || typeof fetch !== 'function') {
+    return Promise.resolve(true);
+  }
+  if (!imageChecks.has(image)) {
+    imageChecks.set(image, fetch(`${process.env.PUBLIC_URL}/assets/${image}`, { method: 'HEAD' })
+      .then((response) => {
+        const contentType = response.headers.get('content-type') || '';
+        return response.ok && !contentType.includes('text/html');
+      })
+      .catch((e) => {
+        // Offline or blocked: don't exclude a booster over a check that could not run, and retry next time
+        console.warn('Booster image check failed:', e);
+        imageChecks.delete(image);
+        return true;
+      }));
+  }
+  return imageChecks.get(image);
+};
+
+/**
+ * Checks a slot's odds map.
+ * @param {*} odds - Slot odds
+ * @returns {Array<string>} Problems found
+ */
+const checkOdds = (odds) => {
+  if (!odds || typeof odds !== 'object' || Array.isArray(odds)) {
+    return ['odds must be an object mapping rarity to weight'];
+  }
+  const problems = [];
+  let total = 0;
+  for (const [rarity, weight] of Object.entries(odds)) {
+    if (!SLOT_RARITIES.includes(rarity)) problems.push(`odds use unknown rarity "${rarity}"`);
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      problems.push(`odds weight for "${rarity}" must be a non-negative number`);
+    } else {
+      total += weight;
+    }
+  }
+  if (Math.abs(total - 1) > ODDS_TOLERANCE) problems.push(`odds sum to ${total.toFixed(4)}, expected 1`);
+  return problems;
+};
+
+/**
+ * Checks a slot's (or resolver result's) treatment: a name from TREATMENTS or an object of treatment fields.
+ * @param {*} treatment - Treatment
+ * @returns {string|null} Problem, or null when valid
+ */
+const checkTreatment = (treatment) => {
+  if (typeof treatment === 'string') {
+    return TREATMENTS[treatment] ? null : `unknown treatment "${treatment}" (expected one of ${Object.keys(TREATMENTS).join(', ')} or an object)`;
+  }
+  if (!treatment || typeof treatment !== 'object' || Array.isArray(treatment)) return 'treatment must be a name or an object';
+  const unknown = Object.keys(treatment).filter(field => !TREATMENT_FIELDS.includes(field));
+  if (unknown.length > 0) return `treatment has unknown field(s) ${unknown.join(', ')} (expected ${TREATMENT_FIELDS.join(', ')})`;
+  return null;
+};
+
+/**
+ * Checks a booster's print sheet definitions (see print-sheets.js).
+ * @param {*} printSheets - Mapping sheet name -> definition
+ * @returns {Array<string>} Problems found
+ */
+const checkPrintSheets = (printSheets) => {
+  if (!printSheets || typeof printSheets !== 'object' || Array.isArray(printSheets)) {
+    return ['printSheets must be an object of sheet definitions'];
+  }
+  const problems = [];
+  for (const [name, sheet] of Object.entries(printSheets)) {
+    if (!sheet || typeof sheet !== 'object') {
+      problems.push(`print sheet "${name}" must be an object`);
+    } else if (sheet.cards !== undefined) {
+      if (!Array.isArray(sheet.cards) || sheet.cards.length === 0 || !sheet.cards.every(card => typeof card === 'string' && card.trim() !== '')) {
+        problems.push(`print sheet "${name}" cards must be a non-empty list of collector numbers or card names`);
+      }
+    } else if (!SLOT_RARITIES.includes(sheet.rarity)) {
+      problems.push(`print sheet "${name}" needs cards or a rarity (one of ${SLOT_RARITIES.join(', ')})`);
+    } else if (sheet.excludeType !== undefined && (typeof sheet.excludeType !== 'string' || sheet.excludeType.trim() === '')) {
+      problems.push(`print sheet "${name}" excludeType must be a type line word`);
+    }
+  }
+  return problems;
+};
+
+/**
+ * Calls a slot's count and resolver functions with a seeded context and checks what they return.
+ * @param {Object} slot - Slot definition
+ * @param {string} seed - Seed for the sampling context
+ * @returns {Array<string>} Problems found (each distinct problem once)
+ */
+const sampleSlotFunctions = (slot, seed) => {
+  const problems = new Set();
+  const ctx = { random: createRandom(seed), seed };
+  for (let i = 0; i < RESOLVER_SAMPLES; i++) {
+    if (typeof slot.count === 'function') {
+      try {
+        const count = slot.count(ctx);
+        if (typeof count !== 'number' || !Number.isFinite(count) || count < 0) {
+          problems.add(`count function returned ${JSON.stringify(count)}, expected a non-negative number`);
+        }
+      } catch (e) {
+        problems.add(`count function threw: ${e.message}`);
+      }
+    }
+
+    if (typeof slot.resolver !== 'function') continue;
+    let resolved;
+    try {
+      resolved = slot.resolver(ctx);
+    } catch (e) {
+      problems.add(`resolver threw: ${e.message}`);
+      continue;
+    }
+    if (!resolved || typeof resolved !== 'object') {
+      problems.add(`resolver returned ${JSON.stringify(resolved)}, expected { rarity, foil?, pool? }`);
+      continue;
+    }
+    // A resolver may leave rarity out when the slot's odds or pool decide it
+    if (resolved.rarity !== undefined && !SLOT_RARITIES.includes(resolved.rarity)) {
+      problems.add(`resolver returned unknown rarity ${JSON.stringify(resolved.rarity)}`);
+    }
+    if (resolved.rarity === undefined && !slot.odds && !SLOT_RARITIES.includes(slot.pool) && (resolved.pool || slot.pool) !== 'land') {
+      problems.add('resolver returned no rarity and the slot has no odds to fall back on');
+    }
+    if (resolved.foil !== undefined && typeof resolved.foil !== 'boolean') {
+      problems.add(`resolver returned foil ${JSON.stringify(resolved.foil)}, expected a boolean`);
+    }
+    if (resolved.pool !== undefined && !SLOT_POOLS.includes(resolved.pool)) {
+      problems.add(`resolver returned unknown pool ${JSON.stringify(resolved.pool)}`);
+    }
+    if (resolved.finish !== undefined && !FINISHES.includes(resolved.finish)) {
+      problems.add(`resolver returned unknown finish ${JSON.stringify(resolved.finish)}`);
+    }
+    if (resolved.treatment !== undefined && resolved.treatment !== null) {
+      const problem = checkTreatment(resolved.treatment);
+      if (problem) problems.add(`resolver returned an invalid treatment: ${problem}`);
+    }
+  }
+  return [...problems];
+};
+
+/**
+ * Validates one slot definition.
+ * @param {Object} slot - Slot definition
+ * @param {string} seed - Seed for sampling count and resolver functions
+ * @returns {Array<string>} Problems found
+ */
+export const validateSlot = (slot, seed = 'booster-validator') => {
+  if (!slot || typeof slot !== 'object') return ['must be an object'];
+  const problems = [];
+
+  if (slot.count === undefined) {
+    problems.push('count is required');
+  } else if (typeof slot.count !== 'function' && (typeof slot.count !== 'number' || !Number.isFinite(slot.count) || slot.count < 0)) {
+    problems.push('count must be a non-negative number or a function');
+  }
+
+  if (slot.chance !== undefined && (typeof slot.chance !== 'number' || !(slot.chance >= 0 && slot.chance <= 1))) {
+    problems.push('chance must be a number between 0 and 1');
+  }
+
+  if (slot.pool !== undefined && !SLOT_POOLS.includes(slot.pool)) {
+    problems.push(`unknown pool "${slot.pool}" (expected one of ${SLOT_POOLS.join(', ')})`);
+  }
+  if (slot.pool === undefined && typeof slot.resolver !== 'function') {
+    problems.push('needs a pool or a resolver');
+  }
+  if (slot.pool === 'wildcard' && !slot.odds && typeof slot.resolver !== 'function') {
+    problems.push('a wildcard pool needs odds or a resolver to pick the rarity');
+  }
+
+  if (slot.odds !== undefined) problems.push(...checkOdds(slot.odds));
+  if (slot.foil !== undefined && typeof slot.foil !== 'boolean') problems.push('foil must be a boolean');
+  if (slot.foilChance !== undefined) {
+    if (typeof slot.foilChance !== 'number' || !(slot.foilChance >= 0 && slot.foilChance <= 1)) {
+      problems.push('foilChance must be a number between 0 and 1');
+    }
+    if (slot.foil !== undefined) problems.push('set either foil or foilChance, not both');
+  }
+  if (slot.finish !== undefined) {
+    if (!FINISHES.includes(slot.finish)) problems.push(`unknown finish "${slot.finish}" (expected one of ${FINISHES.join(', ')})`);
+    if (slot.foil !== undefined || slot.foilChance !== undefined) problems.push('set either finish or foil/foilChance, not both');
+  }
+  if (slot.treatment !== undefined) {
+    const problem = checkTreatment(slot.treatment);
+    if (problem) problems.push(problem);
+  }
+  if (slot.setCode !== undefined && (typeof slot.setCode !== 'string' || !SET_CODE_PATTERN.test(slot.setCode))) {
+    problems.push('setCode must be a set code, e.g. "brr"');
+  }
+  if (slot.type !== undefined && !isTypeWords(slot.type)) problems.push('type must be a type line word or a list of them');
+  if (slot.excludeType !== undefined && (typeof slot.excludeType !== 'string' || slot.excludeType.trim() === '')) {
+    problems.push('excludeType must be a type line word');
+  }
+  if (slot.allowDuplicates !== undefined && typeof slot.allowDuplicates !== 'boolean') problems.push('allowDuplicates must be a boolean');
+  if (slot.printSheet !== undefined && (typeof slot.printSheet !== 'string' || slot.printSheet.trim() === '')) {
+    problems.push('printSheet must be a sheet name');
+  }
+  if (slot.resolver !== undefined && typeof slot.resolver !== 'function') problems.push('resolver must be a function');
+
+  problems.push(...sampleSlotFunctions(slot, seed));
+  return problems;
+};
+
+/**
+ * Validates one booster definition (as written in src/data/boosters.js).
+ * @param {Object} booster - Booster definition
+ * @param {Object} [options]
+ * @param {Function} [options.imageExists] - Async check for an image path under public/assets/
+ * @returns {Promise<Array<string>>} Problems found, each prefixed with the slot number when slot-specific
+ */
+export const validateBooster = async (booster, { imageExists = fetchImageExists } = {}) => {
+  if (!booster || typeof booster !== 'object') return ['must be an object'];
+  const problems = [];
+
+  for (const field of ['name', 'code', 'image']) {
+    if (typeof booster[field] !== 'string' || booster[field].trim() === '') problems.push(`${field} is required`);
+  }
+  if (booster.type !== undefined && !PRODUCT_TYPES.includes(booster.type)) {
+    problems.push(`unknown product type "${booster.type}" (expected one of ${PRODUCT_TYPES.join(', ')})`);
+  }
+  if (typeof booster.price !== 'number' || !Number.isFinite(booster.price) || booster.price < 0) {
+    problems.push('price must be a non-negative number');
+  }
+
+  if (typeof booster.slots === 'string') {
+    problems.push(`unknown slot template "${booster.slots}"`);
+  } else if (!Array.isArray(booster.slots) || booster.slots.length === 0) {
+    problems.push('slots must be a non-empty array');
+  } else {
+    booster.slots.forEach((slot, index) => {
+      const seed = `booster-validator:${booster.code}:${getProductType(booster)}:${index}`;
+      for (const problem of validateSlot(slot, seed)) problems.push(`slot ${index + 1}: ${problem}`);
+      if (typeof slot?.printSheet === 'string' && !booster.printSheets?.[slot.printSheet]) {
+        problems.push(`slot ${index + 1}: print sheet "${slot.printSheet}" is not defined in printSheets`);
+      }
+    });
+  }
+  if (booster.printSheets !== undefined) problems.push(...checkPrintSheets(booster.printSheets));
+
+  if (typeof booster.image === 'string' && booster.image && !(await imageExists(booster.image))) {
+    problems.push(`image "${booster.image}" not found under public/assets/`);
+  }
+  return problems;
+};
+
+/**
+ * Validates a list of booster definitions, including duplicate products across the list.
+ * Later boosters reusing a code and product type are reported and treated as invalid; the first one is kept.
+ * @param {Array<Object>} boosters - Booster definitions
+ * @param {Object} [options] - Same as validateBooster
+ * @returns {Promise<{ valid: Array<Object>, problems: Array<string> }>} Valid boosters and
+ *   every problem found, each prefixed with the booster name
+ */
+export const validateBoosters = async (boosters, options = {}) => {
+  const valid = [];
+  const problems = [];
+  const seenKeys = new Set();
+
+  // Boosters are checked in parallel (image checks are requests), then reported in list order
+  const checked = await Promise.all(boosters.map(booster => validateBooster(booster, options)));
+  for (const [index, booster] of boosters.entries()) {
+    const type = getProductType(booster);
+    const name = booster?.name || booster?.code || `Booster #${index + 1}`;
+    const label = type === DEFAULT_PRODUCT_TYPE ? name : `${name} (${type})`;
+    const boosterProblems = checked[index];
+
+    const key = typeof booster?.code === 'string' ? getPackKey(booster.code, type) : null;
+    if (key && seenKeys.has(key)) boosterProblems.push(`duplicate product "${booster.code}" ${type}`);
+    if (key) seenKeys.add(key);
+
+    if (boosterProblems.length === 0) {
+      valid.push(booster);
+    } else {
+      problems.push(...boosterProblems.map(problem => `${label}: ${problem}`));
+    }
+  }
+  return { valid, problems };
+};
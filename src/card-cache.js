@@ -0,0 +1,258 @@
+/**
+ * Persistent card data cache.
+ *
+ * Stores set listings, card records and rulings in IndexedDB so reloads don't refetch
+ * whole sets. Each entry has a kind-specific TTL, the cache keeps to a size budget by
+ * evicting least-recently-used entries, and bumping CACHE_SCHEMA_VERSION invalidates
+ * everything written by older code. Falls back to an in-memory store when IndexedDB
+ * is unavailable.
+ *
+ * Entries are split in two object stores: `meta` (small: key, kind, size, timestamps)
+ * and `data` (the cached value), so stats and eviction never load cached payloads.
+ */
+
+import { APP_CONFIG } from './config';
+import { openDatabase, requestToPromise, runTransaction } from './idb';
+import { logger } from './utils';
+
+const DB_NAME = 'mtg-card-cache';
+const DB_VERSION = 1;
+
+// Bump when the shape of cached values changes; older entries are treated as misses
+export const CACHE_SCHEMA_VERSION = 1;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Default time-to-live per entry kind
+export const CACHE_TTLS = {
+  set: 7 * DAY,       // full set listings (card pools)
+  card: 3 * DAY,      // single card records
+  rulings: 30 * DAY,  // card rulings rarely change
+  search: HOUR        // ad-hoc search result pages
+};
+
+/**
+ * IndexedDB backend.
+ * @returns {Promise<Object>} Backend
+ */
+const createIdbBackend = async () => {
+  const db = await openDatabase(DB_NAME, DB_VERSION, (database) => {
+    // Cached data can always be refetched, so schema upgrades simply start over
+    for (const name of Array.from(database.objectStoreNames)) database.deleteObjectStore(name);
+    database.createObjectStore('meta', { keyPath: 'key' });
+    database.createObjectStore('data', { keyPath: 'key' });
+  });
+
+  return {
+    name: 'indexeddb',
+    getMeta: (key) => runTransaction(db, 'meta', 'readonly', ({ meta }) => requestToPromise(meta.get(key))),
+    getAllMeta: () => runTransaction(db, 'meta', 'readonly', ({ meta }) => requestToPromise(meta.getAll())),
+    getData: async (key) => (await runTransaction(db, 'data', 'readonly', ({ data }) => requestToPromise(data.get(key))))?.value,
+    putMeta: (entry) => runTransaction(db, 'meta', 'readwrite', ({ meta }) => { meta.put(entry); }),
+    put: (entry, value) => runTransaction(db, ['meta', 'data'], 'readwrite', ({ meta, data }) => {
+      meta.put(entry);
+      data.put({ key: entry.key, value });
+    }),
+    remove: (keys) => runTransaction(db, ['meta', 'data'], 'readwrite', ({ meta, data }) => {
+      for (const key of keys) {
+        meta.delete(key);
+        data.delete(key);
+      }
+    }),
+    clear: () => runTransaction(db, ['meta', 'data'], 'readwrite', ({ meta, data }) => {
+      meta.clear();
+      data.clear();
+    })
+  };
+};
+
+/**
+ * In-memory backend with the same interface, used when IndexedDB is unavailable.
+ * @returns {Object} Backend
+ */
+const createMemoryBackend = () => {
+  const metas = new Map();
+  const values = new Map();
+  return {
+    name: 'memory',
+    getMeta: async (key) => metas.get(key),
+    getAllMeta: async () => Array.from(metas.values()),
+    getData: async (key) => values.get(key),
+    putMeta: async (entry) => { metas.set(entry.key, entry); },
+    put: async (entry, value) => {
+      metas.set(entry.key, entry);
+      values.set(entry.key, value);
+    },
+    remove: async (keys) => {
+      for (const key of keys) {
+        metas.delete(key);
+        values.delete(key);
+      }
+    },
+    clear: async () => {
+      metas.clear();
+      values.clear();
+    }
+  };
+};
+
+let backendPromise = null;
+
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = createIdbBackend().catch((error) => {
+      logger.warn('Persistent card cache unavailable, using in-memory cache', { error: error.message });
+      return createMemoryBackend();
+    });
+  }
+  return backendPromise;
+};
+
+const isExpired = (entry, now = Date.now()) =>
+  entry.schema !== CACHE_SCHEMA_VERSION || (entry.expiresAt !== null && entry.expiresAt <= now);
+
+/**
+ * Drops expired entries, then least-recently-used ones until the cache fits its budget.
+ * @param {Object} backend - Cache backend
+ * @param {string} [keepKey] - Entry that must survive (the one just written)
+ */
+const enforceBudget = async (backend, keepKey = null) => {
+  const now = Date.now();
+  const entries = await backend.getAllMeta();
+  const evict = entries.filter(entry => isExpired(entry, now)).map(entry => entry.key);
+  const live = entries.filter(entry => !isExpired(entry, now));
+
+  let total = live.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  if (total > APP_CONFIG.cacheBudgetBytes) {
+    live.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const entry of live) {
+      if (total <= APP_CONFIG.cacheBudgetBytes) break;
+      if (entry.key === keepKey) continue;
+      evict.push(entry.key);
+      total -= entry.size || 0;
+    }
+  }
+  if (evict.length > 0) {
+    await backend.remove(evict);
+    logger.log(`Card cache evicted ${evict.length} entries`, { remainingBytes: total });
+  }
+};
+
+/**
+ * Reads a cached value.
+ * @param {string} key - Cache key
+ * @returns {Promise<any|null>} Cached value, or null when missing, expired or from an older schema
+ */
+export const cacheGet = async (key) => {
+  try {
+    const backend = await getBackend();
+    const entry = await backend.getMeta(key);
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      await backend.remove([key]);
+      return null;
+    }
+    const value = await backend.getData(key);
+    if (value === undefined) return null;
+    // Recency bookkeeping for LRU eviction; not worth waiting for
+    backend.putMeta({ ...entry, lastAccess: Date.now() }).catch(() => {});
+    return value;
+  } catch (error) {
+    logger.warn(`Card cache read failed for ${key}`, { error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Whether a value is cached and not expired, without reading it.
+ * @param {string} key - Cache key
+ * @returns {Promise<boolean>} True when cacheGet(key) would return the value
+ */
+export const cacheHas = async (key) => {
+  try {
+    const backend = await getBackend();
+    const entry = await backend.getMeta(key);
+    return Boolean(entry) && !isExpired(entry);
+  } catch (error) {
+    logger.warn(`Card cache read failed for ${key}`, { error: error.message });
+    return false;
+  }
+};
+
+/**
+ * Stores a value.
+ * @param {string} key - Cache key
+ * @param {any} value - JSON-serializable value
+ * @param {Object} [options]
+ * @param {string} [options.kind] - Entry kind, selects the default TTL (see CACHE_TTLS)
+ * @param {number|null} [options.ttl] - Time-to-live in ms; null never expires
+ */
+export const cacheSet = async (key, value, { kind = 'card', ttl = CACHE_TTLS[kind] ?? DAY } = {}) => {
+  try {
+    const size = JSON.stringify(value).length;
+    if (size > APP_CONFIG.cacheBudgetBytes) {
+      logger.warn(`Not caching ${key}: ${size} bytes exceeds the cache budget`);
+      return;
+    }
+    const now = Date.now();
+    const backend = await getBackend();
+    await backend.put({
+      key,
+      kind,
+      size,
+      schema: CACHE_SCHEMA_VERSION,
+      createdAt: now,
+      lastAccess: now,
+      expiresAt: ttl === null ? null : now + ttl
+    }, value);
+    await enforceBudget(backend, key);
+  } catch (error) {
+    logger.warn(`Card cache write failed for ${key}`, { error: error.message });
+  }
+};
+
+/**
+ * Returns the cached value for key, or loads, caches and returns it.
+ * Loader errors propagate; cache errors never do.
+ * @param {string} key - Cache key
+ * @param {Function} loader - async () => value
+ * @param {Object} [options] - Same as cacheSet
+ * @returns {Promise<any>} Value
+ */
+export const cacheReadThrough = async (key, loader, options = {}) => {
+  const cached = await cacheGet(key);
+  if (cached !== null) return cached;
+  const value = await loader();
+  if (value !== null && value !== undefined) {
+    await cacheSet(key, value, options);
+  }
+  return value;
+};
+
+/**
+ * Summarizes what the cache holds.
+ * @returns {Promise<Object>} { backend, entries, bytes, budget, byKind: { [kind]: { entries, bytes } } }
+ */
+export const getCacheStats = async () => {
+  const backend = await getBackend();
+  const entries = (await backend.getAllMeta()).filter(entry => !isExpired(entry));
+  const byKind = {};
+  let bytes = 0;
+  for (const entry of entries) {
+    if (!byKind[entry.kind]) byKind[entry.kind] = { entries: 0, bytes: 0 };
+    byKind[entry.kind].entries++;
+    byKind[entry.kind].bytes += entry.size || 0;
+    bytes += entry.size || 0;
+  }
+  return { backend: backend.name, entries: entries.length, bytes, budget: APP_CONFIG.cacheBudgetBytes, byKind };
+};
+
+/**
+ * Removes every cached entry.
+ */
+export const clearCache = async () => {
+  const backend = await getBackend();
+  await backend.clear();
+  logger.log('Card cache cleared');
+};
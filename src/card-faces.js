@@ -0,0 +1,145 @@
+/**
+ * Card faces.
+ *
+ * Normalizes every Scryfall layout into one face model, so views don't have to know how
+ * each layout prints its faces:
+ * - layout: Scryfall layout ('normal', 'split', 'flip', 'transform', 'meld', ...);
+ * - faces: [{ name, type, image, images, rotation }], the front face first. `image` is the picture
+ *   that shows the face ('' when Scryfall has none, shown as the card's image) and `images` its
+ *   sizes (see card-images.js): faces printed
+ *   on the same side share one image, and `rotation`
+ *   (degrees) turns it so the face reads upright: split cards and battle fronts 90, the
+ *   second half of aftermath cards -90 (Scryfall lists them as 'split' with the Aftermath
+ *   keyword; the top half is upright), the second half of flip cards 180;
+ * - meld: for the two halves of a meld pair and the card they meld into,
+ *   { parts: [name, name], result: { name, image, images } }, else null.
+ * formatCardData (mtg-api.js) stores these on every card; getDisplayFaces() also reads
+ * collection entries saved before them, which only have `card_faces` (front and back images).
+ */
+
+import { APP_CONFIG } from './config';
+import { getImageTiers } from './card-images';
+
+/**
+ * Returns the rotation that makes a face read upright.
+ * @param {Object} card - Raw Scryfall card
+ * @param {number} index - Face index
+ * @returns {number} Rotation in degrees
+ */
+const getFaceRotation = (card, index) => {
+  switch (card.layout) {
+    case 'split':
+      // Aftermath cards print their first half upright and only the second one sideways
+      if (card.keywords?.includes('Aftermath')) return index === 1 ? -90 : 0;
+      return 90;
+    case 'flip':
+      return index === 1 ? 180 : 0;
+    case 'battle':
+      // Battles are printed sideways; their back face is upright
+      return index === 0 ? 90 : 0;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Picks the display image of a Scryfall image_uris object.
+ * @param {Object} imageUris - Scryfall image_uris
+ * @returns {string} Image URL, '' when none
+ */
+const pickImage = (imageUris) => (imageUris ? imageUris.normal || imageUris.large || imageUris.small || '' : '');
+
+/**
+ * Image sizes of a card by Scryfall id, for cards known only by reference (meld results).
+ * @param {string} id - Scryfall card id
+ * @returns {Object} Image sizes (see card-images.js)
+ */
+const getCardImageUrls = (id) => {
+  const url = (version) => `${APP_CONFIG.scryfallBaseUrl}/cards/${encodeURIComponent(id)}?format=image&version=${version}`;
+  return getImageTiers({ small: url('small'), normal: url('normal'), large: url('large'), png: url('png'), art_crop: url('art_crop') });
+};
+
+/**
+ * Reads the meld pair a card belongs to from its related parts.
+ * @param {Object} card - Raw Scryfall card
+ * @returns {Object|null} { parts, result: { name, image } }, or null when the card doesn't meld
+ */
+const getMeldLink = (card) => {
+  if (card.layout !== 'meld' || !Array.isArray(card.all_parts)) return null;
+  const result = card.all_parts.find(part => part.component === 'meld_result');
+  if (!result) return null;
+  const images = result.id === card.id ? getImageTiers(card.image_uris) : getCardImageUrls(result.id);
+  return {
+    parts: card.all_parts.filter(part => part.component === 'meld_part').map(part => part.name),
+    result: { name: result.name, image: images?.normal || '', images }
+  };
+};
+
+/**
+ * Returns the other half of a meld pair.
+ * @param {Object} card - Normalized card
+ * @returns {string|null} Partner name, null when the card is not a meld half
+ */
+export const getMeldPartner = (card) => {
+  if (!card?.meld || card.meld.result.name === card.name) return null;
+  return card.meld.parts.find(name => name !== card.name) || null;
+};
+
+/**
+ * Builds the face model of a raw card.
+ * @param {Object} card - Raw Scryfall card
+ * @returns {{ layout: string, faces: Array<Object>, meld: Object|null }} Face model
+ */
+export const getCardFaceModel = (card) => {
+  const layout = card.layout || 'normal';
+  const cardImage = pickImage(card.image_uris);
+  const rawFaces = Array.isArray(card.card_faces) && card.card_faces.length > 0 ? card.card_faces : [card];
+
+  const faces = rawFaces.map((face, index) => ({
+    name: face.name || card.name || 'Unknown Card',
+    type: face.type_line || card.type_line || 'Unknown',
+    // One-sided layouts print every face on the card's single image
+    image: pickImage(face.image_uris) || cardImage,
+    images: getImageTiers(face.image_uris) || getImageTiers(card.image_uris),
+    rotation: getFaceRotation(card, index)
+  }));
+  return { layout, faces, meld: getMeldLink(card) };
+};
+
+/**
+ * Returns the faces to show for a normalized card, including entries saved before the face model.
+ * @param {Object} card - Normalized card
+ * @returns {Array<{ name: string, type: string, image: string, images: Object|null, rotation: number }>} Faces, front first
+ */
+export const getDisplayFaces = (card) => {
+  if (Array.isArray(card?.faces) && card.faces.length > 0) {
+    return card.faces.map(face => (face.image ? face : { ...face, image: card.image, images: card.images || null }));
+  }
+  const images = Array.isArray(card?.card_faces) ? card.card_faces.filter(Boolean) : [];
+  const [front, ...backs] = images.length > 0 ? images : [card?.image];
+  return [front, ...backs].map(image => ({ name: card?.name, type: card?.type, image: image || card?.image, images: null, rotation: 0 }));
+};
+
+/**
+ * Returns the faces a card preview steps through: the card's faces, then, for a meld half,
+ * the card it melds into.
+ * @param {Object} card - Normalized card
+ * @returns {Array<{ name: string, type: string, image: string, images: Object|null, rotation: number }>} Faces
+ */
+export const getPreviewFaces = (card) => {
+  const faces = getDisplayFaces(card);
+  if (!getMeldPartner(card)) return faces;
+  return [...faces, { name: card.meld.result.name, type: 'Meld result', image: card.meld.result.image, images: card.meld.result.images || null, rotation: 0 }];
+};
+
+/**
+ * Returns the image printed on the back of a card: the second side of two-sided cards,
+ * null for cards with a regular card back.
+ * @param {Object} card - Normalized card
+ * @returns {string|null} Back image URL
+ */
+export const getBackImage = (card) => {
+  const faces = getDisplayFaces(card);
+  const back = faces.find(face => face.image && face.image !== faces[0].image);
+  return back ? back.image : null;
+};
@@ -0,0 +1,111 @@
+/**
+ * Card images.
+ *
+ * Normalized cards keep every image size Scryfall serves as `images` { small, normal, large,
+ * png, artCrop } (cards and each of their faces), so views can pick the one that fits:
+ * small for the Collection grid, normal for the pack grid, large for previews. `image` stays
+ * the normal size. Entries saved before `images` existed get them from the metadata backfill
+ * (see card-metadata.js); until then getCardImage() rewrites the size in their Scryfall URL.
+ * preloadImages() warms the browser cache before a pack explodes (see openPack in App.js).
+ */
+
+import { APP_CONFIG } from './config';
+
+// Image sizes, by the key normalized cards use -> Scryfall image_uris key
+export const IMAGE_SIZES = {
+  small: 'small',
+  normal: 'normal',
+  large: 'large',
+  png: 'png',
+  artCrop: 'art_crop'
+};
+
+// Scryfall image URL, capturing the size segment: https://cards.scryfall.io/<size>/front/a/b/<id>.<ext>?<stamp>
+const SCRYFALL_IMAGE_URL = /^(https:\/\/cards\.scryfall\.io\/)(small|normal|large|png|art_crop|border_crop)(\/.+)\.(jpg|png)(\?.*)?$/;
+
+/**
+ * Reads the image sizes of a Scryfall image_uris object, falling back to the nearest size
+ * for missing ones (art crops show only the art, so they have no fallback).
+ * @param {Object} imageUris - Scryfall image_uris
+ * @returns {Object|null} { small, normal, large, png, artCrop }, null without images
+ */
+export const getImageTiers = (imageUris) => {
+  if (!imageUris) return null;
+  const { small, normal, large, png } = imageUris;
+  if (!small && !normal && !large && !png) return null;
+  return {
+    small: small || normal || large || png,
+    normal: normal || large || png || small,
+    large: large || png || normal || small,
+    png: png || large || normal || small,
+    artCrop: imageUris.art_crop || null
+  };
+};
+
+/**
+ * Rewrites the size of a Scryfall image URL.
+ * @param {string} url - Image URL
+ * @param {string} size - Size key (see IMAGE_SIZES)
+ * @returns {string|null} URL of that size, null when the URL is not a Scryfall image
+ */
+export const resizeImageUrl = (url, size) => {
+  const match = typeof url === 'string' ? url.match(SCRYFALL_IMAGE_URL) : null;
+  if (!match || !IMAGE_SIZES[size]) return null;
+  const [, host, , path, , stamp = ''] = match;
+  return `${host}${IMAGE_SIZES[size]}${path}.${size === 'png' ? 'png' : 'jpg'}${stamp}`;
+};
+
+/**
+ * Returns the image of a card or card face in a given size.
+ * @param {Object} card - Normalized card, or a face from getDisplayFaces()
+ * @param {string} size - Size key (see IMAGE_SIZES)
+ * @returns {string} Image URL, the card's `image` when that size is unknown
+ */
+export const getCardImage = (card, size) => (
+  card?.images?.[size] || resizeImageUrl(card?.image, size) || card?.image || ''
+);
+
+/**
+ * Loads images into the browser cache, giving up on the rest when the time budget runs out.
+ * Failed images count as settled: the views show whatever the browser can.
+ * @param {Array<string>} urls - Image URLs (duplicates and empty values are skipped)
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Time budget in ms (default APP_CONFIG.imagePreloadBudgetMs)
+ * @param {AbortSignal} [options.signal] - Stops waiting when aborted
+ * @returns {Promise<{ total: number, loaded: number, timedOut: boolean }>} Resolves, never rejects
+ */
+export const preloadImages = (urls, { timeout = APP_CONFIG.imagePreloadBudgetMs, signal } = {}) => {
+  const unique = [...new Set(urls.filter(Boolean))];
+  if (unique.length === 0 || typeof Image === 'undefined' || signal?.aborted) {
+    return Promise.resolve({ total: unique.length, loaded: 0, timedOut: false });
+  }
+
+  return new Promise(resolve => {
+    let loaded = 0;
+    let settled = 0;
+    let done = false;
+    let timer = null;
+    const finish = (timedOut) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      resolve({ total: unique.length, loaded, timedOut });
+    };
+    const onAbort = () => finish(false);
+    const settle = (ok) => {
+      if (ok) loaded += 1;
+      settled += 1;
+      if (settled === unique.length) finish(false);
+    };
+    timer = setTimeout(() => finish(true), timeout);
+    signal?.addEventListener('abort', onAbort);
+
+    unique.forEach(url => {
+      const image = new Image();
+      image.onload = () => settle(true);
+      image.onerror = () => settle(false);
+      image.src = url;
+    });
+  });
+};
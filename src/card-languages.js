@@ -0,0 +1,63 @@
+/**
+ * Card languages.
+ *
+ * Packs can be opened in any language Scryfall has printings for: a global preference,
+ * optionally overridden per pack. Pack slots are still rolled against the English set pool
+ * (so odds and seeded replays don't depend on the language); each pick is then swapped for
+ * its printing in the pack's language, matched by set and collector number, and stays in
+ * English when that printing doesn't exist (see fetchBoosterPack in mtg-api.js).
+ * Normalized cards record their `lang`, and the Collection groups languages separately.
+ */
+
+// Scryfall language codes, in the order the language pickers list them
+export const CARD_LANGUAGES = {
+  en: 'English',
+  ja: 'Japanese',
+  de: 'German',
+  fr: 'French',
+  it: 'Italian',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  ko: 'Korean',
+  ru: 'Russian',
+  zhs: 'Simplified Chinese',
+  zht: 'Traditional Chinese'
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Reads saved language preferences, defaulting to English everywhere.
+ * @param {*} value - Saved value
+ * @returns {{ global: string, packs: Object }} Global language and per-pack overrides
+ */
+export const readLanguagePreferences = (value) => ({
+  global: typeof value?.global === 'string' ? value.global : DEFAULT_LANGUAGE,
+  packs: value?.packs && typeof value.packs === 'object' ? value.packs : {}
+});
+
+/**
+ * Returns the language of a card: its `lang`, English for raw cards and entries saved before languages.
+ * @param {Object} card - Raw or normalized card
+ * @returns {string} Scryfall language code
+ */
+export const getCardLanguage = (card) => card?.lang || DEFAULT_LANGUAGE;
+
+/**
+ * Returns the language a pack opens in: its override, else the global preference.
+ * @param {string} packKey - Pack key (see booster-products.js)
+ * @param {string} globalLanguage - Global language preference
+ * @param {Object} [packLanguages] - Per-pack overrides, pack key -> language code
+ * @returns {string} Scryfall language code
+ */
+export const getPackLanguage = (packKey, globalLanguage, packLanguages = {}) => {
+  const language = packLanguages?.[packKey] || globalLanguage;
+  return CARD_LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Key matching a raw card to its printings in other languages.
+ * @param {Object} card - Raw Scryfall card
+ * @returns {string} "<set>:<collector number>"
+ */
+export const getPrintingKey = (card) => `${String(card.set || '').toLowerCase()}:${String(card.collector_number || '').toLowerCase()}`;
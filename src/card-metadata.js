@@ -0,0 +1,108 @@
+/**
+ * Card metadata.
+ *
+ * The gameplay details normalized cards carry alongside name, rarity and price: mana cost,
+ * colors, mana value, rules text, stats, keywords, artist, release date, format legalities,
+ * Scryfall links, image sizes (see card-images.js) and the card's faces (layout, faces and meld,
+ * see card-faces.js). formatCardData and fetchAllCardsInSet (mtg-api.js) add them to every
+ * card; collection entries saved before they existed are filled in lazily from the card
+ * cache by originalId (fetchCardMetadata in mtg-api.js, run from App.js), tracked by `metadataVersion`.
+ */
+
+import { getCardFaceModel } from './card-faces';
+import { getImageTiers } from './card-images';
+
+// Bump when fields are added below, so saved entries get backfilled again
+export const CARD_METADATA_VERSION = 3;
+
+/**
+ * Reads a text field of a raw card, joining the (non-empty) faces of multi-face cards with " // ".
+ * @param {Object} card - Raw Scryfall card
+ * @param {string} field - Field name, e.g. 'oracle_text'
+ * @returns {string|null} Text, or null when no face has it
+ */
+const readFaceText = (card, field) => {
+  if (typeof card[field] === 'string') return card[field];
+  if (!Array.isArray(card.card_faces)) return null;
+  // Back faces of transform cards have an empty mana cost
+  const texts = card.card_faces.map(face => face?.[field]).filter(text => typeof text === 'string' && text !== '');
+  return texts.length > 0 ? texts.join(' // ') : null;
+};
+
+/**
+ * Reads a stat (power, toughness, loyalty) of a raw card, from its front face for multi-face cards.
+ * @param {Object} card - Raw Scryfall card
+ * @param {string} field - Field name
+ * @returns {string|null} Stat as printed (e.g. "*" or "1+*"), or null when the card has none
+ */
+const readFrontStat = (card, field) => {
+  if (typeof card[field] === 'string') return card[field];
+  const face = Array.isArray(card.card_faces) ? card.card_faces.find(f => typeof f?.[field] === 'string') : null;
+  return face ? face[field] : null;
+};
+
+/**
+ * Extracts the metadata fields of a raw card.
+ * @param {Object} card - Raw Scryfall card
+ * @returns {Object} Metadata { manaCost, colors, colorIdentity, manaValue, oracleText, power,
+ *   toughness, loyalty, keywords, artist, releasedAt, legalities, scryfallUri, uri, images, layout, faces, meld, metadataVersion }
+ */
+export const getCardMetadata = (card) => {
+  // Transform and modal cards keep their colors on the faces
+  const faceColors = Array.isArray(card.card_faces)
+    ? [...new Set(card.card_faces.flatMap(face => (Array.isArray(face?.colors) ? face.colors : [])))]
+    : [];
+  return {
+    manaCost: readFaceText(card, 'mana_cost'),
+    colors: Array.isArray(card.colors) ? card.colors : faceColors,
+    colorIdentity: Array.isArray(card.color_identity) ? card.color_identity : [],
+    manaValue: typeof card.cmc === 'number' ? card.cmc : 0,
+    oracleText: readFaceText(card, 'oracle_text'),
+    power: readFrontStat(card, 'power'),
+    toughness: readFrontStat(card, 'toughness'),
+    loyalty: readFrontStat(card, 'loyalty'),
+    keywords: Array.isArray(card.keywords) ? card.keywords : [],
+    artist: card.artist || null,
+    releasedAt: card.released_at || null,
+    // Format -> 'legal' | 'not_legal' | 'restricted' | 'banned'
+    legalities: card.legalities && typeof card.legalities === 'object' ? card.legalities : {},
+    scryfallUri: card.scryfall_uri || null,
+    uri: card.uri || null,
+    // Sizes of the front image; faces carry their own
+    images: getImageTiers(card.image_uris) || getImageTiers(card.card_faces?.[0]?.image_uris),
+    ...getCardFaceModel(card),
+    metadataVersion: CARD_METADATA_VERSION
+  };
+};
+
+/**
+ * Whether a collection entry predates the current metadata fields and can be backfilled.
+ * @param {Object} card - Collection card
+ * @returns {boolean} True when the entry is missing metadata and has an originalId to look it up by
+ */
+export const needsCardMetadata = (card) => (
+  Boolean(card?.originalId) && (card.metadataVersion || 0) < CARD_METADATA_VERSION
+);
+
+/**
+ * Checks the types of a card's metadata fields. Every field is optional, so entries saved
+ * before metadata existed stay valid.
+ * @param {Object} card - Normalized card
+ * @returns {boolean} Whether the fields present have the expected types
+ */
+export const isValidCardMetadata = (card) => {
+  const isStringOrNull = (value) => value === undefined || value === null || typeof value === 'string';
+  const isStringArray = (value) => value === undefined || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+  if (!['manaCost', 'oracleText', 'power', 'toughness', 'loyalty', 'artist', 'releasedAt', 'scryfallUri', 'uri', 'layout'].every(field => isStringOrNull(card[field]))) {
+    return false;
+  }
+  if (![card.colors, card.colorIdentity, card.keywords].every(isStringArray)) return false;
+  if (card.manaValue !== undefined && (typeof card.manaValue !== 'number' || !Number.isFinite(card.manaValue))) return false;
+  if (card.legalities !== undefined && (!card.legalities || typeof card.legalities !== 'object' || Array.isArray(card.legalities))) return false;
+  const isImages = (images) => images === undefined || images === null
+    || (typeof images === 'object' && Object.values(images).every(url => url === null || typeof url === 'string'));
+  if (!isImages(card.images)) return false;
+  const isFace = (face) => face && typeof face.name === 'string' && typeof face.image === 'string' && typeof face.rotation === 'number';
+  if (card.faces !== undefined && (!Array.isArray(card.faces) || card.faces.length === 0 || !card.faces.every(isFace))) return false;
+  return true;
+};
@@ -0,0 +1,318 @@
+/**
+ * Local card pools.
+ *
+ * A pool is a set's full card list, loaded once from the active card source and
+ * indexed by rarity, land/basic status and available finishes so pack slots can be
+ * sampled locally instead of making one /cards/random request per card.
+ * Pools hold English printings; loadLanguagePrintings() loads a set's printings in another
+ * language to swap picks for (see card-languages.js).
+ */
+
+import { getCardSource, matchesCriteria, isNonPlayableCard } from './card-source';
+import { cacheHas, cacheReadThrough, cacheSet } from './card-cache';
+import { DEFAULT_LANGUAGE, getPrintingKey } from './card-languages';
+import { logger } from './utils';
+
+// In-flight and finished pool loads, keyed by lowercase set code
+const setPools = new Map();
+
+// In-flight and finished loads of other-language printings, keyed by "<set code>:<lang>"
+const languagePrintings = new Map();
+
+// Raw card fields the app never reads; dropped before caching set listings
+const UNUSED_CARD_FIELDS = ['purchase_uris', 'related_uris', 'multiverse_ids', 'preview'];
+
+const slimRawCard = (card) => {
+  const slim = { ...card };
+  for (const field of UNUSED_CARD_FIELDS) delete slim[field];
+  return slim;
+};
+
+/**
+ * Card cache key of a set listing.
+ * @param {Object} source - Card source
+ * @param {string} setCode - Lowercase set code
+ * @param {string} [lang] - Language of the printings
+ * @returns {string} Cache key
+ */
+const getSetListingKey = (source, setCode, lang = DEFAULT_LANGUAGE) => (
+  lang === DEFAULT_LANGUAGE ? `set:${source.name}:${setCode}` : `set:${source.name}:${setCode}:${lang}`
+);
+
+/**
+ * Card cache key recording that Scryfall has no such listing (404), so offline checks know the
+ * listing is empty rather than not loaded yet.
+ * @param {Object} source - Card source
+ * @param {string} setCode - Lowercase set code
+ * @param {string} [lang] - Language of the printings
+ * @returns {string} Cache key
+ */
+const getMissingListingKey = (source, setCode, lang = DEFAULT_LANGUAGE) => `${getSetListingKey(source, setCode, lang)}:missing`;
+
+/**
+ * Loads a set's raw card listing, reading through the persistent card cache.
+ * @param {string} setCode - Lowercase set code
+ * @param {string} [lang] - Language of the printings
+ * @returns {Promise<Array>} Raw cards
+ */
+const loadSetListing = (setCode, lang = DEFAULT_LANGUAGE) => {
+  const source = getCardSource();
+  const load = () => source.fetchSetCards(setCode, { timeout: 20000, lang });
+  if (source.local) return load();
+  return cacheReadThrough(
+    getSetListingKey(source, setCode, lang),
+    async () => (await load()).map(slimRawCard),
+    { kind: 'set' }
+  ).catch(async (error) => {
+    if (error.status === 404) await cacheSet(getMissingListingKey(source, setCode, lang), true, { kind: 'set' });
+    throw error;
+  });
+};
+
+/**
+ * Whether a listing is known without the network: cached, or known to be missing.
+ * @param {Object} source - Card source
+ * @param {string} setCode - Lowercase set code
+ * @param {string} [lang] - Language of the printings
+ * @returns {Promise<boolean>} True when loading it offline settles like it did online
+ */
+const isListingCached = async (source, setCode, lang = DEFAULT_LANGUAGE) => (
+  (await cacheHas(getSetListingKey(source, setCode, lang))) || cacheHas(getMissingListingKey(source, setCode, lang))
+);
+
+const pushTo = (map, key, card) => {
+  if (!map[key]) map[key] = [];
+  map[key].push(card);
+};
+
+const getLandKey = (card) => {
+  const typeLine = String(card.type_line || '').toLowerCase();
+  if (!typeLine.includes('land')) return 'nonland';
+  return typeLine.includes('basic') ? 'basic' : 'nonbasic';
+};
+
+/**
+ * Builds indexes over a list of raw Scryfall cards.
+ * @param {Array} cards - Raw cards
+ * @returns {Object} Index with all, rarity, land and finish buckets
+ */
+const indexCards = (cards) => {
+  const index = { all: cards, rarity: {}, land: {}, finish: {} };
+  for (const card of cards) {
+    pushTo(index.rarity, String(card.rarity || 'common').toLowerCase(), card);
+    pushTo(index.land, getLandKey(card), card);
+    const finishes = Array.isArray(card.finishes) ? card.finishes : ['nonfoil'];
+    for (const finish of finishes) pushTo(index.finish, finish, card);
+  }
+  return index;
+};
+
+/**
+ * Builds a card pool from a set's raw Scryfall cards.
+ * Cards flagged as printed in boosters are preferred; the rest of the set is kept
+ * as a secondary index for slots that boosters alone cannot fill (e.g. basics in some sets).
+ * @param {Array} rawCards - Every unique print in the set
+ * @param {string} [setCode] - Set code the pool belongs to
+ * @returns {Object} Card pool
+ */
+export const buildCardPool = (rawCards, setCode = null) => {
+  const cards = (Array.isArray(rawCards) ? rawCards : []).filter(Boolean);
+  const playable = cards.filter(card => !isNonPlayableCard(card));
+  const inBoosters = playable.filter(card => card.booster === true);
+  return {
+    setCode: setCode ? setCode.toLowerCase() : null,
+    rawCards: Array.isArray(rawCards) ? rawCards : [],
+    size: playable.length,
+    primary: indexCards(inBoosters.length > 0 ? inBoosters : playable),
+    secondary: inBoosters.length > 0 ? indexCards(playable) : null,
+    // Tokens, emblems and art cards, only sampled by bonus slots
+    bonus: cards.filter(isNonPlayableCard),
+    matches: new Map()
+  };
+};
+
+/**
+ * Picks the smallest pre-indexed bucket that could satisfy the criteria.
+ * @param {Object} index - Index built by indexCards
+ * @param {Object} criteria - Query criteria (see card-source.js)
+ * @returns {Array} Candidate cards, still to be filtered by matchesCriteria
+ */
+const getCandidates = (index, { rarity = null, type = null, excludeType = null, foil, finish = null } = {}) => {
+  const buckets = [index.all];
+  if (rarity) buckets.push(index.rarity[String(rarity).toLowerCase()] || []);
+  if (type === 'basic') buckets.push(index.land.basic || []);
+  else if (type === 'land' && excludeType === 'basic') buckets.push(index.land.nonbasic || []);
+  else if (type === 'land') buckets.push([...(index.land.basic || []), ...(index.land.nonbasic || [])]);
+  if (foil === true) buckets.push(index.finish.foil || []);
+  if (foil === false) buckets.push(index.finish.nonfoil || []);
+  if (finish) buckets.push(index.finish[finish] || []);
+  return buckets.reduce((smallest, bucket) => (bucket.length < smallest.length ? bucket : smallest));
+};
+
+/**
+ * Returns every pool card matching the criteria (memoized per criteria).
+ * @param {Object} pool - Card pool
+ * @param {Object} criteria - Query criteria (see card-source.js)
+ * @returns {Array} Matching raw cards
+ */
+export const findPoolMatches = (pool, criteria = {}) => {
+  const { setCode, ...rest } = criteria; // every card in the pool already belongs to the set
+  const key = JSON.stringify(rest);
+  if (pool.matches.has(key)) return pool.matches.get(key);
+
+  if (rest.layout) {
+    // Layout queries ask for non-playable cards, which the playable indexes leave out
+    const matches = pool.bonus.filter(card => matchesCriteria(card, rest));
+    pool.matches.set(key, matches);
+    return matches;
+  }
+
+  let matches = getCandidates(pool.primary, rest).filter(card => matchesCriteria(card, rest));
+  if (matches.length === 0 && pool.secondary) {
+    matches = getCandidates(pool.secondary, rest).filter(card => matchesCriteria(card, rest));
+  }
+  pool.matches.set(key, matches);
+  return matches;
+};
+
+/**
+ * Samples one random card from the pool matching the criteria.
+ * @param {Object} pool - Card pool
+ * @param {Object} criteria - Query criteria (see card-source.js)
+ * @param {Function} [random] - Random number generator returning [0, 1)
+ * @returns {Object|null} Raw card, or null when nothing matches
+ */
+export const sampleFromPool = (pool, criteria = {}, random = Math.random) => {
+  const matches = findPoolMatches(pool, criteria);
+  if (matches.length === 0) return null;
+  return matches[Math.floor(random() * matches.length)];
+};
+
+/**
+ * Loads (once per session, read through the persistent cache) and returns the card pool for a set.
+ * @param {string} setCode - The set code
+ * @returns {Promise<Object>} Card pool
+ */
+export const loadSetPool = (setCode) => {
+  const key = String(setCode || '').toLowerCase();
+  if (!key) return Promise.reject(new Error('loadSetPool requires a set code'));
+  if (!setPools.has(key)) {
+    const startTime = Date.now();
+    const loading = loadSetListing(key).then(rawCards => {
+      const pool = buildCardPool(rawCards, key);
+      logger.performance(`Card pool load for ${key} (${pool.size} cards)`, startTime);
+      return pool;
+    });
+    // Don't keep failed loads around so the next open can retry, except for sets Scryfall
+    // doesn't have (404), such as the missing art-card companion set of most sets
+    loading.catch((error) => {
+      if (error.status !== 404) setPools.delete(key);
+    });
+    setPools.set(key, loading);
+  }
+  return setPools.get(key);
+};
+
+/**
+ * Whether a set's pool settles without the network: it is loaded already or its listing is in
+ * the persistent card cache. Sets Scryfall doesn't have count when `missingOk`, since
+ * loadSetPools gives them an empty pool.
+ * @param {Object} source - Card source
+ * @param {string} key - Lowercase set code
+ * @param {boolean} missingOk - Whether a set Scryfall doesn't have is fine
+ * @returns {Promise<boolean>} True when the pool is available offline
+ */
+const isSetPoolCached = async (source, key, missingOk) => {
+  if (setPools.has(key)) {
+    try {
+      await setPools.get(key);
+      return true;
+    } catch (error) {
+      return missingOk && error.status === 404;
+    }
+  }
+  if (await cacheHas(getSetListingKey(source, key))) return true;
+  return missingOk && cacheHas(getMissingListingKey(source, key));
+};
+
+/**
+ * Whether a booster opens without the network: the card source is local, or every pool it
+ * loads is loaded already or cached (its set, the sets its slots draw from, and their
+ * printings in the pack's language).
+ * @param {string} setCode - The booster's set code
+ * @param {Array<string>} [sheetCodes] - Other set codes (see getSlotSetCodes in pack-generator.js)
+ * @param {string} [lang] - Language the pack opens in
+ * @returns {Promise<boolean>} True when fetchBoosterPack finds every pool offline
+ */
+export const hasCachedBoosterPools = async (setCode, sheetCodes = [], lang = DEFAULT_LANGUAGE) => {
+  const source = getCardSource();
+  if (source.local) return true;
+  const key = String(setCode || '').toLowerCase();
+  const others = sheetCodes.map(code => String(code).toLowerCase()).filter(code => code !== key);
+  const checks = [isSetPoolCached(source, key, false), ...others.map(code => isSetPoolCached(source, code, true))];
+  if (lang !== DEFAULT_LANGUAGE) {
+    checks.push(...[key, ...others].map(code => (
+      languagePrintings.has(`${code}:${lang}`) ? Promise.resolve(true) : isListingCached(source, code, lang)
+    )));
+  }
+  return (await Promise.all(checks)).every(Boolean);
+};
+
+/**
+ * Loads a booster's set pool together with the pools of the other sets its slots draw from
+ * (bonus sheets, token and art-card companion sets).
+ * A set Scryfall doesn't have (404) gets an empty pool, so its picks are settled by the pools;
+ * one that fails to load otherwise is left out (its picks fall back to the booster's own set,
+ * or to the card source, see hasPickPools in pack-generator.js). Only a failure of the booster's
+ * own set rejects.
+ * @param {string} setCode - The booster's set code
+ * @param {Array<string>} [sheetCodes] - Other set codes (see getSlotSetCodes in pack-generator.js)
+ * @returns {Promise<Object>} Card pools keyed by lowercase set code
+ */
+export const loadSetPools = async (setCode, sheetCodes = []) => {
+  const [pool, ...sheets] = await Promise.all([
+    loadSetPool(setCode),
+    ...sheetCodes.map(code => loadSetPool(code).catch((error) => {
+      if (error.status === 404) return buildCardPool([], code);
+      logger.warn(`Card pool unavailable for ${code}`, { error: error.message });
+      return null;
+    }))
+  ]);
+  const pools = { [pool.setCode]: pool };
+  for (const sheet of sheets) {
+    if (sheet) pools[sheet.setCode] = sheet;
+  }
+  return pools;
+};
+
+/**
+ * Loads (once per session) a set's printings in a language, to swap English picks for.
+ * A set with no printings in that language, or one that fails to load, gives an empty map,
+ * so its cards stay in English.
+ * @param {string} setCode - The set code
+ * @param {string} lang - Scryfall language code
+ * @returns {Promise<Map<string, Object>>} Raw printings by printing key (see getPrintingKey)
+ */
+export const loadLanguagePrintings = (setCode, lang) => {
+  const key = `${String(setCode || '').toLowerCase()}:${lang}`;
+  if (!languagePrintings.has(key)) {
+    const loading = loadSetListing(String(setCode).toLowerCase(), lang)
+      .then(rawCards => new Map(rawCards.map(card => [getPrintingKey(card), card])))
+      .catch((error) => {
+        logger.warn(`No ${lang} printings available for ${setCode}, keeping English cards`, { error: error.message });
+        // Scryfall answers 404 when the set has no printings in the language; retry anything else next open
+        if (error.status !== 404) languagePrintings.delete(key);
+        return new Map();
+      });
+    languagePrintings.set(key, loading);
+  }
+  return languagePrintings.get(key);
+};
+
+/**
+ * Forgets in-memory pools (e.g. after switching card sources or clearing the card cache).
+ */
+export const clearSetPools = () => {
+  setPools.clear();
+  languagePrintings.clear();
+};
@@ -0,0 +1,356 @@
+/**
+ * Card data sources.
+ *
+ * A card source answers the raw card queries used by the pack generator and the
+ * collection views. Every source returns raw Scryfall-shaped card objects, so the
+ * normalization in mtg-api.js (formatCardData) works the same regardless of backend.
+ *
+ * Source shape:
+ * {
+ *   name: string
+ *   fetchRandomCard: (criteria, options?) => Promise<Object|null>  // one random card matching criteria
+ *   fetchSetCards: (setCode, options?) => Promise<Array>           // every unique print in a set (English, or options.lang)
+ *   searchCards: (criteria, options?) => Promise<Array>            // first page of matches
+ *   fetchCardById: (id, options?) => Promise<Object|null>          // one card record by Scryfall id
+ *   fetchRulings: (id, options?) => Promise<Array>                 // rulings for a card
+ *   fetchCardsByIdentifiers: (identifiers, options?) => Promise<{ found, notFound }>  // batch lookup
+ *   local?: boolean                                                // data is already on the device (no caching needed)
+ * }
+ *
+ * Criteria shape (all optional):
+ * {
+ *   setCode: string | string[]  // e.g. 'blb'; several codes match any of them
+ *   rarity: string         // 'common' | 'uncommon' | 'rare' | 'mythic'
+ *   type: string | string[]  // type line word(s) that must all be present, e.g. 'land', ['legendary', 'creature']
+ *   excludeType: string    // type line word that must be absent, e.g. 'basic'
+ *   foil: boolean          // true => must be printed in foil, false => must be printed nonfoil
+ *   layout: string[]       // card layout must be one of these, e.g. ['token', 'emblem']
+ *   finish: string         // Scryfall finish the print must have: 'nonfoil' | 'foil' | 'etched'
+ *   frameEffect: string    // Scryfall frame effect, e.g. 'showcase', 'extendedart'
+ *   borderColor: string    // Scryfall border color, e.g. 'borderless'
+ *   fullArt: boolean       // true => full-art print, false => regular art box
+ *   promoType: string      // Scryfall promo type, e.g. 'galaxyfoil', 'surgefoil', 'textured'
+ *   lang: string           // Scryfall language code of the printing, e.g. 'ja' (see card-languages.js)
+ * }
+ *
+ * Identifier shape (Scryfall /cards/collection): { set, collector_number } | { name, set } | { name } | { id }
+ */
+
+import { APP_CONFIG } from './config';
+import { scryfallScheduler } from './request-scheduler';
+import { DEFAULT_LANGUAGE, getCardLanguage } from './card-languages';
+
+// Layouts of cards that can't be played (tokens, emblems, art cards); packs only hand them out in bonus slots
+export const NON_PLAYABLE_LAYOUTS = ['token', 'double_faced_token', 'emblem', 'art_series'];
+
+/**
+ * Checks whether a raw Scryfall card is a non-playable card (token, emblem or art series card).
+ * @param {Object} card - Raw Scryfall card
+ * @returns {boolean} Whether the card is non-playable
+ */
+export const isNonPlayableCard = (card) =>
+  !!card && (NON_PLAYABLE_LAYOUTS.includes(card.layout) || card.set_type === 'token');
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Builds a Scryfall search query string from slot criteria.
+ * @param {Object} criteria - Query criteria (see module docs)
+ * @returns {string} Scryfall query, e.g. "set:blb rarity:common t:land"
+ */
+export const buildScryfallQuery = ({
+  setCode = null, rarity = null, type = null, excludeType = null, foil, layout = null,
+  finish = null, frameEffect = null, borderColor = null, fullArt, promoType = null, lang = null
+} = {}) => {
+  const parts = [];
+  const anyOf = (key, values) => (values.length === 1 ? `${key}:${values[0]}` : `(${values.map(value => `${key}:${value}`).join(' OR ')})`);
+  if (setCode) parts.push(anyOf('set', toList(setCode)));
+  if (rarity) parts.push(`rarity:${rarity}`);
+  if (type) toList(type).forEach(word => parts.push(`t:${word}`));
+  if (excludeType) parts.push(`-t:${excludeType}`);
+  // Only constrain foil if explicitly requested
+  if (foil === true) parts.push('is:foil');
+  if (foil === false) parts.push('is:nonfoil');
+  if (layout) parts.push(anyOf('layout', toList(layout)));
+  if (finish) parts.push(`is:${finish}`);
+  if (frameEffect) parts.push(`frame:${frameEffect}`);
+  if (borderColor) parts.push(`border:${borderColor}`);
+  if (fullArt === true) parts.push('is:full');
+  if (fullArt === false) parts.push('-is:full');
+  if (promoType) parts.push(`is:${promoType}`);
+  if (lang) parts.push(`lang:${lang}`);
+  return parts.join(' ');
+};
+
+/**
+ * Checks whether a raw Scryfall card satisfies slot criteria.
+ * Mirrors the semantics of buildScryfallQuery for local data.
+ * @param {Object} card - Raw Scryfall card
+ * @param {Object} criteria - Query criteria (see module docs)
+ * @returns {boolean} Whether the card matches
+ */
+export const matchesCriteria = (card, {
+  setCode = null, rarity = null, type = null, excludeType = null, foil, layout = null,
+  finish = null, frameEffect = null, borderColor = null, fullArt, promoType = null, lang = null
+} = {}) => {
+  if (!card) return false;
+  if (setCode && !toList(setCode).some(code => String(card.set || '').toLowerCase() === String(code).toLowerCase())) return false;
+  if (layout && !toList(layout).includes(card.layout)) return false;
+  if (rarity && String(card.rarity || '').toLowerCase() !== String(rarity).toLowerCase()) return false;
+
+  const typeLine = String(card.type_line || '').toLowerCase();
+  if (type && !toList(type).every(word => typeLine.includes(String(word).toLowerCase()))) return false;
+  if (excludeType && typeLine.includes(String(excludeType).toLowerCase())) return false;
+
+  const finishes = Array.isArray(card.finishes) ? card.finishes : [];
+  if (foil === true && !(finishes.includes('foil') || card.foil === true)) return false;
+  if (foil === false && !(finishes.includes('nonfoil') || card.nonfoil === true)) return false;
+  if (finish && !finishes.includes(finish)) return false;
+
+  if (frameEffect && !(Array.isArray(card.frame_effects) && card.frame_effects.includes(frameEffect))) return false;
+  if (borderColor && card.border_color !== borderColor) return false;
+  if (typeof fullArt === 'boolean' && (card.full_art === true) !== fullArt) return false;
+  if (promoType && !(Array.isArray(card.promo_types) && card.promo_types.includes(promoType))) return false;
+  if (lang && getCardLanguage(card) !== lang) return false;
+  return true;
+};
+
+// Scryfall's /cards/collection accepts at most this many identifiers per request
+const COLLECTION_BATCH_SIZE = 75;
+
+/**
+ * Checks whether a raw Scryfall card is the one a card identifier refers to.
+ * @param {Object} card - Raw Scryfall card
+ * @param {Object} identifier - Card identifier (see module docs)
+ * @returns {boolean} Whether the card matches
+ */
+export const matchesIdentifier = (card, identifier) => {
+  if (!card || !identifier) return false;
+  if (identifier.id) return card.id === identifier.id;
+  if (identifier.set && String(card.set || '').toLowerCase() !== String(identifier.set).toLowerCase()) return false;
+  if (identifier.collector_number) {
+    return String(card.collector_number || '').toLowerCase() === String(identifier.collector_number).toLowerCase();
+  }
+  if (identifier.name) {
+    const wanted = String(identifier.name).toLowerCase();
+    const name = String(card.name || '').toLowerCase();
+    // Double-faced cards are often written with only their front face name
+    return name === wanted || name.split(' // ')[0] === wanted;
+  }
+  return false;
+};
+
+/**
+ * Creates the live Scryfall REST API card source.
+ * All requests go through the shared rate-limited scheduler (request-scheduler.js).
+ * Every method accepts { timeout, signal } options; aborting the signal rejects with an AbortError.
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - API base URL
+ * @param {Object} [options.scheduler] - Request scheduler
+ * @returns {Object} Card source
+ */
+export const createScryfallCardSource = ({ baseUrl = APP_CONFIG.scryfallBaseUrl, scheduler = scryfallScheduler } = {}) => ({
+  name: 'scryfall',
+
+  fetchRandomCard: async (criteria = {}, { timeout = 8000, signal = null } = {}) => {
+    const query = buildScryfallQuery(criteria);
+    const url = query
+      ? `${baseUrl}/cards/random?q=${encodeURIComponent(query)}`
+      : `${baseUrl}/cards/random`;
+    try {
+      // Each random draw must be its own request, never shared
+      return await scheduler.requestJson(url, { timeout, signal, dedupe: false });
+    } catch (error) {
+      // Cancellation is the caller's decision; let it propagate
+      if (signal?.aborted) throw error;
+      if (error.name === 'AbortError') {
+        console.warn(`Request timed out for query "${query}"`);
+      } else {
+        console.warn(`Failed to fetch random card with query "${query}":`, error);
+      }
+      return null;
+    }
+  },
+
+  fetchSetCards: async (setCode, { timeout = 20000, signal = null, lang = DEFAULT_LANGUAGE } = {}) => {
+    // Searches return English printings unless a language is asked for
+    const query = lang === DEFAULT_LANGUAGE ? `e:${setCode}` : `e:${setCode} lang:${lang}`;
+    let url = `${baseUrl}/cards/search?q=${encodeURIComponent(query)}&unique=prints`;
+    const results = [];
+    while (url) {
+      const json = await scheduler.requestJson(url, { timeout, signal });
+      if (Array.isArray(json.data)) results.push(...json.data);
+      url = json.has_more ? json.next_page : null;
+    }
+    return results;
+  },
+
+  searchCards: async (criteria = {}, { timeout = 15000, signal = null } = {}) => {
+    const query = buildScryfallQuery(criteria);
+    const json = await scheduler.requestJson(`${baseUrl}/cards/search?q=${encodeURIComponent(query)}`, { timeout, signal });
+    if (!json.data || !Array.isArray(json.data)) {
+      throw new Error('Invalid response format from Scryfall API');
+    }
+    return json.data;
+  },
+
+  fetchCardById: async (id, { timeout = 10000, signal = null } = {}) => {
+    try {
+      return await scheduler.requestJson(`${baseUrl}/cards/${encodeURIComponent(id)}`, { timeout, signal });
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  },
+
+  fetchRulings: async (id, { timeout = 10000, signal = null } = {}) => {
+    const json = await scheduler.requestJson(`${baseUrl}/cards/${encodeURIComponent(id)}/rulings`, { timeout, signal });
+    return Array.isArray(json.data) ? json.data : [];
+  },
+
+  fetchCardsByIdentifiers: async (identifiers, { timeout = 15000, signal = null } = {}) => {
+    const found = [];
+    const notFound = [];
+    for (let i = 0; i < identifiers.length; i += COLLECTION_BATCH_SIZE) {
+      const batch = identifiers.slice(i, i + COLLECTION_BATCH_SIZE);
+      const json = await scheduler.requestJson(`${baseUrl}/cards/collection`, { timeout, signal, body: { identifiers: batch } });
+      if (Array.isArray(json.data)) found.push(...json.data);
+      if (Array.isArray(json.not_found)) notFound.push(...json.not_found);
+    }
+    return { found, notFound };
+  }
+});
+
+/**
+ * Creates a card source backed by a locally stored Scryfall bulk-data dump
+ * (the "default_cards" or "all_cards" JSON array from https://scryfall.com/docs/api/bulk-data).
+ * Either pass the parsed card array directly (tests, fixtures) or a URL to load it from.
+ * @param {Object} options
+ * @param {Array} [options.cards] - Parsed bulk-data card array
+ * @param {string} [options.url] - URL of the bulk-data JSON file, loaded once on first query
+ * @param {Function} [options.random] - Random number generator returning [0, 1), defaults to Math.random
+ * @returns {Object} Card source
+ */
+export const createBulkDataCardSource = ({ cards = null, url = null, random = Math.random } = {}) => {
+  let loading = null;
+
+  const load = () => {
+    if (!loading) {
+      loading = (async () => {
+        let data = cards;
+        if (!data) {
+          if (!url) throw new Error('Bulk-data card source needs either cards or a url');
+          const response = await fetch(url);
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          }
+          data = await response.json();
+        }
+        if (!Array.isArray(data)) {
+          throw new Error('Bulk-data file must contain a JSON array of cards');
+        }
+        // Index by set code so set-scoped queries don't scan the whole dump
+        const bySet = new Map();
+        const byId = new Map();
+        for (const card of data) {
+          const key = String(card.set || '').toLowerCase();
+          if (!bySet.has(key)) bySet.set(key, []);
+          bySet.get(key).push(card);
+          byId.set(card.id, card);
+        }
+        return { all: data, bySet, byId };
+      })();
+      // Allow a retry after a failed load
+      loading.catch(() => { loading = null; });
+    }
+    return loading;
+  };
+
+  const findMatches = async (criteria = {}) => {
+    const { all, bySet } = await load();
+    const candidates = criteria.setCode
+      ? toList(criteria.setCode).flatMap(code => bySet.get(String(code).toLowerCase()) || [])
+      : all;
+    return candidates.filter(card => matchesCriteria(card, criteria));
+  };
+
+  return {
+    name: 'bulk',
+    local: true,
+
+    fetchRandomCard: async (criteria = {}) => {
+      try {
+        const matches = await findMatches(criteria);
+        if (matches.length === 0) return null;
+        return matches[Math.floor(random() * matches.length)];
+      } catch (error) {
+        console.warn('Bulk-data random card lookup failed:', error);
+        return null;
+      }
+    },
+
+    // All-cards dumps hold every language; pools only want the requested one
+    fetchSetCards: async (setCode, { lang = DEFAULT_LANGUAGE } = {}) => {
+      const { bySet } = await load();
+      return (bySet.get(String(setCode).toLowerCase()) || []).filter(card => getCardLanguage(card) === lang);
+    },
+
+    searchCards: async (criteria = {}) => findMatches(criteria),
+
+    fetchCardById: async (id) => {
+      const { byId } = await load();
+      return byId.get(id) || null;
+    },
+
+    // Rulings ship as a separate bulk file; the card dump has none
+    fetchRulings: async () => [],
+
+    fetchCardsByIdentifiers: async (identifiers) => {
+      const { all, bySet, byId } = await load();
+      const found = [];
+      const notFound = [];
+      for (const identifier of identifiers) {
+        const candidates = identifier.id
+          ? [byId.get(identifier.id)].filter(Boolean)
+          : identifier.set ? (bySet.get(String(identifier.set).toLowerCase()) || []) : all;
+        const card = candidates.find(candidate => matchesIdentifier(candidate, identifier));
+        if (card) found.push(card);
+        else notFound.push(identifier);
+      }
+      return { found, notFound };
+    }
+  };
+};
+
+let activeSource = null;
+
+/**
+ * Creates the card source selected in APP_CONFIG.
+ * @returns {Object} Card source
+ */
+const createConfiguredCardSource = () => {
+  if (APP_CONFIG.cardSource === 'bulk') {
+    return createBulkDataCardSource({ url: APP_CONFIG.bulkDataUrl });
+  }
+  return createScryfallCardSource();
+};
+
+/**
+ * Returns the active card source, creating the configured one on first use.
+ * @returns {Object} Card source
+ */
+export const getCardSource = () => {
+  if (!activeSource) {
+    activeSource = createConfiguredCardSource();
+  }
+  return activeSource;
+};
+
+/**
+ * Replaces the active card source (e.g. a bulk-data fixture in tests).
+ * Pass null to go back to the configured default.
+ * @param {Object|null} source - Card source
+ */
+export const setCardSource = (source) => {
+  activeSource = source;
+};
@@ -0,0 +1,109 @@
+/**
+ * Tests for local card matching and the bulk-data card source, against the hand-made
+ * Bloomburrow fixture in Scryfall's card format (src/__fixtures__/scryfall-blb.json).
+ */
+
+import cards from './__fixtures__/scryfall-blb.json';
+import { createBulkDataCardSource, matchesCriteria, matchesIdentifier } from './card-source';
+
+const byName = (name, lang = 'en') => cards.find(card => card.name === name && card.lang === lang);
+
+describe('matchesCriteria', () => {
+  const lookout = byName('Burrow Lookout');
+
+  it('matches set codes and rarities case-insensitively', () => {
+    expect(matchesCriteria(lookout, { setCode: 'BLB', rarity: 'Common' })).toBe(true);
+    expect(matchesCriteria(lookout, { setCode: ['dsk', 'blb'] })).toBe(true);
+    expect(matchesCriteria(lookout, { setCode: 'dsk' })).toBe(false);
+    expect(matchesCriteria(lookout, { rarity: 'uncommon' })).toBe(false);
+  });
+
+  it('needs every type word and none of the excluded type', () => {
+    expect(matchesCriteria(byName('Forest'), { type: 'land' })).toBe(true);
+    expect(matchesCriteria(byName('Forest'), { type: ['basic', 'land'] })).toBe(true);
+    expect(matchesCriteria(byName('Forest'), { type: 'land', excludeType: 'basic' })).toBe(false);
+    expect(matchesCriteria(byName('Lilypad Crossing'), { type: 'land', excludeType: 'basic' })).toBe(true);
+  });
+
+  it('reads foil availability from finishes', () => {
+    expect(matchesCriteria(byName('Season Wheel'), { foil: true })).toBe(true);
+    expect(matchesCriteria(byName('Season Wheel'), { foil: false })).toBe(false);
+    expect(matchesCriteria(byName('Bramble Warden'), { foil: true })).toBe(false);
+    expect(matchesCriteria(byName('Bramble Warden'), { foil: false, finish: 'nonfoil' })).toBe(true);
+    expect(matchesCriteria(lookout, { finish: 'etched' })).toBe(false);
+  });
+
+  it('matches layouts and languages', () => {
+    expect(matchesCriteria(byName('Rabbit'), { layout: ['token', 'emblem'] })).toBe(true);
+    expect(matchesCriteria(lookout, { layout: ['token', 'emblem'] })).toBe(false);
+    expect(matchesCriteria(byName('Burrow Lookout', 'ja'), { lang: 'ja' })).toBe(true);
+    expect(matchesCriteria(lookout, { lang: 'ja' })).toBe(false);
+    expect(matchesCriteria({ ...lookout, lang: undefined }, { lang: 'en' })).toBe(true);
+  });
+
+  it('never matches a missing card', () => {
+    expect(matchesCriteria(null, {})).toBe(false);
+  });
+});
+
+describe('matchesIdentifier', () => {
+  it('matches by id, set and collector number, or name', () => {
+    const lord = byName('Lord of the Warren');
+    expect(matchesIdentifier(lord, { id: lord.id })).toBe(true);
+    expect(matchesIdentifier(lord, { set: 'BLB', collector_number: '30' })).toBe(true);
+    expect(matchesIdentifier(lord, { set: 'blb', collector_number: '31' })).toBe(false);
+    expect(matchesIdentifier(lord, { name: 'lord of the warren', set: 'blb' })).toBe(true);
+  });
+
+  it('matches double-faced cards by their front face name', () => {
+    expect(matchesIdentifier({ name: 'Front // Back' }, { name: 'Front' })).toBe(true);
+  });
+});
+
+describe('createBulkDataCardSource', () => {
+  it('lists a set in one language', async () => {
+    const source = createBulkDataCardSource({ cards });
+    const english = await source.fetchSetCards('BLB');
+    expect(english.every(card => card.set === 'blb' && card.lang === 'en')).toBe(true);
+    expect(english).toHaveLength(cards.filter(card => card.set === 'blb' && card.lang === 'en').length);
+    expect((await source.fetchSetCards('blb', { lang: 'ja' })).map(card => card.name)).toEqual(['Burrow Lookout', 'Lord of the Warren']);
+    expect(await source.fetchSetCards('dsk')).toEqual([]);
+  });
+
+  it('samples random cards with its random number generator', async () => {
+    const source = createBulkDataCardSource({ cards, random: () => 0 });
+    const card = await source.fetchRandomCard({ setCode: 'blb', rarity: 'mythic' });
+    expect(card.name).toBe('Tidecaller of the Pond');
+    expect(await source.fetchRandomCard({ setCode: 'blb', rarity: 'special' })).toBeNull();
+  });
+
+  it('resolves identifiers and reports the ones it cannot find', async () => {
+    const source = createBulkDataCardSource({ cards });
+    const missing = { set: 'blb', collector_number: '999' };
+    const { found, notFound } = await source.fetchCardsByIdentifiers([
+      { set: 'blb', collector_number: '20' },
+      { name: 'Forest' },
+      missing
+    ]);
+    expect(found.map(card => card.name)).toEqual(['Briar Duelist', 'Forest']);
+    expect(notFound).toEqual([missing]);
+    expect((await source.fetchCardById(found[0].id)).name).toBe('Briar Duelist');
+    expect(await source.fetchCardById('nope')).toBeNull();
+  });
+
+  it('loads a bulk-data file once, and again after a failed load', async () => {
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: false, status: 503, statusText: 'Service Unavailable' })
+      .mockResolvedValue({ ok: true, json: async () => cards });
+    try {
+      const source = createBulkDataCardSource({ url: '/bulk/default-cards.json' });
+      await expect(source.searchCards({ setCode: 'blb' })).rejects.toThrow('HTTP 503');
+      expect(await source.searchCards({ setCode: 'blb', rarity: 'rare', lang: 'en' })).toHaveLength(2);
+      await source.searchCards({ setCode: 'tblb' });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Card treatments and finishes.
+ *
+ * Treatments are the "booster fun" frames of a print, read from Scryfall's frame_effects,
+ * border_color and full_art. Finishes are how a copy was printed: nonfoil, foil, etched, or
+ * one of the special foils Scryfall marks through promo_types (galaxy, surge, textured).
+ * Slots request both (see src/data/boosters.js); normalized cards keep the treatment of
+ * their print and the finish of the copy, which also decides the price column used.
+ */
+
+export const FINISHES = ['nonfoil', 'foil', 'etched', 'galaxy', 'surge', 'textured'];
+
+export const FINISH_LABELS = {
+  nonfoil: 'Non-foil',
+  foil: 'Foil',
+  etched: 'Etched foil',
+  galaxy: 'Galaxy foil',
+  surge: 'Surge foil',
+  textured: 'Textured foil'
+};
+
+// Special foils are regular foil prints flagged with a Scryfall promo type
+const FINISH_PROMO_TYPES = {
+  galaxy: 'galaxyfoil',
+  surge: 'surgefoil',
+  textured: 'textured'
+};
+
+// Named treatments and the Scryfall fields that identify them, in precedence order
+export const TREATMENTS = {
+  showcase: { frameEffect: 'showcase' },
+  borderless: { borderColor: 'borderless' },
+  extendedart: { frameEffect: 'extendedart' },
+  fullart: { fullArt: true }
+};
+
+export const TREATMENT_LABELS = {
+  showcase: 'Showcase',
+  borderless: 'Borderless',
+  extendedart: 'Extended art',
+  fullart: 'Full art'
+};
+
+// Fields a slot's treatment object may set (card-source.js criteria names)
+export const TREATMENT_FIELDS = ['frameEffect', 'borderColor', 'fullArt', 'promoType'];
+
+/**
+ * Checks whether a finish is one of the foil finishes.
+ * @param {string} finish - Finish
+ * @returns {boolean} Whether the finish is foil
+ */
+export const isFoilFinish = (finish) => FINISHES.includes(finish) && finish !== 'nonfoil';
+
+/**
+ * Returns a normalized card's finish, for entries saved before finishes were recorded.
+ * @param {Object} card - Collection card
+ * @returns {string} Finish
+ */
+export const getCardFinish = (card) => (FINISHES.includes(card?.finish) ? card.finish : card?.foil ? 'foil' : 'nonfoil');
+
+/**
+ * Works out which foil finish a foil copy of a raw Scryfall print has.
+ * @param {Object} card - Raw Scryfall card
+ * @returns {string} 'foil', 'etched' or a special foil finish
+ */
+const getRawFoilFinish = (card) => {
+  const promoTypes = Array.isArray(card?.promo_types) ? card.promo_types : [];
+  const special = Object.keys(FINISH_PROMO_TYPES).find(finish => promoTypes.includes(FINISH_PROMO_TYPES[finish]));
+  if (special) return special;
+  const finishes = Array.isArray(card?.finishes) ? card.finishes : [];
+  if (finishes.includes('etched') && !finishes.includes('foil')) return 'etched';
+  return 'foil';
+};
+
+/**
+ * Resolves the finish of a copy of a raw Scryfall print.
+ * A special finish the print doesn't come in (a slot that fell back to a regular card)
+ * becomes the print's own foil finish.
+ * @param {Object} card - Raw Scryfall card
+ * @param {boolean|string|null} requested - Finish the slot asked for: a finish name, true for
+ *   "some foil" (worked out from the print), false/null for nonfoil
+ * @returns {string} Finish
+ */
+export const resolveCardFinish = (card, requested) => {
+  if (requested !== true && !isFoilFinish(requested)) return 'nonfoil';
+  if (requested === 'etched' && Array.isArray(card?.finishes) && card.finishes.includes('etched')) return 'etched';
+  if (FINISH_PROMO_TYPES[requested] && Array.isArray(card?.promo_types) && card.promo_types.includes(FINISH_PROMO_TYPES[requested])) {
+    return requested;
+  }
+  return getRawFoilFinish(card);
+};
+
+/**
+ * Reads the treatment of a raw Scryfall print.
+ * @param {Object} card - Raw Scryfall card
+ * @returns {string|null} Treatment name, or null for a regular frame
+ */
+export const getRawCardTreatment = (card) => {
+  const frameEffects = Array.isArray(card?.frame_effects) ? card.frame_effects : [];
+  return Object.keys(TREATMENTS).find(name => {
+    const { frameEffect, borderColor, fullArt } = TREATMENTS[name];
+    if (frameEffect) return frameEffects.includes(frameEffect);
+    if (borderColor) return card?.border_color === borderColor;
+    return fullArt === true && card?.full_art === true;
+  }) || null;
+};
+
+/**
+ * Turns a slot's treatment (a name from TREATMENTS or an object of TREATMENT_FIELDS) into card criteria.
+ * @param {string|Object|null} treatment - Slot treatment
+ * @returns {Object} Criteria fields (empty when no treatment is requested)
+ */
+export const getTreatmentCriteria = (treatment) => {
+  if (!treatment) return {};
+  if (typeof treatment === 'string') return { ...(TREATMENTS[treatment] || {}) };
+  return Object.fromEntries(TREATMENT_FIELDS.filter(field => treatment[field] !== undefined).map(field => [field, treatment[field]]));
+};
+
+/**
+ * Turns a finish into card criteria.
+ * @param {string|null} finish - Finish requested by a slot
+ * @returns {Object} Criteria fields (empty when no finish is requested)
+ */
+export const getFinishCriteria = (finish) => {
+  if (finish === 'nonfoil') return { foil: false };
+  if (finish === 'foil') return { foil: true };
+  if (finish === 'etched') return { finish: 'etched' };
+  if (FINISH_PROMO_TYPES[finish]) return { foil: true, promoType: FINISH_PROMO_TYPES[finish] };
+  return {};
+};
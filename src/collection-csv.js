@@ -0,0 +1,303 @@
+/**
+ * Collection CSV export and import.
+ *
+ * Exports the collection in the layouts third-party collection trackers read (Moxfield,
+ * Deckbox, and the generic "Count,Name,Edition,Collector Number,Foil" layout ManaBox and
+ * most other tools accept). Rows are the same name/set/language/finish groups the Collection modal shows.
+ * Imports accept any of those layouts, resolve each row to a Scryfall card by set code and
+ * collector number (falling back to name), swap in the printing in the row's Language
+ * (matched by set and collector number, as packs do), and return collection entries in the
+ * shape formatCardData produces.
+ */
+
+import { getCardGroupKey } from './utils';
+import { fetchCardsByIdentifiers, formatCardData } from './mtg-api';
+import { getCardFinish } from './card-treatments';
+import { CARD_LANGUAGES, DEFAULT_LANGUAGE, getCardLanguage, getPrintingKey } from './card-languages';
+import { loadLanguagePrintings } from './card-pool';
+
+// Foil column value for a group: trackers only tell etched apart from other foils
+const getFoilColumn = (group, regular) => (group.finish === 'etched' ? 'etched' : group.foil ? 'foil' : regular);
+
+/**
+ * Export layouts: header row and how each group becomes a row.
+ * Every row function receives a group ({ count, name, set, setCode, collectorNumber, foil, finish, lang }).
+ */
+export const CSV_FORMATS = {
+  moxfield: {
+    label: 'Moxfield',
+    headers: ['Count', 'Tradelist Count', 'Name', 'Edition', 'Condition', 'Language', 'Foil', 'Tags', 'Last Modified', 'Collector Number', 'Alter', 'Proxy', 'Purchase Price'],
+    row: (group) => [group.count, 0, group.name, group.setCode, 'Near Mint', CARD_LANGUAGES[group.lang] || 'English', getFoilColumn(group, ''), '', '', group.collectorNumber, 'False', 'False', '']
+  },
+  deckbox: {
+    label: 'Deckbox',
+    headers: ['Count', 'Tradelist Count', 'Name', 'Edition', 'Card Number', 'Condition', 'Language', 'Foil', 'Signed', 'Artist Proof', 'Altered Art', 'Misprint', 'Promo', 'Textless', 'My Price'],
+    // Deckbox identifies editions by their full set name
+    row: (group) => [group.count, 0, group.name, group.set, group.collectorNumber, 'Near Mint', CARD_LANGUAGES[group.lang] || 'English', group.foil ? 'foil' : '', '', '', '', '', '', '', '']
+  },
+  generic: {
+    label: 'ManaBox / generic',
+    headers: ['Count', 'Name', 'Edition', 'Collector Number', 'Foil'],
+    row: (group) => [group.count, group.name, group.setCode, group.collectorNumber, getFoilColumn(group, 'normal')]
+  }
+};
+
+// Header names accepted on import, per field (lowercase)
+const IMPORT_COLUMNS = {
+  count: ['count', 'quantity', 'qty'],
+  name: ['name', 'card name', 'card'],
+  edition: ['edition', 'set code', 'set', 'edition code'],
+  collectorNumber: ['collector number', 'card number', 'collector_number', 'number'],
+  foil: ['foil', 'printing', 'finish'],
+  language: ['language', 'lang']
+};
+
+// Language column value (lowercase) -> Scryfall code: the names export writes, the codes
+// themselves, and the word order some trackers use for Chinese
+const LANGUAGE_VALUES = {
+  ...Object.fromEntries(Object.entries(CARD_LANGUAGES).flatMap(([code, label]) => [[code, code], [label.toLowerCase(), code]])),
+  'chinese simplified': 'zhs',
+  'chinese traditional': 'zht'
+};
+
+const FOIL_VALUES = new Set(['foil', 'etched', 'true', 'yes', '1']);
+
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Parses CSV text into rows of fields (RFC 4180: quoted fields, doubled quotes, embedded newlines).
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, blank lines skipped
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+  return rows;
+};
+
+/**
+ * Groups collection entries by name, set, language and finish, like the Collection modal.
+ * @param {Array} collection - Collection entries
+ * @returns {Array<Object>} Groups ({ count, name, set, setCode, collectorNumber, foil, finish, lang })
+ */
+export const groupCollectionForExport = (collection) => {
+  const groups = new Map();
+  for (const card of collection) {
+    const key = getCardGroupKey(card);
+    const group = groups.get(key);
+    if (group) {
+      group.count++;
+    } else {
+      groups.set(key, {
+        count: 1,
+        name: card.name,
+        set: card.set || '',
+        setCode: String(card.setCode || '').toLowerCase(),
+        collectorNumber: card.collectorNumber || '',
+        foil: !!card.foil,
+        finish: getCardFinish(card),
+        lang: getCardLanguage(card)
+      });
+    }
+  }
+  return Array.from(groups.values()).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Builds CSV text for the collection in one of the export layouts.
+ * @param {Array} collection - Collection entries
+ * @param {string} format - Key of CSV_FORMATS
+ * @returns {string} CSV text
+ */
+export const exportCollectionCsv = (collection, format = 'generic') => {
+  const layout = CSV_FORMATS[format];
+  if (!layout) throw new Error(`Unknown CSV format: ${format}`);
+  const lines = [layout.headers, ...groupCollectionForExport(collection).map(layout.row)]
+    .map(fields => fields.map(escapeCsvField).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Downloads the collection as a CSV file.
+ * @param {Array} collection - Collection entries
+ * @param {string} format - Key of CSV_FORMATS
+ */
+export const downloadCollectionCsv = (collection, format = 'generic') => {
+  const blob = new Blob([exportCollectionCsv(collection, format)], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `mtg-collection-${format}-${new Date().toISOString().slice(0, 10)}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Reads import rows from CSV text in any supported layout.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows ({ line, count, name, edition, collectorNumber, foil, finish, lang });
+ *   unknown or missing languages read as English
+ * @throws {Error} When there is no header row with a Name or Collector Number column
+ */
+export const parseCollectionCsv = (text) => {
+  const [header, ...body] = parseCsv(text);
+  if (!header) throw new Error('The CSV file is empty.');
+
+  const normalized = header.map(name => name.trim().toLowerCase());
+  const columns = Object.fromEntries(
+    Object.entries(IMPORT_COLUMNS).map(([field, names]) => [field, normalized.findIndex(name => names.includes(name))])
+  );
+  if (columns.name === -1 && columns.collectorNumber === -1) {
+    throw new Error('The CSV file needs a Name or Collector Number column.');
+  }
+
+  const read = (fields, column) => (column === -1 ? '' : String(fields[column] ?? '').trim());
+  return body.map((fields, index) => {
+    const count = parseInt(read(fields, columns.count) || '1', 10);
+    const foilValue = read(fields, columns.foil).toLowerCase();
+    const foil = FOIL_VALUES.has(foilValue);
+    return {
+      line: index + 2,
+      count: Number.isFinite(count) && count > 0 ? count : 0,
+      name: read(fields, columns.name),
+      edition: read(fields, columns.edition),
+      collectorNumber: read(fields, columns.collectorNumber),
+      foil,
+      // Etched is the only finish trackers name; other foils are worked out from the print
+      finish: foilValue === 'etched' ? 'etched' : foil,
+      lang: LANGUAGE_VALUES[read(fields, columns.language).toLowerCase()] || DEFAULT_LANGUAGE
+    };
+  }).filter(row => row.count > 0 && (row.name || row.collectorNumber));
+};
+
+/**
+ * Builds the Scryfall identifier for an import row.
+ * Editions may be set codes (Moxfield, ManaBox) or full set names (Deckbox); names are
+ * mapped to codes through the known packs and otherwise ignored.
+ * @param {Object} row - Import row
+ * @param {Object} setCodesByName - Lowercase set name -> set code
+ * @returns {Object|null} Identifier, or null when the row cannot be looked up
+ */
+const getRowIdentifier = (row, setCodesByName) => {
+  const edition = row.edition.toLowerCase();
+  const setCode = setCodesByName[edition] || (/^[a-z0-9]{2,6}$/.test(edition) ? edition : null);
+  if (setCode && row.collectorNumber) return { set: setCode, collector_number: row.collectorNumber };
+  if (setCode && row.name) return { name: row.name, set: setCode };
+  if (row.name) return { name: row.name };
+  return null;
+};
+
+/**
+ * Keeps the first rows whose copies fit in a number of cards, trimming the row that crosses it.
+ * @param {Array<Object>} rows - Import rows
+ * @param {number} limit - Cards that fit
+ * @returns {{ rows: Array<Object>, dropped: number }} Rows kept and the copies left out
+ */
+const capRows = (rows, limit) => {
+  const kept = [];
+  let remaining = Math.max(0, limit);
+  let dropped = 0;
+  for (const row of rows) {
+    const count = Math.min(row.count, remaining);
+    if (count > 0) kept.push(count === row.count ? row : { ...row, count });
+    dropped += row.count - count;
+    remaining -= count;
+  }
+  return { rows: kept, dropped };
+};
+
+/**
+ * Swaps resolved English cards for their printings in their rows' languages.
+ * Rows whose printing doesn't exist in the language keep the English card.
+ * @param {Array<{ row: Object, raw: Object }>} resolved - Rows and the raw cards they resolved to
+ * @returns {Promise<Array<Object>>} Raw cards, in the same order
+ */
+const localizeResolvedCards = async (resolved) => {
+  const printingLoads = new Map();
+  for (const { row, raw } of resolved) {
+    const key = `${raw.set}:${row.lang}`;
+    if (row.lang !== DEFAULT_LANGUAGE && !printingLoads.has(key)) printingLoads.set(key, loadLanguagePrintings(raw.set, row.lang));
+  }
+  const printings = new Map(await Promise.all(
+    [...printingLoads].map(async ([key, loading]) => [key, await loading])
+  ));
+  return resolved.map(({ row, raw }) => printings.get(`${raw.set}:${row.lang}`)?.get(getPrintingKey(raw)) || raw);
+};
+
+/**
+ * Resolves CSV rows to collection entries.
+ * Rows past `limit` copies are left out before any lookup, so a huge file doesn't cost a
+ * /cards/collection request per 75 rows it can't add.
+ * @param {string} text - CSV text in any supported layout
+ * @param {Object} [options]
+ * @param {Object} [options.packs] - Loaded packs, used to map Deckbox set names to codes
+ * @param {number} [options.limit] - Most cards to import (the collection's remaining space)
+ * @returns {Promise<{ cards: Array, unresolved: Array, dropped: number }>} New collection entries (one per copy),
+ *   rows that matched nothing and the copies left out by the limit
+ */
+export const importCollectionCsv = async (text, { packs = {}, limit = Infinity } = {}) => {
+  const { rows, dropped } = capRows(parseCollectionCsv(text), limit);
+  const setCodesByName = Object.values(packs).reduce((acc, pack) => {
+    if (pack?.setName && pack?.setCode) acc[pack.setName.toLowerCase()] = pack.setCode.toLowerCase();
+    return acc;
+  }, {});
+
+  const lookups = rows
+    .map(row => ({ row, identifier: getRowIdentifier(row, setCodesByName) }))
+    .filter(lookup => lookup.identifier);
+  const rawCards = await fetchCardsByIdentifiers(lookups.map(lookup => lookup.identifier));
+
+  const now = Date.now();
+  const cards = [];
+  const unresolved = rows.filter(row => !getRowIdentifier(row, setCodesByName));
+  const resolved = [];
+  lookups.forEach(({ row }, index) => {
+    if (rawCards[index]) resolved.push({ row, raw: rawCards[index] });
+    else unresolved.push(row);
+  });
+  const localized = await localizeResolvedCards(resolved);
+  resolved.forEach(({ row }, index) => {
+    for (let copy = 0; copy < row.count; copy++) {
+      cards.push({ ...formatCardData(localized[index], row.finish), dateObtained: now });
+    }
+  });
+  unresolved.sort((a, b) => a.line - b.line);
+  return { cards, unresolved, dropped };
+};
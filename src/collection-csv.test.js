@@ -0,0 +1,112 @@
+/**
+ * Tests for collection CSV export and import: every layout round-trips through the bulk-data
+ * card source loaded with the hand-made Bloomburrow fixture in Scryfall's card format
+ * (src/__fixtures__/scryfall-blb.json).
+ */
+
+import cards from './__fixtures__/scryfall-blb.json';
+import { createBulkDataCardSource, setCardSource } from './card-source';
+import { clearSetPools } from './card-pool';
+import { formatCardData } from './mtg-api';
+import { CSV_FORMATS, exportCollectionCsv, importCollectionCsv, parseCollectionCsv, parseCsv } from './collection-csv';
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const packs = { 'blb-play': { setCode: 'BLB', setName: 'Bloomburrow' } };
+const raw = (name, lang = 'en') => cards.find(card => card.name === name && card.lang === lang);
+
+const collection = [
+  formatCardData(raw('Burrow Lookout')),
+  formatCardData(raw('Burrow Lookout')),
+  formatCardData(raw('Burrow Lookout'), true),
+  formatCardData(raw('Burrow Lookout', 'ja')),
+  formatCardData(raw('Lord of the Warren', 'ja'), true),
+  formatCardData(raw('Tidecaller of the Pond'))
+];
+
+// What a round trip has to keep of an entry
+const summarize = (entries) => entries
+  .map(card => `${card.name}|${card.setCode}|${card.collectorNumber}|${card.lang}|${card.foil}`)
+  .sort();
+
+beforeEach(() => {
+  setCardSource(createBulkDataCardSource({ cards }));
+  clearSetPools();
+});
+
+afterAll(() => setCardSource(null));
+
+describe('parseCsv', () => {
+  it('reads quoted fields, doubled quotes and embedded newlines, skipping a BOM and blank lines', () => {
+    expect(parseCsv('\uFEFFa,"b, c","say ""hi""","two\nlines"\r\n\r\nd,e,f,g\n')).toEqual([
+      ['a', 'b, c', 'say "hi"', 'two\nlines'],
+      ['d', 'e', 'f', 'g']
+    ]);
+  });
+});
+
+describe('parseCollectionCsv', () => {
+  it('reads counts, finishes and languages under any accepted header', () => {
+    const rows = parseCollectionCsv('Qty,Card Name,Set Code,Number,Printing,Lang\n3,Forest,blb,41,normal,\n,Season Wheel,BLB,31,etched,JA\n0,Plains,blb,40,,\n');
+    expect(rows).toEqual([
+      { line: 2, count: 3, name: 'Forest', edition: 'blb', collectorNumber: '41', foil: false, finish: false, lang: 'en' },
+      { line: 3, count: 1, name: 'Season Wheel', edition: 'BLB', collectorNumber: '31', foil: true, finish: 'etched', lang: 'ja' }
+    ]);
+  });
+
+  it('needs a Name or Collector Number column', () => {
+    expect(() => parseCollectionCsv('')).toThrow('empty');
+    expect(() => parseCollectionCsv('Count,Edition\n1,blb\n')).toThrow('Name or Collector Number');
+  });
+});
+
+describe('exportCollectionCsv', () => {
+  it('writes one row per name, set, language and finish group', () => {
+    const [header, ...rows] = parseCsv(exportCollectionCsv(collection, 'moxfield'));
+    expect(header).toEqual(CSV_FORMATS.moxfield.headers);
+    expect(rows.map(row => [row[0], row[2], row[5], row[6]])).toEqual([
+      ['2', 'Burrow Lookout', 'English', ''],
+      ['1', 'Burrow Lookout', 'English', 'foil'],
+      ['1', 'Burrow Lookout', 'Japanese', ''],
+      ['1', 'Lord of the Warren', 'Japanese', 'foil'],
+      ['1', 'Tidecaller of the Pond', 'English', '']
+    ]);
+  });
+
+  it('rejects unknown layouts', () => {
+    expect(() => exportCollectionCsv(collection, 'excel')).toThrow('Unknown CSV format');
+  });
+});
+
+describe('importCollectionCsv', () => {
+  it.each(Object.keys(CSV_FORMATS))('round-trips the %s layout', async (format) => {
+    const { cards: imported, unresolved, dropped } = await importCollectionCsv(exportCollectionCsv(collection, format), { packs });
+    expect(unresolved).toEqual([]);
+    expect(dropped).toBe(0);
+    const expected = format === 'generic' ? collection.map(card => ({ ...card, lang: 'en' })) : collection;
+    expect(summarize(imported)).toEqual(summarize(expected));
+  });
+
+  it('keeps the printing in the row language', async () => {
+    const { cards: imported } = await importCollectionCsv('Count,Name,Edition,Collector Number,Language\n1,Lord of the Warren,blb,30,Japanese\n');
+    expect(imported[0]).toMatchObject({ lang: 'ja', printedName: raw('Lord of the Warren', 'ja').printed_name, price: 6 });
+  });
+
+  it('keeps English cards whose printing does not exist in the row language', async () => {
+    const { cards: imported } = await importCollectionCsv('Count,Name,Edition,Collector Number,Language\n1,Forest,blb,41,German\n');
+    expect(imported[0]).toMatchObject({ name: 'Forest', lang: 'en' });
+  });
+
+  it('reports rows that match no card', async () => {
+    const { cards: imported, unresolved } = await importCollectionCsv('Count,Name,Edition\n1,Forest,blb\n2,Not A Card,blb\n1,,\n');
+    expect(imported.map(card => card.name)).toEqual(['Forest']);
+    expect(unresolved.map(row => row.name)).toEqual(['Not A Card']);
+  });
+
+  it('leaves out copies past the limit', async () => {
+    const { cards: imported, dropped } = await importCollectionCsv('Count,Name,Edition\n3,Forest,blb\n2,Plains,blb\n', { limit: 4 });
+    expect(imported.map(card => card.name)).toEqual(['Forest', 'Forest', 'Forest', 'Plains']);
+    expect(dropped).toBe(1);
+  });
+});
@@ -1,5 +1,6 @@
-import React, { useCallback } from 'react';
+import React, { useCallback, useState } from 'react';
 import { motion } from 'framer-motion';
+import { Copy, Check } from 'lucide-react';
 import styles from './ActionButtons.module.css';
 
 /**
@@ -10,9 +11,12 @@ import styles from './ActionButtons.module.css';
  * @param {Array} props.cards - Array of current cards
  * @param {Function} props.onAction - Function to handle button click (either reveal or collect)
  * @param {boolean} props.allCardsFlipped - True if all cards are flipped, false otherwise
+ * @param {string} [props.packSeed] - Share code of the pack on screen ("<packType>:<seed>")
+ * @param {boolean} [props.isReplay] - Whether the pack is a replay that was not added to the collection
  * @returns {JSX.Element} The rendered action buttons component
  */
-const ActionButtons = ({ flippedCards, cards, onAction, allCardsFlipped }) => {
+const ActionButtons = ({ flippedCards, cards, onAction, allCardsFlipped, packSeed = null, isReplay = false }) => {
+  const [copied, setCopied] = useState(false);
   const buttonText = allCardsFlipped ? 'Continue' : 'Reveal All';
   const actionType = allCardsFlipped ? 'collect' : 'reveal';
 
@@ -20,6 +24,15 @@ const ActionButtons = ({ flippedCards, cards, onAction, allCardsFlipped }) => {
     onAction(actionType);
   }, [onAction, actionType]);
 
+  const copySeed = useCallback(() => {
+    navigator.clipboard?.writeText(packSeed)
+      .then(() => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 1500);
+      })
+      .catch(e => console.warn('Failed copying pack seed:', e));
+  }, [packSeed]);
+
   const containerAnimation = {
     initial: { opacity: 0, y: 20 },
     animate: { opacity: 1, y: 0 },
@@ -43,6 +56,16 @@ const ActionButtons = ({ flippedCards, cards, onAction, allCardsFlipped }) => {
       >
         {buttonText}
       </motion.button>
+      {packSeed && (
+        <div className={styles.seedInfo}>
+          <span>{isReplay ? 'Replay of' : 'Pack seed'}</span>
+          <code className={styles.seedCode}>{packSeed}</code>
+          <button className={styles.copyButton} onClick={copySeed} title="Copy pack seed">
+            {copied ? <Check size={14} /> : <Copy size={14} />}
+          </button>
+          {isReplay && <span className={styles.replayNote}>Not added to your collection</span>}
+        </div>
+      )}
     </motion.div>
   );
 };
@@ -2,7 +2,14 @@ import React, { useCallback, useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence, useAnimation } from 'framer-motion';
 import { X } from 'lucide-react';
 import styles from './CardDisplay.module.css';
+import FinishOverlay from './FinishOverlay';
+import CardFacePreview from './CardFacePreview';
 import { isValidRarity, validateCard } from '../utils';
+import { FINISH_LABELS, TREATMENT_LABELS, getCardFinish } from '../card-treatments';
+import { CARD_LANGUAGES, DEFAULT_LANGUAGE, getCardLanguage } from '../card-languages';
+import { getBackImage, getDisplayFaces } from '../card-faces';
+import { getCardImage } from '../card-images';
+import { formatMoney, getSaleValue } from '../currencies';
 
 const Card = ({ card, index, isFlipped, onFlip, getAuraColor, onPreview, animatingOut }) => {
   const controls = useAnimation();
@@ -44,6 +51,9 @@ const Card = ({ card, index, isFlipped, onFlip, getAuraColor, onPreview, animati
     }
   }, [isFlipped, controls]);
   
+  // Two-sided cards show their other side face down; everything else a regular card back
+  const backImage = getBackImage(card);
+
   const getRarityAuraStyle = (rarity) => {
     const safeRarity = isValidRarity(rarity) ? rarity : 'common';
     const auraColor = getAuraColor(safeRarity);
@@ -76,24 +86,17 @@ const Card = ({ card, index, isFlipped, onFlip, getAuraColor, onPreview, animati
           animate={{ rotateY: isFlipped ? 180 : 0 }}
           transition={{ duration: 0.6 }}
         >
-          {/* BACK: for single-face cards show card back, for double-faced show the second face */}
+          {/* BACK: for single-face cards show card back, for two-sided cards show the other side */}
           <div className={styles.cardBack}>
             <img
-              src={card.card_faces ? (card.card_faces[1] || card.image) : `${process.env.PUBLIC_URL}/assets/card_back.jpg`}
+              src={backImage || `${process.env.PUBLIC_URL}/assets/card_back.jpg`}
               alt={card.name}
               className={styles.cardBackImage}
             />
-            {/* Optional subtle foil overlay on back face if foil */}
-            {card.foil && card.card_faces && (
-              <motion.div
-                className={styles.foilOverlay}
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 0.6 }}
-                transition={{ duration: 0.5 }}
-              />
-            )}
+            {/* Optional subtle finish overlay on back face if foil */}
+            {backImage && <FinishOverlay card={card} opacity={0.6} />}
           </div>
-          {/* FRONT: for double-face, show first face; otherwise card.image */}
+          {/* FRONT: the card's front face */}
           <motion.div
             className={styles.cardFront}
             initial={{ opacity: 0 }}
@@ -101,18 +104,11 @@ const Card = ({ card, index, isFlipped, onFlip, getAuraColor, onPreview, animati
             transition={{ duration: 0.1, delay: 0.2 }}
           >
             <img
-              src={card.card_faces ? (card.card_faces[0] || card.image) : card.image}
+              src={getCardImage(getDisplayFaces(card)[0], 'normal')}
               alt={card.name}
               className={styles.cardImage}
             />
-            {card.foil && (
-              <motion.div
-                className={styles.foilOverlay}
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                transition={{ duration: 0.5 }}
-              />
-            )}
+            <FinishOverlay card={card} />
           </motion.div>
         </motion.div>
       </motion.div>
@@ -128,14 +124,10 @@ const Card = ({ card, index, isFlipped, onFlip, getAuraColor, onPreview, animati
   );
 };
 
-const CardDisplay = ({ cards, flippedCards, flipCard, getAuraColor, animatingOut }) => {
+const CardDisplay = ({ cards, flippedCards, flipCard, getAuraColor, animatingOut, currency }) => {
   const [previewCard, setPreviewCard] = useState(null);
-  const [showFrontFaceInPreview, setShowFrontFaceInPreview] = useState(true); // New state for preview card face
 
-  const showCardPreview = useCallback((card) => {
-    setPreviewCard(card);
-    setShowFrontFaceInPreview(true); // Reset to front face when opening new preview
-  }, []);
+  const showCardPreview = useCallback((card) => setPreviewCard(card), []);
   const closePreview = useCallback(() => setPreviewCard(null), []);
 
   return (
@@ -180,36 +172,7 @@ const CardDisplay = ({ cards, flippedCards, flipCard, getAuraColor, animatingOut
               <button className={styles.previewCloseButton} onClick={closePreview}>
                 <X size={24} />
               </button>
-              <motion.div
-                className={styles.previewImageWrapper}
-                onClick={() => previewCard.card_faces && setShowFrontFaceInPreview(prev => !prev)}
-                animate={{ rotateY: showFrontFaceInPreview ? 0 : 180 }}
-                transition={{ duration: 0.5 }}
-                style={{ perspective: '1200px', transformStyle: 'preserve-3d' }}
-              >
-                <img
-                  src={previewCard.card_faces ? previewCard.card_faces[0] : previewCard.image}
-                  alt={previewCard.name}
-                  className={styles.previewImage}
-                  style={{ backfaceVisibility: 'hidden' }}
-                />
-                {previewCard.card_faces && (
-                  <img
-                    src={previewCard.card_faces[1]}
-                    alt={previewCard.name}
-                    className={styles.previewImage}
-                    style={{ position: 'absolute', top: 0, left: 0, backfaceVisibility: 'hidden', transform: 'rotateY(180deg)' }}
-                  />
-                )}
-                {previewCard.foil && (
-                  <motion.div
-                    className={styles.foilOverlay}
-                    initial={{ opacity: 0 }}
-                    animate={{ opacity: 1 }}
-                    transition={{ duration: 0.5 }}
-                  />
-                )}
-              </motion.div>
+              <CardFacePreview key={previewCard.id} card={previewCard} />
               <div className={styles.previewInfo}>
                 <h3 className={styles.previewName}>{previewCard.name}</h3>
                 <div className={styles.previewDetails}>
@@ -224,8 +187,10 @@ const CardDisplay = ({ cards, flippedCards, flipCard, getAuraColor, animatingOut
                       {previewCard.set} ({String(previewCard.setCode).toUpperCase()})
                     </a>
                   )}
-                  {previewCard.foil && <span className={styles.foilTag}>FOIL</span>}
-                  <span className={styles.previewPrice}>${previewCard.price ? previewCard.price.toFixed(2) : '0.10'}</span>
+                  {previewCard.treatment && <span className={styles.treatmentTag}>{TREATMENT_LABELS[previewCard.treatment] || previewCard.treatment}</span>}
+                  {getCardLanguage(previewCard) !== DEFAULT_LANGUAGE && <span className={styles.treatmentTag} title={previewCard.printedName || undefined}>{CARD_LANGUAGES[getCardLanguage(previewCard)] || getCardLanguage(previewCard)}</span>}
+                  {previewCard.foil && <span className={styles.foilTag}>{FINISH_LABELS[getCardFinish(previewCard)]}</span>}
+                  <span className={styles.previewPrice}>{formatMoney(getSaleValue(previewCard, currency), currency)}</span>
                 </div>
               </div>
             </motion.div>
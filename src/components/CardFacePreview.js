@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import cardDisplayStyles from './CardDisplay.module.css';
+import styles from './CardFacePreview.module.css';
+import FinishOverlay from './FinishOverlay';
+import { getMeldPartner, getPreviewFaces } from '../card-faces';
+import { getCardImage } from '../card-images';
+
+// Scale that fits a card turned sideways into the portrait preview frame
+const SIDEWAYS_SCALE = 0.72;
+
+/**
+ * Large card image for previews, stepping through the card's faces on click: two-sided cards
+ * turn over, split cards and battles show sideways, the second half of flip cards upside
+ * down, and meld halves turn over to the card they meld into (see card-faces.js).
+ * Give it a `key` per card so it starts on the front face.
+ * @param {Object} props - Component props
+ * @param {Object} props.card - Normalized card
+ * @returns {JSX.Element} The rendered preview
+ */
+const CardFacePreview = ({ card }) => {
+  const [faceIndex, setFaceIndex] = useState(0);
+  const faces = getPreviewFaces(card);
+  const face = faces[faceIndex] || faces[0];
+  const frontImage = faces[0].image;
+  // Faces on the front image rotate in place; a face with its own image is on the other side
+  const backFace = faces.find(f => f.image !== frontImage) || null;
+  const showingBack = face.image !== frontImage;
+  const sideways = Math.abs(face.rotation) === 90;
+  const partner = getMeldPartner(card);
+  const meldParts = card.meld && !partner ? card.meld.parts : null;
+
+  return (
+    <>
+      <motion.div
+        className={cardDisplayStyles.previewImageWrapper}
+        onClick={() => faces.length > 1 && setFaceIndex(prev => (prev + 1) % faces.length)}
+        animate={{ rotateY: showingBack ? 180 : 0, rotate: face.rotation, scale: sideways ? SIDEWAYS_SCALE : 1 }}
+        transition={{ duration: 0.5 }}
+        style={{ perspective: '1200px', transformStyle: 'preserve-3d', cursor: faces.length > 1 ? 'pointer' : 'default' }}
+      >
+        <img src={getCardImage(faces[0], 'large')} alt={card.name} className={cardDisplayStyles.previewImage} style={{ backfaceVisibility: 'hidden' }} />
+        {backFace && (
+          <img
+            src={getCardImage(backFace, 'large')}
+            alt={face.name}
+            className={cardDisplayStyles.previewImage}
+            style={{ position: 'absolute', top: 0, left: 0, backfaceVisibility: 'hidden', transform: 'rotateY(180deg)' }}
+          />
+        )}
+        <FinishOverlay card={card} />
+      </motion.div>
+      {faces.length > 1 && (
+        <div className={styles.faceCaption}>
+          <span className={styles.faceName}>{face.name}</span>
+          <span className={styles.faceType}>{face.type}</span>
+          <span className={styles.faceHint}>Face {faceIndex + 1} of {faces.length}, click the card for the next one</span>
+        </div>
+      )}
+      {partner && (
+        <div className={styles.meldLink}>Melds with {partner} into {card.meld.result.name}</div>
+      )}
+      {meldParts && meldParts.length > 0 && (
+        <div className={styles.meldLink}>Melded from {meldParts.join(' and ')}</div>
+      )}
+    </>
+  );
+};
+
+export default CardFacePreview;
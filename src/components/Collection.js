@@ -1,28 +1,45 @@
 import React, { useCallback, useState, useMemo, useRef, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { BookOpen, X, Filter } from 'lucide-react';
+import { BookOpen, X, Filter, Database, Download, Upload, FileSpreadsheet, RefreshCw } from 'lucide-react';
 import { FixedSizeList } from 'react-window'; // Import FixedSizeList
 import { Helmet } from 'react-helmet-async';
 import styles from './Collection.module.css';
 import cardDisplayStyles from './CardDisplay.module.css'; // Import CardDisplay styles
-import { isValidRarity } from '../utils';
-import { fetchAllCardsInSet } from '../mtg-api';
-
-const Collection = ({ collection, showCollection, setShowCollection, getRarityColor, setCollection, setMoney, packs }) => {
+import { isValidRarity, getCardGroupKey } from '../utils';
+import { APP_CONFIG } from '../config';
+import { fetchAllCardsInSet, clearCardDataCache } from '../mtg-api';
+import { getCacheStats } from '../card-cache';
+import { clearSaveData } from '../storage';
+import { CSV_FORMATS, downloadCollectionCsv, importCollectionCsv } from '../collection-csv';
+import { useNotification } from './NotificationProvider';
+import CardFacePreview from './CardFacePreview';
+import PriceTrend from './PriceTrend';
+import { FINISHES, FINISH_LABELS, TREATMENTS, TREATMENT_LABELS, getCardFinish } from '../card-treatments';
+import { CARD_LANGUAGES, DEFAULT_LANGUAGE, getCardLanguage } from '../card-languages';
+import { getCardImage } from '../card-images';
+import { groupPacksBySet } from '../booster-products';
+import { formatMoney, getCardValue, getSaleCents } from '../currencies';
+
+const Collection = ({ collection, showCollection, setShowCollection, getRarityColor, setCollection, addTransaction, packs, onExportSave, onImportSave, priceHistory, onRefreshPrices, isRefreshingPrices, currency }) => {
   const [previewCard, setPreviewCard] = useState(null);
-  const [previewFace, setPreviewFace] = useState(0);
   const [sortOption, setSortOption] = useState('name');
   const [filterRarity, setFilterRarity] = useState('all');
-  const [filterFoil, setFilterFoil] = useState('all'); // New state for foil filter
+  const [filterFoil, setFilterFoil] = useState('all'); // 'all', 'nonfoil', 'anyfoil' or a foil finish (see card-treatments.js)
+  const [filterTreatment, setFilterTreatment] = useState('all'); // 'all', 'regular' or a treatment name
+  const [filterBonus, setFilterBonus] = useState('all'); // 'all', 'hide' or 'only' bonus cards (tokens, emblems, art cards)
   const [filterType, setFilterType] = useState('all'); // New state for type filter
   const [showFilters, setShowFilters] = useState(false);
   const [columnCount, setColumnCount] = useState(1); // New state for column count
   // Set filter state
   const [selectedSetCode, setSelectedSetCode] = useState('all');
-  // Cache full set contents per setCode
-  const fullSetCacheRef = useRef(new Map());
+  // Full set contents are cached persistently by the card cache (see card-cache.js)
   const [fullSetCards, setFullSetCards] = useState([]);
   const [isLoadingSet, setIsLoadingSet] = useState(false);
+  const importInputRef = useRef(null);
+  const [showCsvControls, setShowCsvControls] = useState(false);
+  const [isImportingCsv, setIsImportingCsv] = useState(false);
+  const csvInputRef = useRef(null);
+  const { addNotification } = useNotification();
 
   const cardTypes = useMemo(() => [
     "All", "Creature", "Instant", "Sorcery", "Land", "Artifact", "Enchantment",
@@ -32,13 +49,64 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
   const toggleCollection = useCallback(() => setShowCollection(prev => !prev), [setShowCollection]);
   const closeCollection = useCallback(() => setShowCollection(false), [setShowCollection]);
 
-  const showCardPreview = useCallback((card) => {
-    setPreviewCard(card);
-    setPreviewFace(0);
-  }, []);
+  const showCardPreview = useCallback((card) => setPreviewCard(card), []);
 
   const closePreview = useCallback(() => setPreviewCard(null), []);
 
+  // Show what the card data cache holds and offer to clear it
+  const manageCardCache = useCallback(async () => {
+    try {
+      const stats = await getCacheStats();
+      const megabytes = (stats.bytes / (1024 * 1024)).toFixed(1);
+      const budget = (stats.budget / (1024 * 1024)).toFixed(0);
+      const kinds = Object.entries(stats.byKind)
+        .map(([kind, info]) => `${kind}: ${info.entries}`)
+        .join(', ');
+      const confirmClear = window.confirm(
+        `Card data cache: ${stats.entries} entries, ${megabytes} MB of ${budget} MB` +
+        `${kinds ? ` (${kinds})` : ''}.\n\nClear it? Sets will be downloaded again the next time they are needed. Your collection is not affected.`
+      );
+      if (!confirmClear) return;
+      await clearCardDataCache();
+    } catch (e) {
+      console.warn('Failed managing card cache:', e);
+    }
+  }, []);
+
+  // Resolve a third-party collection CSV and add its cards after confirmation
+  const importCsv = useCallback(async (file) => {
+    const remainingSpace = APP_CONFIG.maxCollectionSize - collection.length;
+    if (remainingSpace <= 0) {
+      addNotification({ message: `Your collection is full (${APP_CONFIG.maxCollectionSize} cards).`, type: 'error', duration: 5000 });
+      return;
+    }
+    setIsImportingCsv(true);
+    try {
+      const { cards, unresolved, dropped } = await importCollectionCsv(await file.text(), { packs, limit: remainingSpace });
+      const skipped = unresolved.length > 0
+        ? `\n\n${unresolved.length} rows could not be matched and will be skipped:\n` +
+          unresolved.slice(0, 10).map(row => `  line ${row.line}: ${row.name || row.collectorNumber} (${row.edition || 'no set'})`).join('\n') +
+          (unresolved.length > 10 ? '\n  …' : '')
+        : '';
+      if (cards.length === 0) {
+        addNotification({ message: 'No cards in that CSV could be matched.', type: 'error', duration: 5000 });
+        return;
+      }
+      const capped = dropped > 0
+        ? `\n\nYour collection has room for ${remainingSpace} more cards (of ${APP_CONFIG.maxCollectionSize}); the last ${dropped} cards in the file will be left out.`
+        : '';
+      if (!window.confirm(`Add ${cards.length} cards from ${file.name} to your collection?${capped}${skipped}`)) return;
+      // Cards may have been added while the rows were resolved
+      setCollection(prev => [...prev, ...cards.slice(0, Math.max(0, APP_CONFIG.maxCollectionSize - prev.length))]);
+      addNotification({ message: `Imported ${cards.length} cards.`, type: 'success' });
+    } catch (e) {
+      console.warn('Failed importing collection CSV:', e);
+      addNotification({ message: `CSV import failed: ${e.message}`, type: 'error', duration: 5000 });
+    } finally {
+      setIsImportingCsv(false);
+    }
+  }, [collection.length, packs, setCollection, addNotification]);
+
   const getCardImageStyle = useCallback((rarity) => { // Wrapped in useCallback
     const safeRarity = isValidRarity(rarity) ? rarity : 'common'; // Corrected typo
     return { borderColor: getRarityColor(safeRarity) };
@@ -55,16 +123,18 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
     sellQueueRef.current = 0;
 
     // Batch state updates in a single mutation to keep react-window stable
-    let soldValue = 0;
+    let soldValue = 0; // cents
+    let soldCard = null;
     let remainingToRemove = toSell;
 
     // Prefer removing by unique instance id to avoid unintended removals
     const newCollection = [];
     for (const card of collection) {
-      const key = `${card.name}-${(card.set || 'unknown')}-${card.foil ? 'foil' : 'nonfoil'}`;
+      const key = getCardGroupKey(card);
       if (remainingToRemove > 0 && key === (cardDisplayCandidateRef.current?.groupKey ?? '')) {
         // remove this instance
-        soldValue += card.price || 0.10;
+        soldValue += getSaleCents(card, currency);
+        soldCard = card;
         remainingToRemove -= 1;
       } else {
         newCollection.push(card);
@@ -73,7 +143,15 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
 
     // Commit the batched state updates
     setCollection(newCollection);
-    setMoney(prev => prev + soldValue);
+    if (soldCard) {
+      const sold = toSell - remainingToRemove;
+      addTransaction({
+        type: 'sale',
+        amount: soldValue,
+        reference: soldCard.originalId || soldCard.id,
+        description: `${sold > 1 ? `${sold}× ` : ''}${soldCard.name} (${soldCard.setCode || soldCard.set})`
+      });
+    }
 
     // Let the UI settle before allowing next batch
     setTimeout(() => {
@@ -83,23 +161,21 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
         processSellQueue();
       }
     }, 16); // roughly one frame (~60fps)
-  }, [collection, setCollection, setMoney]);
+  }, [collection, setCollection, addTransaction, currency]);
 
   // Keep track of last clicked "group" candidate to scope deletions correctly
   const cardDisplayCandidateRef = useRef(null);
 
   const sellCard = useCallback((cardToSell, count = 1) => {
     // Remember which grouped card we are operating on (use stable group key)
-    const key =
-      cardToSell.__groupKey ||
-      `${cardToSell.name}-${(cardToSell.set || 'unknown')}-${cardToSell.foil ? 'foil' : 'nonfoil'}`;
+    const key = cardToSell.__groupKey || getCardGroupKey(cardToSell);
     cardDisplayCandidateRef.current = { groupKey: key };
     // Queue the amount to sell and process in a batched manner
     sellQueueRef.current += Math.max(1, count);
     processSellQueue();
   }, [processSellQueue]);
 
-  // Fetch full set contents when a set is selected; cached per-set
+  // Fetch full set contents when a set is selected; read through the card cache
   useEffect(() => {
     let active = true;
     const load = async () => {
@@ -108,15 +184,10 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
         return;
       }
       const key = selectedSetCode.toLowerCase();
-      if (fullSetCacheRef.current.has(key)) {
-        setFullSetCards(fullSetCacheRef.current.get(key));
-        return;
-      }
       setIsLoadingSet(true);
       try {
         const all = await fetchAllCardsInSet(key);
         if (!active) return;
-        fullSetCacheRef.current.set(key, all);
         setFullSetCards(all);
       } catch (e) {
         console.warn('Failed loading full set cards:', e);
@@ -138,8 +209,18 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
       filtered = filtered.filter(card => card.rarity === filterRarity);
     }
 
-    if (filterFoil !== 'all') {
-      filtered = filtered.filter(card => (filterFoil === 'foil' ? card.foil : !card.foil));
+    if (filterFoil === 'anyfoil') {
+      filtered = filtered.filter(card => card.foil);
+    } else if (filterFoil !== 'all') {
+      filtered = filtered.filter(card => getCardFinish(card) === filterFoil);
+    }
+
+    if (filterTreatment !== 'all') {
+      filtered = filtered.filter(card => (card.treatment || 'regular') === filterTreatment);
+    }
+
+    if (filterBonus !== 'all') {
+      filtered = filtered.filter(card => (card.rarity === 'bonus') === (filterBonus === 'only'));
     }
 
     if (filterType !== 'all') {
@@ -155,7 +236,7 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
       switch (sortOption) {
         case 'name': return a.name.localeCompare(b.name);
         case 'rarity': return a.rarity.localeCompare(b.rarity);
-        case 'price': return (b.price || 0) - (a.price || 0);
+        case 'price': return getCardValue(b, currency) - getCardValue(a, currency);
         case 'set': return (a.set || '').localeCompare(b.set || '');
         case 'setOrder': {
           // Only meaningful when a single set is selected; fallback to collectorNumber compare
@@ -172,12 +253,12 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
         default: return 0;
       }
     });
-  }, [collection, filterRarity, filterFoil, filterType, sortOption, selectedSetCode]);
+  }, [collection, filterRarity, filterFoil, filterTreatment, filterBonus, filterType, sortOption, selectedSetCode, currency]);
 
   // Group owned cards
   const groupedOwned = useMemo(() => {
     return processedCards.reduce((acc, card) => {
-      const key = `${card.name}-${card.set || 'unknown'}-${card.foil ? 'foil' : 'nonfoil'}`;
+      const key = getCardGroupKey(card);
       if (!acc[key]) {
         acc[key] = { ...card, count: 1, totalPrice: card.price || 0.10, foil: card.foil, __groupKey: key };
       } else {
@@ -197,13 +278,10 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
 
     const merged = { ...groupedOwned };
 
-    // Build a name+set index of owned cards considering BOTH nonfoil and foil as owned
+    // Build a name+set index of owned cards considering every finish and language as owned
     // This only affects the set-filter view; global grouping logic elsewhere remains unchanged.
     const ownedNameSet = new Set(
-      Object.keys(groupedOwned).map(k => {
-        // Normalize to "Name-Set" by stripping the "-foil"/"-nonfoil" suffix
-        return k.replace(/-(foil|nonfoil)$/i, '');
-      })
+      Object.values(groupedOwned).map(group => `${group.name}-${group.set || 'unknown'}`)
     );
 
     for (const c of fullSetCards) {
@@ -220,8 +298,7 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
           __groupKey: key,
           count: 0,
           totalPrice: 0,
-          foil: false,
-          price: 0
+          foil: false
         };
       }
     }
@@ -250,9 +327,9 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
   }, [groupedCards, selectedSetCode, sortOption]);
 
   // Row component for FixedSizeList
-  // itemData will contain { groupedCardsArray, getCardImageStyle, showCardPreview, sellCard, columnCount }
+  // itemData will contain { groupedCardsArray, getCardImageStyle, showCardPreview, sellCard, columnCount, currency }
   const Row = useCallback(({ index, style, data }) => {
-    const { groupedCardsArray, getCardImageStyle, showCardPreview, sellCard, columnCount } = data;
+    const { groupedCardsArray, getCardImageStyle, showCardPreview, sellCard, columnCount, currency } = data;
     const startIndex = index * columnCount;
     const endIndex = Math.min(startIndex + columnCount, groupedCardsArray.length);
 
@@ -272,7 +349,7 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
 
           return (
             <motion.div
-              key={`${cardGroup.name}-${cardGroup.set || 'unknown'}-${cardGroup.foil ? 'foil' : 'nonfoil'}`}
+              key={getCardGroupKey(cardGroup)}
               className={`${styles.cardWrapper} ${cardGroup.foil ? styles.foilCardBackground : ''}`}
               animate={{ opacity: 1, scale: 1 }}
               transition={{ delay: (startIndex + colIndex) * 0.02 }}
@@ -280,7 +357,7 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
             >
               <div className={styles.cardContainer}>
                 <motion.img
-                  src={cardGroup.image}
+                  src={getCardImage(cardGroup, 'small')}
                   alt={cardGroup.name}
                   className={`${styles.cardImage} ${cardGroup.count === 0 ? styles.missingCardImage : ''}`}
                   style={getCardImageStyle(cardGroup.rarity)}
@@ -302,7 +379,7 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
                         {cardGroup.set}
                       </a>
                     )}
-                    <span className={styles.cardPrice}>${cardGroup.price.toFixed(2)}</span>
+                    <span className={styles.cardPrice}>{formatMoney(getCardValue(cardGroup, currency), currency)}</span>
                   </div>
                   <div className={styles.cardActions}>
                     <span className={styles.cardCount}>{cardGroup.count} {cardGroup.count === 1 ? 'copy' : 'copies'}</span>
@@ -340,7 +417,9 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
     const calculateDimensions = () => {
       if (modalContentRef.current) {
         const headerHeight = modalContentRef.current.querySelector(`.${styles.modalHeader}`).offsetHeight;
-        const filterControlsHeight = showFilters ? modalContentRef.current.querySelector(`.${styles.filterControls}`).offsetHeight : 0;
+        // Filter and CSV panels share the filterControls class
+        const filterControlsHeight = Array.from(modalContentRef.current.querySelectorAll(`.${styles.filterControls}`))
+          .reduce((sum, panel) => sum + panel.offsetHeight, 0);
         const padding = parseFloat(getComputedStyle(modalContentRef.current).paddingTop) + parseFloat(getComputedStyle(modalContentRef.current).paddingBottom);
         
         setListHeight(Math.max(0, modalContentRef.current.clientHeight - headerHeight - filterControlsHeight - padding));
@@ -356,7 +435,7 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
 
     window.addEventListener('resize', calculateDimensions);
     return () => window.removeEventListener('resize', calculateDimensions);
-  }, [showCollection, showFilters]); // Recalculate when modal opens or filters toggle
+  }, [showCollection, showFilters, showCsvControls]); // Recalculate when modal opens or filters toggle
 
   // Memoize itemData to prevent unnecessary re-renders of Row
   const itemData = useMemo(() => ({
@@ -364,8 +443,9 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
     getCardImageStyle,
     showCardPreview,
     sellCard,
-    columnCount
-  }), [groupedCardsArray, getCardImageStyle, showCardPreview, sellCard, columnCount]);
+    columnCount,
+    currency
+  }), [groupedCardsArray, getCardImageStyle, showCardPreview, sellCard, columnCount, currency]);
 
   return (
     <>
@@ -408,7 +488,7 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
                   <span className={styles.totalValue}>
                     {(() => {
                       const total = groupedCardsArray.reduce((sum, cg) => {
-                        const price = typeof cg.price === 'number' ? cg.price : 0;
+                        const price = getCardValue(cg, currency);
                         const count = typeof cg.count === 'number' ? cg.count : 0;
                         return sum + price * count;
                       }, 0);
@@ -418,7 +498,7 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
                         const ownedUnique = groupedCardsArray.reduce((acc, cg) => acc + (cg.count > 0 ? 1 : 0), 0);
                         progress = ` • Collected ${ownedUnique}/${totalUnique}`;
                       }
-                      return ` • Total Value: $${total.toFixed(2)}${progress}`;
+                      return ` • Total Value: ${formatMoney(total, currency)}${progress}`;
                     })()}
                   </span>
                 </h2>
@@ -430,6 +510,54 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
                   >
                     <Filter size={16} />
                   </button>
+                  <button
+                    className={styles.filterButton}
+                    onClick={onRefreshPrices}
+                    disabled={isRefreshingPrices}
+                    title={priceHistory?.refreshedAt ? `Refresh prices (last updated ${new Date(priceHistory.refreshedAt).toLocaleString()})` : 'Refresh prices'}
+                  >
+                    <RefreshCw size={16} className={isRefreshingPrices ? styles.spinning : undefined} />
+                  </button>
+                  <button
+                    className={styles.filterButton}
+                    onClick={manageCardCache}
+                    title="Card data cache"
+                  >
+                    <Database size={16} />
+                  </button>
+                  <button
+                    className={styles.filterButton}
+                    onClick={() => setShowCsvControls(!showCsvControls)}
+                    title="CSV export/import"
+                  >
+                    <FileSpreadsheet size={16} />
+                  </button>
+                  <button
+                    className={styles.filterButton}
+                    onClick={onExportSave}
+                    title="Export save file"
+                  >
+                    <Download size={16} />
+                  </button>
+                  <button
+                    className={styles.filterButton}
+                    onClick={() => importInputRef.current?.click()}
+                    title="Import save file"
+                  >
+                    <Upload size={16} />
+                  </button>
+                  <input
+                    ref={importInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    style={{ display: 'none' }}
+                    onChange={(e) => {
+                      const file = e.target.files?.[0];
+                      // Reset so picking the same file again still fires onChange
+                      e.target.value = '';
+                      if (file) onImportSave(file);
+                    }}
+                  />
                   {/* Reset (Start Over) two-step control */}
                   <button
                     className={styles.resetButton}
@@ -439,15 +567,17 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
                       if (!confirm1) return;
                       const confirm2 = window.confirm('Are you absolutely sure? This action cannot be undone.');
                       if (!confirm2) return;
-                      try {
-                        // Clear all site data for this origin
-                        localStorage.clear();
-                      } catch (e) {
-                        console.warn('Failed clearing localStorage:', e);
-                      } finally {
-                        // Full reload to reinitialize app state
-                        window.location.reload();
-                      }
+                      // Clear all site data for this origin, then fully reload to reinitialize app state
+                      clearSaveData()
+                        .catch(e => console.warn('Failed clearing saved data:', e))
+                        .finally(() => {
+                          try {
+                            localStorage.clear();
+                          } catch (e) {
+                            console.warn('Failed clearing localStorage:', e);
+                          }
+                          window.location.reload();
+                        });
                     }}
                     title="Delete all data and start over"
                   >
@@ -457,6 +587,49 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
                 </div>
               </div>
 
+              {showCsvControls && (
+                <div className={styles.filterControls}>
+                  <div className={styles.filterGroup}>
+                    <label>Export CSV:</label>
+                    <div className={styles.csvButtons}>
+                      {Object.entries(CSV_FORMATS).map(([format, layout]) => (
+                        <button
+                          key={format}
+                          className={styles.csvButton}
+                          onClick={() => downloadCollectionCsv(collection, format)}
+                          disabled={collection.length === 0}
+                        >
+                          {layout.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <div className={styles.filterGroup}>
+                    <label>Import CSV (Moxfield, Deckbox, ManaBox):</label>
+                    <div className={styles.csvButtons}>
+                      <button
+                        className={styles.csvButton}
+                        onClick={() => csvInputRef.current?.click()}
+                        disabled={isImportingCsv}
+                      >
+                        {isImportingCsv ? 'Matching cards…' : 'Choose file'}
+                      </button>
+                    </div>
+                    <input
+                      ref={csvInputRef}
+                      type="file"
+                      accept="text/csv,.csv"
+                      style={{ display: 'none' }}
+                      onChange={(e) => {
+                        const file = e.target.files?.[0];
+                        e.target.value = '';
+                        if (file) importCsv(file);
+                      }}
+                    />
+                  </div>
+                </div>
+              )}
+
               {showFilters && (
                 <div className={styles.filterControls}>
                   <div className={styles.filterGroup}>
@@ -481,11 +654,31 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
                     </select>
                   </div>
                   <div className={styles.filterGroup}>
-                    <label>Filter by foil:</label>
+                    <label>Filter by finish:</label>
                     <select value={filterFoil} onChange={(e) => setFilterFoil(e.target.value)} className={styles.select}>
                       <option value="all">All</option>
-                      <option value="foil">Foil</option>
-                      <option value="nonfoil">Non-Foil</option>
+                      <option value="anyfoil">Any foil</option>
+                      {FINISHES.map(finish => (
+                        <option key={finish} value={finish}>{FINISH_LABELS[finish]}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className={styles.filterGroup}>
+                    <label>Filter by treatment:</label>
+                    <select value={filterTreatment} onChange={(e) => setFilterTreatment(e.target.value)} className={styles.select}>
+                      <option value="all">All</option>
+                      <option value="regular">Regular frame</option>
+                      {Object.keys(TREATMENTS).map(treatment => (
+                        <option key={treatment} value={treatment}>{TREATMENT_LABELS[treatment]}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className={styles.filterGroup}>
+                    <label>Tokens &amp; art cards:</label>
+                    <select value={filterBonus} onChange={(e) => setFilterBonus(e.target.value)} className={styles.select}>
+                      <option value="all">Show</option>
+                      <option value="hide">Hide</option>
+                      <option value="only">Only</option>
                     </select>
                   </div>
                   <div className={styles.filterGroup}>
@@ -504,8 +697,8 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
                       className={styles.select}
                     >
                       <option value="all">All Sets</option>
-                      {packs && Object.keys(packs).map(code => (
-                        <option key={code} value={code}>{packs[code].name}</option>
+                      {groupPacksBySet(packs).map(({ setCode, setName }) => (
+                        <option key={setCode} value={setCode}>{setName}</option>
                       ))}
                     </select>
                   </div>
@@ -546,24 +739,7 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
           <motion.div className={cardDisplayStyles.previewOverlay} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} onClick={closePreview}>
             <motion.div className={cardDisplayStyles.previewContent} initial={{ scale: 0.8, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.8, opacity: 0 }} onClick={(e) => e.stopPropagation()}>
               <button className={cardDisplayStyles.previewCloseButton} onClick={closePreview}><X size={24} /></button>
-              <motion.div
-                className={cardDisplayStyles.previewImageWrapper}
-                onClick={() => previewCard.card_faces && setPreviewFace(prev => 1 - prev)}
-                animate={{ rotateY: previewFace === 1 ? 180 : 0 }}
-                transition={{ duration: 0.5 }}
-                style={{ perspective: '1200px', transformStyle: 'preserve-3d' }}
-              >
-                <img src={previewCard.card_faces ? previewCard.card_faces[0] : previewCard.image} alt={previewCard.name} className={cardDisplayStyles.previewImage} style={{ backfaceVisibility: 'hidden' }} />
-                {previewCard.card_faces && <img src={previewCard.card_faces[1]} alt={previewCard.name} className={cardDisplayStyles.previewImage} style={{ position: 'absolute', top: 0, left: 0, backfaceVisibility: 'hidden', transform: 'rotateY(180deg)' }} />}
-                {previewCard.foil && (
-                  <motion.div
-                    className={cardDisplayStyles.foilOverlay}
-                    initial={{ opacity: 0 }}
-                    animate={{ opacity: 1 }}
-                    transition={{ duration: 0.5 }}
-                  />
-                )}
-              </motion.div>
+              <CardFacePreview key={previewCard.id} card={previewCard} />
                 <div className={cardDisplayStyles.previewInfo}>
                   <h3 className={cardDisplayStyles.previewName}>{previewCard.name}</h3>
                   <div className={cardDisplayStyles.previewDetails}>
@@ -578,8 +754,11 @@ const Collection = ({ collection, showCollection, setShowCollection, getRarityCo
                         {previewCard.set}
                       </a>
                     )}
-                    {previewCard.foil && <span className={cardDisplayStyles.foilTag}>FOIL</span>}
-                  <span className={cardDisplayStyles.previewPrice}>${previewCard.price.toFixed(2)}</span>
+                    {previewCard.treatment && <span className={cardDisplayStyles.treatmentTag}>{TREATMENT_LABELS[previewCard.treatment] || previewCard.treatment}</span>}
+                    {getCardLanguage(previewCard) !== DEFAULT_LANGUAGE && <span className={cardDisplayStyles.treatmentTag} title={previewCard.printedName || undefined}>{CARD_LANGUAGES[getCardLanguage(previewCard)] || getCardLanguage(previewCard)}</span>}
+                    {previewCard.foil && <span className={cardDisplayStyles.foilTag}>{FINISH_LABELS[getCardFinish(previewCard)]}</span>}
+                  <span className={cardDisplayStyles.previewPrice}>{formatMoney(getCardValue(previewCard, currency), currency)}</span>
+                  <PriceTrend card={previewCard} priceHistory={priceHistory} currency={currency} />
                 </div>
               </div>
             </motion.div>
@@ -0,0 +1,34 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import styles from './FinishOverlay.module.css';
+import { getCardFinish } from '../card-treatments';
+
+const FINISH_CLASSES = {
+  foil: styles.foil,
+  etched: styles.etched,
+  galaxy: styles.galaxy,
+  surge: styles.surge,
+  textured: styles.textured
+};
+
+/**
+ * Animated sheen over a card image, distinct for each foil finish. Renders nothing for nonfoil cards.
+ * @param {Object} props - Component props
+ * @param {Object} props.card - Normalized card ({ finish, foil })
+ * @param {number} [props.opacity] - Opacity to fade in to
+ * @returns {JSX.Element|null} The rendered overlay
+ */
+const FinishOverlay = ({ card, opacity = 1 }) => {
+  const className = FINISH_CLASSES[getCardFinish(card)];
+  if (!className) return null;
+  return (
+    <motion.div
+      className={`${styles.overlay} ${className}`}
+      initial={{ opacity: 0 }}
+      animate={{ opacity }}
+      transition={{ duration: 0.5 }}
+    />
+  );
+};
+
+export default FinishOverlay;
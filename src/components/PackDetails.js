@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { X } from 'lucide-react';
+import styles from './PackDetails.module.css';
+import { simulateBooster } from '../odds-simulator';
+import { formatUsdIn } from '../currencies';
+
+// Enough openings for stable percentages while staying quick in the browser
+const SIMULATED_PACKS = 2000;
+// Packs opened between yields to the browser, so the modal stays responsive while simulating
+const SIMULATION_CHUNK = 100;
+
+const percent = (share) => `${(share * 100).toFixed(1)}%`;
+
+/**
+ * Shows simulated odds and expected value for a booster pack.
+ * @param {Object} props - Component props
+ * @param {Object} props.pack - Pack configuration ({ name, setCode, slots, price })
+ * @param {Function} props.onClose - Closes the view
+ * @param {string} props.currency - Currency values are shown in (simulated values are US dollars)
+ * @returns {JSX.Element} The rendered pack details
+ */
+const PackDetails = ({ pack, onClose, currency }) => {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setReport(null);
+    setError(null);
+    simulateBooster(pack, { runs: SIMULATED_PACKS, chunkSize: SIMULATION_CHUNK, signal: controller.signal })
+      .then(result => { if (!controller.signal.aborted) setReport(result); })
+      .catch(e => {
+        if (controller.signal.aborted) return;
+        console.warn('Pack simulation failed:', e);
+        setError(e.message);
+      });
+    return () => controller.abort();
+  }, [pack]);
+
+  const peak = report ? Math.max(...report.histogram.map(bin => bin.count), 1) : 1;
+
+  return (
+    <motion.div className={styles.overlay} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} onClick={onClose}>
+      <motion.div
+        className={styles.panel}
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className={styles.header}>
+          <h3>{pack.name} — Pack details</h3>
+          <button className={styles.closeButton} onClick={onClose}><X size={20} /></button>
+        </div>
+
+        {error && <p className={styles.error}>Could not simulate this pack: {error}</p>}
+        {!error && !report && <p className={styles.loading}>Simulating {SIMULATED_PACKS} openings…</p>}
+
+        {report && (
+          <>
+            <div className={styles.stats}>
+              <div className={styles.stat}>
+                <span className={styles.statLabel}>Expected value</span>
+                <span className={styles.statValue}>{formatUsdIn(report.expectedValue, currency)}</span>
+              </div>
+              <div className={styles.stat}>
+                <span className={styles.statLabel}>Price</span>
+                <span className={styles.statValue}>{formatUsdIn(pack.price, currency)}</span>
+              </div>
+              <div className={styles.stat}>
+                <span className={styles.statLabel}>Value / price</span>
+                {report.evRatio === null
+                  ? <span className={styles.statValue}>—</span>
+                  : <span className={report.evRatio >= 1 ? styles.statGood : styles.statBad}>{report.evRatio.toFixed(2)}x</span>}
+              </div>
+              <div className={styles.stat}>
+                <span className={styles.statLabel}>At least one mythic</span>
+                <span className={styles.statValue}>{percent(report.atLeastOneMythic)}</span>
+              </div>
+              <div className={styles.stat}>
+                <span className={styles.statLabel}>Colors in commons</span>
+                <span className={styles.statValue}>{report.composition.commonColors.toFixed(1)} / 5</span>
+              </div>
+            </div>
+
+            <table className={styles.slotTable}>
+              <thead>
+                <tr>
+                  <th>Slot</th>
+                  <th>Cards</th>
+                  <th>Rarity</th>
+                  <th>Foil</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.slots.map(slot => (
+                  <tr key={slot.slotIndex}>
+                    <td>{slot.pool || 'custom'}</td>
+                    <td>{slot.cardsPerPack.toFixed(1)}</td>
+                    <td>{Object.entries(slot.rarity).map(([rarity, share]) => `${rarity} ${percent(share)}`).join(', ')}</td>
+                    <td>{percent(slot.foil)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className={styles.histogramTitle}>
+              Pack value (median {formatUsdIn(report.value.median, currency)}, 90% of packs under {formatUsdIn(report.value.p90, currency)})
+            </div>
+            <div className={styles.histogram}>
+              {report.histogram.map(bin => (
+                <div
+                  key={bin.from}
+                  className={styles.bar}
+                  style={{ height: `${(bin.count / peak) * 100}%` }}
+                  title={`${formatUsdIn(bin.from, currency)} – ${formatUsdIn(bin.to, currency)}: ${bin.count} packs`}
+                />
+              ))}
+            </div>
+            <div className={styles.histogramAxis}>
+              <span>{formatUsdIn(report.value.min, currency)}</span>
+              <span>{formatUsdIn(report.value.max, currency)}</span>
+            </div>
+            <p className={styles.footnote}>Based on {report.runs} simulated openings using current card prices.</p>
+          </>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default PackDetails;
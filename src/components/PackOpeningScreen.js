@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import styles from './PackOpeningScreen.module.css'; // Updated import path
 
-const PackOpeningScreen = ({ packConfig, onAnimationComplete, triggerExplosion }) => {
+const PackOpeningScreen = ({ packConfig, onAnimationComplete, triggerExplosion, onCancel }) => {
   const [animationPhase, setAnimationPhase] = useState('idle'); // 'idle', 'shaking', 'exploding'
   const [showFlash, setShowFlash] = useState(false);
   const [particles, setParticles] = useState([]);
@@ -183,6 +183,12 @@ const PackOpeningScreen = ({ packConfig, onAnimationComplete, triggerExplosion }
               }
             }}
           />
+          {/* Leaving while cards are still loading cancels the outstanding requests */}
+          {onCancel && !triggerExplosion && (
+            <button className={styles.cancelButton} onClick={onCancel}>
+              Cancel
+            </button>
+          )}
         </>
       ) : (
         <div className={styles.spinner}></div>
@@ -0,0 +1,60 @@
+import React from 'react';
+import { TrendingUp, TrendingDown, Minus } from 'lucide-react';
+import styles from './PriceTrend.module.css';
+import { getCardPriceHistory, getPriceTrend } from '../price-history';
+import { formatMoney } from '../currencies';
+
+// Size of the sparkline, in SVG units
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 32;
+
+/**
+ * Builds the points of a sparkline over dated prices.
+ * @param {Array<{ price: number }>} history - Prices, oldest first
+ * @returns {string} SVG polyline points
+ */
+const getSparklinePoints = (history) => {
+  const prices = history.map(entry => entry.price);
+  const min = Math.min(...prices);
+  const range = Math.max(...prices) - min || 1;
+  return prices.map((price, i) => {
+    const x = (i / (prices.length - 1)) * SPARKLINE_WIDTH;
+    const y = SPARKLINE_HEIGHT - ((price - min) / range) * (SPARKLINE_HEIGHT - 4) - 2;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+};
+
+/**
+ * How a collection card's price moved since it was obtained, with a sparkline of its price
+ * history (see price-history.js). Renders nothing until the card's price has been refreshed.
+ * @param {Object} props - Component props
+ * @param {Object} props.card - Collection card
+ * @param {Object} props.priceHistory - Price history
+ * @param {string} props.currency - Currency prices are shown in
+ * @returns {JSX.Element|null} The rendered trend
+ */
+const PriceTrend = ({ card, priceHistory, currency }) => {
+  const trend = getPriceTrend(card, currency);
+  if (!trend) return null;
+  const history = getCardPriceHistory(priceHistory, card, currency);
+  const direction = Math.abs(trend.change) < 0.005 ? 'flat' : trend.change > 0 ? 'up' : 'down';
+  const Icon = { up: TrendingUp, down: TrendingDown, flat: Minus }[direction];
+  const sign = trend.change > 0 ? '+' : trend.change < 0 ? '-' : '';
+
+  return (
+    <div className={`${styles.trend} ${styles[direction]}`} title={card.priceUpdatedAt ? `Price updated ${new Date(card.priceUpdatedAt).toLocaleString()}` : undefined}>
+      <Icon size={16} />
+      <span>
+        {sign}{formatMoney(Math.abs(trend.change), currency)}
+        {trend.percent !== null && ` (${sign}${Math.abs(trend.percent).toFixed(0)}%)`} since obtained at {formatMoney(trend.obtained, currency)}
+      </span>
+      {history.length > 1 && (
+        <svg className={styles.sparkline} viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`} aria-label={`Price from ${history[0].date} to ${history[history.length - 1].date}`}>
+          <polyline points={getSparklinePoints(history)} fill="none" stroke="currentColor" strokeWidth="2" />
+        </svg>
+      )}
+    </div>
+  );
+};
+
+export default PriceTrend;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import styles from './SaveFileDialog.module.css';
+import { formatMoney } from '../currencies';
+import { fromCents } from '../money-ledger';
+import { APP_CONFIG } from '../config';
+
+// Summary money amounts are in cents
+const formatCents = (value) => (typeof value === 'number' ? formatMoney(fromCents(value)) : '—');
+
+/**
+ * Previews a save-file import and lets the player choose to replace or merge.
+ * @param {Object} props - Component props
+ * @param {string} props.fileName - Name of the imported file
+ * @param {number} props.version - Save format version the file was written with
+ * @param {Array<string>} props.warnings - Problems found while validating the file
+ * @param {Object} props.plans - Import plans by mode ({ replace, merge }), see planImport in save-file.js
+ * @param {Function} props.onApply - Called with the chosen mode
+ * @param {Function} props.onCancel - Closes the dialog without importing
+ * @returns {JSX.Element} The rendered dialog
+ */
+const SaveFileDialog = ({ fileName, version, warnings, plans, onApply, onCancel }) => {
+  const [mode, setMode] = useState('merge');
+  const { summary } = plans[mode];
+
+  return (
+    <motion.div className={styles.overlay} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} onClick={onCancel}>
+      <motion.div
+        className={styles.dialog}
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className={styles.title}>Import save</h2>
+        <p className={styles.fileInfo}>{fileName} (save format v{version})</p>
+
+        <div className={styles.modes}>
+          <label className={mode === 'merge' ? styles.modeSelected : styles.mode}>
+            <input type="radio" name="importMode" value="merge" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+            Merge into current save
+          </label>
+          <label className={mode === 'replace' ? styles.modeSelected : styles.mode}>
+            <input type="radio" name="importMode" value="replace" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+            Replace current save
+          </label>
+        </div>
+
+        <ul className={styles.summary}>
+          {summary.cardsRemoved > 0 && <li className={styles.loss}>{summary.cardsRemoved} current cards will be removed</li>}
+          <li>{summary.cardsAdded} cards will be added</li>
+          {summary.cardsSkipped > 0 && <li>{summary.cardsSkipped} cards you already own will be skipped</li>}
+          {summary.cardsDropped > 0 && <li className={styles.loss}>{summary.cardsDropped} cards will be left out: the collection holds at most {APP_CONFIG.maxCollectionSize} cards</li>}
+          <li>Money: {formatCents(summary.moneyBefore)} → {formatCents(summary.moneyAfter)}</li>
+          <li>Unopened packs: {summary.packsBefore} → {summary.packsAfter}</li>
+          {mode === 'merge' && <li>Your free-pack timer is kept</li>}
+        </ul>
+
+        {warnings.length > 0 && (
+          <ul className={styles.warnings}>
+            {warnings.map(warning => <li key={warning}>{warning}</li>)}
+          </ul>
+        )}
+
+        <div className={styles.actions}>
+          <button className={styles.cancelButton} onClick={onCancel}>Cancel</button>
+          <button className={mode === 'replace' ? styles.replaceButton : styles.applyButton} onClick={() => onApply(mode)}>
+            {mode === 'replace' ? 'Replace save' : 'Merge'}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default SaveFileDialog;
@@ -1,9 +1,15 @@
 import React, { useState, useCallback, useEffect } from 'react';
-import { motion } from 'framer-motion';
-import { Gift } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Gift, BarChart3, Languages, Coins, History } from 'lucide-react';
 import { Helmet } from 'react-helmet-async';
 import styles from './Store.module.css';
 import { useNotification } from './NotificationProvider';
+import PackDetails from './PackDetails';
+import TransactionHistory from './TransactionHistory';
+import { groupPacksBySet } from '../booster-products';
+import { CARD_LANGUAGES } from '../card-languages';
+import { CURRENCIES, formatUsdIn } from '../currencies';
+import { fromCents, toCents } from '../money-ledger';
 
 /**
  * CountdownTimer component that displays a countdown to a target time
@@ -45,12 +51,12 @@ const CountdownTimer = ({ targetTime }) => {
 /**
  * Store component for buying booster packs and selling cards
  * @param {Object} props - Component props
- * @param {number} props.money - Current money amount
- * @param {Function} props.setMoney - Function to update money
+ * @param {Object} props.ledger - Money ledger ({ balance, transactions }, see money-ledger.js)
+ * @param {Function} props.addTransaction - Records a change of money in the ledger
  * @param {Array} props.collection - User's card collection
  * @param {Function} props.setCollection - Function to update collection
  * @param {Function} props.openPack - Function to open a booster pack
- * @param {Object} props.packs - Available pack configurations
+ * @param {Object} props.packs - Available pack configurations, shown grouped by set
  * @param {string} props.currentPack - Current selected pack
  * @param {boolean} props.showStore - Whether store is visible
  * @param {Function} props.setShowStore - Function to set store visibility
@@ -60,14 +66,29 @@ const CountdownTimer = ({ targetTime }) => {
  * @param {Function} props.claimFreePack - Function to claim free pack
  * @param {boolean} props.showCollection - Whether collection is visible
  * @param {Function} props.setShowCollection - Function to set collection visibility
+ * @param {Function} props.onReplaySeed - Replays a pack from its share code; resolves to whether it started
+ * @param {Object} props.languagePreferences - Languages packs open in ({ global, packs }, see card-languages.js)
+ * @param {Function} props.setLanguagePreferences - Function to update the language preferences
+ * @param {string} props.currency - Currency prices are shown in (see currencies.js); money stays in US dollars
+ * @param {Function} props.setCurrency - Function to update the currency
  * @returns {JSX.Element} The rendered store component
  */
-const Store = ({ money, setMoney, collection, setCollection, openPack, packs, currentPack, showStore, setShowStore, setPackInventory, packInventory, nextFreePackTime, claimFreePack, showCollection, setShowCollection }) => {
+const Store = ({ ledger, addTransaction, collection, setCollection, openPack, packs, currentPack, showStore, setShowStore, setPackInventory, packInventory, nextFreePackTime, claimFreePack, showCollection, setShowCollection, onReplaySeed, languagePreferences, setLanguagePreferences, currency, setCurrency }) => {
   const { addNotification } = useNotification();
+  const [replayCode, setReplayCode] = useState('');
+  const [detailsPackKey, setDetailsPackKey] = useState(null);
+  const [showTransactions, setShowTransactions] = useState(false);
+
+  const handleReplay = useCallback(async (e) => {
+    e.preventDefault();
+    if (!replayCode.trim()) return;
+    setShowStore(false);
+    if (await onReplaySeed(replayCode)) setReplayCode('');
+  }, [replayCode, onReplaySeed, setShowStore]);
 
   const handleBuyPack = useCallback((key, pack, price) => {
-    if (money >= price) {
-      setMoney(prev => prev - price);
+    if (ledger.balance >= price) {
+      addTransaction({ type: 'purchase', amount: -price, reference: key, description: pack.name });
       setPackInventory(prev => ({
         ...prev,
         [key]: (prev[key] || 0) + 1
@@ -84,7 +105,19 @@ const Store = ({ money, setMoney, collection, setCollection, openPack, packs, cu
         duration: 3000
       });
     }
-  }, [money, setMoney, setPackInventory, addNotification]);
+  }, [ledger.balance, addTransaction, setPackInventory, addNotification]);
+
+  const setGlobalLanguage = useCallback((lang) => {
+    setLanguagePreferences(prev => ({ ...prev, global: lang }));
+  }, [setLanguagePreferences]);
+
+  // An empty value drops the pack's override, so it follows the global language again
+  const setPackLanguage = useCallback((key, lang) => {
+    setLanguagePreferences(prev => {
+      const { [key]: _previous, ...packLanguages } = prev.packs;
+      return { ...prev, packs: lang ? { ...packLanguages, [key]: lang } : packLanguages };
+    });
+  }, [setLanguagePreferences]);
 
 
   const modalOverlayAnimation = {
@@ -143,7 +176,10 @@ const Store = ({ money, setMoney, collection, setCollection, openPack, packs, cu
               {/* Money Display */}
               <div className={styles.moneySection}>
                 <div className={styles.moneyInfo}>
-                  <span className={styles.moneyAmount}>${money.toFixed(2)}</span>
+                  <span className={styles.moneyAmount}>{formatUsdIn(fromCents(ledger.balance), currency)}</span>
+                  <button className={styles.historyButton} onClick={() => setShowTransactions(true)} title="Transaction history">
+                    <History size={16} /> History
+                  </button>
                 </div>
                 <div className={styles.freePackTimer}>
                   <Gift size={20} />
@@ -157,45 +193,119 @@ const Store = ({ money, setMoney, collection, setCollection, openPack, packs, cu
                     )}
                   </span>
                 </div>
+                <label className={styles.languageSetting}>
+                  <Languages size={16} />
+                  <span>Open packs in</span>
+                  <select
+                    className={styles.languageSelect}
+                    value={languagePreferences.global}
+                    onChange={(e) => setGlobalLanguage(e.target.value)}
+                  >
+                    {Object.entries(CARD_LANGUAGES).map(([code, label]) => (
+                      <option key={code} value={code}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+                <p className={styles.languageHint}>Cards without a printing in that language come in English.</p>
+                <label className={styles.currencySetting}>
+                  <Coins size={16} />
+                  <span>Prices in</span>
+                  <select
+                    className={styles.currencySelect}
+                    value={currency}
+                    onChange={(e) => setCurrency(e.target.value)}
+                  >
+                    {Object.entries(CURRENCIES).map(([code, { label }]) => (
+                      <option key={code} value={code}>{label}</option>
+                    ))}
+                  </select>
+                </label>
               </div>
 
               {/* Buy Section */}
               <div className={styles.buySection}>
                 <h3>Buy Booster Packs</h3>
                 <div className={styles.packOptions}>
-                  {Object.entries(packs).map(([key, pack]) => {
-                    const price = pack.price;
-                    const canAfford = money >= price;
-                    
-                    return (
-                      <motion.div
-                        key={key}
-                        className={`${styles.packOption} ${key === currentPack ? styles.selected : ''} ${!canAfford ? styles.cannotAfford : ''}`}
-                      >
-                        <motion.img
-                          src={pack.image}
-                          alt={pack.name}
-                          className={styles.packImage}
-                          whileHover={{ scale: 1.05 }}
-                          transition={{ duration: 0.2, ease: "easeOut" }}
-                        />
-                        <div className={styles.packInfo}>
-                          <h4>{pack.name}</h4>
-                          <p className={styles.packPrice}>${price.toFixed(2)}</p>
-                        </div>
-                        <button
-                          className={styles.buyButton}
-                          onClick={() => handleBuyPack(key, pack, price)}
-                          disabled={!canAfford}
-                        >
-                          Buy Pack
-                        </button>
-                      </motion.div>
-                    );
-                  })}
+                  {groupPacksBySet(packs).map(({ setCode, setName, products }) => (
+                    <div
+                      key={setCode}
+                      className={styles.setGroup}
+                      style={{ gridColumn: `span ${products.length}` }}
+                    >
+                      <h4 className={styles.setName}>{setName}</h4>
+                      <div className={styles.setProducts}>
+                        {products.map(({ key, pack }) => {
+                          const price = toCents(pack.price); // Ledger amounts are in cents
+                          const canAfford = ledger.balance >= price;
+
+                          return (
+                            <motion.div
+                              key={key}
+                              className={`${styles.packOption} ${key === currentPack ? styles.selected : ''} ${!canAfford ? styles.cannotAfford : ''}`}
+                            >
+                              <motion.img
+                                src={pack.image}
+                                alt={pack.name}
+                                className={styles.packImage}
+                                whileHover={{ scale: 1.05 }}
+                                transition={{ duration: 0.2, ease: "easeOut" }}
+                              />
+                              <div className={styles.packInfo}>
+                                <h4>{pack.typeLabel}</h4>
+                                <p className={styles.packPrice}>{formatUsdIn(pack.price, currency)}</p>
+                              </div>
+                              <select
+                                className={styles.packLanguageSelect}
+                                value={languagePreferences.packs[key] || ''}
+                                onChange={(e) => setPackLanguage(key, e.target.value)}
+                                title="Language this pack opens in"
+                              >
+                                <option value="">{CARD_LANGUAGES[languagePreferences.global]} (default)</option>
+                                {Object.entries(CARD_LANGUAGES).map(([code, label]) => (
+                                  <option key={code} value={code}>{label}</option>
+                                ))}
+                              </select>
+                              <button
+                                className={styles.detailsButton}
+                                onClick={() => setDetailsPackKey(key)}
+                                title="Simulated odds and expected value"
+                              >
+                                <BarChart3 size={14} /> Details
+                              </button>
+                              <button
+                                className={styles.buyButton}
+                                onClick={() => handleBuyPack(key, pack, price)}
+                                disabled={!canAfford}
+                              >
+                                Buy Pack
+                              </button>
+                            </motion.div>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  ))}
                 </div>
               </div>
 
+              {/* Replay a shared pack seed */}
+              <form className={styles.replaySection} onSubmit={handleReplay}>
+                <h3>Replay a Pack</h3>
+                <p className={styles.replayHint}>Enter a pack seed (e.g. blb-play:k3j9x2ab0c) to see that exact pack again. Replays are free and are not added to your collection.</p>
+                <div className={styles.replayControls}>
+                  <input
+                    className={styles.replayInput}
+                    value={replayCode}
+                    onChange={(e) => setReplayCode(e.target.value)}
+                    placeholder="pack:seed"
+                    spellCheck={false}
+                  />
+                  <button type="submit" className={styles.replayButton} disabled={!replayCode.trim()}>
+                    Replay
+                  </button>
+                </div>
+              </form>
+
               {/* Collection Link */}
               <div className={styles.collectionLinkSection}>
                 <button
@@ -211,6 +321,14 @@ const Store = ({ money, setMoney, collection, setCollection, openPack, packs, cu
             </div>
           </motion.div>
         </motion.div>
+        <AnimatePresence>
+          {detailsPackKey && packs[detailsPackKey] && (
+            <PackDetails pack={packs[detailsPackKey]} onClose={() => setDetailsPackKey(null)} currency={currency} />
+          )}
+          {showTransactions && (
+            <TransactionHistory ledger={ledger} currency={currency} onClose={() => setShowTransactions(false)} />
+          )}
+        </AnimatePresence>
         </>
       )}
     </>
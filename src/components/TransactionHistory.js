@@ -0,0 +1,118 @@
+import React, { useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { X } from 'lucide-react';
+import styles from './TransactionHistory.module.css';
+import { formatUsdIn } from '../currencies';
+import { TRANSACTION_TYPES, filterTransactions, fromCents } from '../money-ledger';
+import { APP_CONFIG } from '../config';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periods the history can be narrowed to, in ms back from now
+const PERIODS = {
+  all: { label: 'All time', duration: null },
+  day: { label: 'Last 24 hours', duration: DAY_MS },
+  week: { label: 'Last 7 days', duration: 7 * DAY_MS },
+  month: { label: 'Last 30 days', duration: 30 * DAY_MS }
+};
+
+/**
+ * Lists the money ledger's transactions, newest first, with the running balance after each.
+ * @param {Object} props - Component props
+ * @param {Object} props.ledger - Money ledger ({ balance, transactions }, see money-ledger.js)
+ * @param {string} props.currency - Currency amounts are shown in (the ledger is in US dollars)
+ * @param {Function} props.onClose - Closes the view
+ * @returns {JSX.Element} The rendered transaction history
+ */
+const TransactionHistory = ({ ledger, currency, onClose }) => {
+  const [type, setType] = useState('all');
+  const [period, setPeriod] = useState('all');
+
+  const transactions = useMemo(() => {
+    const { duration } = PERIODS[period];
+    return filterTransactions(ledger.transactions, { type, since: duration === null ? null : Date.now() - duration });
+  }, [ledger.transactions, type, period]);
+
+  const totals = useMemo(() => transactions.reduce((acc, entry) => {
+    if (entry.amount > 0) acc.in += entry.amount;
+    else acc.out -= entry.amount;
+    return acc;
+  }, { in: 0, out: 0 }), [transactions]);
+
+  const format = (cents) => formatUsdIn(fromCents(cents), currency);
+
+  return (
+    <motion.div className={styles.overlay} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} onClick={onClose}>
+      <motion.div
+        className={styles.panel}
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className={styles.header}>
+          <h3>Transaction history</h3>
+          <button className={styles.closeButton} onClick={onClose}><X size={20} /></button>
+        </div>
+
+        <div className={styles.filters}>
+          <select className={styles.select} value={type} onChange={(e) => setType(e.target.value)} aria-label="Transaction type">
+            <option value="all">All transactions</option>
+            {Object.entries(TRANSACTION_TYPES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <select className={styles.select} value={period} onChange={(e) => setPeriod(e.target.value)} aria-label="Period">
+            {Object.entries(PERIODS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className={styles.totals}>
+          <span>Balance <strong>{format(ledger.balance)}</strong></span>
+          <span className={styles.credit}>In {format(totals.in)}</span>
+          <span className={styles.debit}>Out {format(totals.out)}</span>
+        </div>
+
+        {transactions.length === 0 ? (
+          <p className={styles.empty}>No transactions match these filters.</p>
+        ) : (
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Transaction</th>
+                <th className={styles.amount}>Amount</th>
+                <th className={styles.amount}>Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {transactions.map(entry => (
+                <tr key={entry.id}>
+                  <td className={styles.date}>{new Date(entry.at).toLocaleString()}</td>
+                  <td>
+                    <span className={styles.type}>{TRANSACTION_TYPES[entry.type]}</span>
+                    {entry.description && entry.description !== TRANSACTION_TYPES[entry.type] && (
+                      <span className={styles.description}>{entry.description}</span>
+                    )}
+                  </td>
+                  <td className={`${styles.amount} ${entry.amount > 0 ? styles.credit : entry.amount < 0 ? styles.debit : ''}`}>
+                    {entry.amount === 0 ? '—' : `${entry.amount > 0 ? '+' : ''}${format(entry.amount)}`}
+                  </td>
+                  <td className={styles.amount}>{format(entry.balance)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {ledger.transactions.length >= APP_CONFIG.ledgerHistoryLimit && (
+          <p className={styles.footnote}>Only the last {APP_CONFIG.ledgerHistoryLimit} transactions are kept.</p>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default TransactionHistory;
@@ -1,6 +1,35 @@
 export const APP_CONFIG = {
   maxCollectionSize: 1000000,
+  // Money a new player starts with, in US dollars (recorded as the ledger's first transaction, see money-ledger.js)
   startingMoney: 20.00,
-  freePackInterval: 6 * 60 * 60 * 1000
+  freePackInterval: 6 * 60 * 60 * 1000,
   // freePackInterval: 30000  // For testing purposes
+  scryfallBaseUrl: process.env.REACT_APP_SCRYFALL_BASE || 'https://api.scryfall.com',
+  // 'scryfall' (live API) or 'bulk' (local Scryfall bulk-data file at bulkDataUrl)
+  cardSource: process.env.REACT_APP_CARD_SOURCE || 'scryfall',
+  bulkDataUrl: process.env.REACT_APP_BULK_DATA_URL || `${process.env.PUBLIC_URL}/assets/bulk/default-cards.json`,
+  // Size budget for the persistent card data cache (IndexedDB); least recently used entries are evicted past it
+  cacheBudgetBytes: 50 * 1024 * 1024,
+  // Opened packs kept in the saved pack history (oldest entries are dropped first)
+  packHistoryLimit: 500,
+  // Transactions kept in the money ledger (oldest are dropped first; the balance is unaffected)
+  ledgerHistoryLimit: 2000,
+  // Saved cards looked up per batch when backfilling card metadata (each batch is saved as it completes)
+  metadataBackfillBatch: 25,
+  // Time an opening pack waits for its card images to load before it explodes (cards still show once it runs out)
+  imagePreloadBudgetMs: 4000,
+  // Collection prices are refreshed from Scryfall when older than this
+  priceRefreshInterval: 24 * 60 * 60 * 1000,
+  // Printings looked up per /cards/collection request when refreshing prices (Scryfall's maximum)
+  priceRefreshBatch: 75,
+  // Dated prices kept per printing in the price history (one per day)
+  priceHistoryLimit: 90,
+  // Units of each currency per US dollar: the one rate table every conversion goes through (see
+  // currencies.js): wallet and pack prices shown in the selected currency, sales paid into the
+  // US dollar wallet, and prices a card lacks in the selected currency.
+  // APPROXIMATIONS, fixed in the app and updated by hand (no exchange-rate feed is queried):
+  // - eur: the ECB euro reference rate, rounded (about 0.92 EUR per USD through 2024);
+  // - tix: MTGO event tickets cost US$1 in the MTGO store but change hands between players (the
+  //   Cardhoarder prices Scryfall reports) below that, around US$0.95, so about 1.05 tix per USD.
+  currencyRates: { usd: 1, eur: 0.92, tix: 1.05 }
 };
@@ -0,0 +1,172 @@
+/**
+ * Currencies.
+ *
+ * Cards keep every Scryfall price field (`prices`: usd, usd_foil, usd_etched, eur, eur_foil,
+ * eur_etched, tix), and the player picks the currency prices are shown and sold in: US dollars
+ * (TCGplayer), euros (Cardmarket) or MTGO tix. `price` stays the US dollar price, and the wallet
+ * and pack prices are kept in US dollars, converted for display with APP_CONFIG.currencyRates.
+ * Sales are valued in the selected currency and paid into the wallet converted through the same
+ * rates (getSaleCents).
+ * A card's price in a currency (getPrice) follows a fallback chain:
+ * 1. the currency's field for the card's finish (etched, then foil for foil finishes), then its
+ *    non-foil, foil and etched fields, as Scryfall lists some printings under one finish only;
+ * 2. the same in the other currencies (US dollars, euros, tix), converted;
+ * 3. 0.
+ */
+
+import { APP_CONFIG } from './config';
+import { getCardFinish, isFoilFinish } from './card-treatments';
+
+// Currencies, in the order the fallback chain tries them, with their Scryfall price field per finish
+export const CURRENCIES = {
+  usd: { label: 'US dollars (TCGplayer)', symbol: '$', fields: { nonfoil: 'usd', foil: 'usd_foil', etched: 'usd_etched' } },
+  eur: { label: 'Euros (Cardmarket)', symbol: '€', fields: { nonfoil: 'eur', foil: 'eur_foil', etched: 'eur_etched' } },
+  // MTGO has a single price per printing
+  tix: { label: 'MTGO tix', suffix: ' tix', fields: { nonfoil: 'tix', foil: 'tix', etched: 'tix' } }
+};
+
+export const DEFAULT_CURRENCY = 'usd';
+
+// Cards with no price in any currency still sell for this much (US dollars)
+const MINIMUM_SALE_PRICE = 0.10;
+
+// Every Scryfall price field a card keeps
+export const PRICE_FIELDS = [...new Set(Object.values(CURRENCIES).flatMap(currency => Object.values(currency.fields)))];
+
+/**
+ * Reads a price amount: Scryfall sends strings, cards store numbers.
+ * @param {*} value - Price value
+ * @returns {number|null} Amount, null when missing
+ */
+const toAmount = (value) => {
+  const amount = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof amount === 'number' && Number.isFinite(amount) ? amount : null;
+};
+
+/**
+ * Keeps the price fields of a Scryfall prices object, as numbers.
+ * @param {Object} prices - Scryfall prices
+ * @returns {Object} Price field -> amount or null
+ */
+export const readPrices = (prices) => Object.fromEntries(PRICE_FIELDS.map(field => [field, toAmount(prices?.[field])]));
+
+/**
+ * Reads a saved currency preference.
+ * @param {*} currency - Saved currency code
+ * @returns {string} The currency code when supported, else the default one
+ */
+export const readCurrency = (currency) => (CURRENCIES[currency] ? currency : DEFAULT_CURRENCY);
+
+/**
+ * Converts an amount between currencies (see APP_CONFIG.currencyRates), rounded to cents.
+ * @param {number} amount - Amount
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Currency to convert to
+ * @returns {number} Converted amount
+ */
+export const convertCurrency = (amount, from, to) => {
+  if (from === to) return amount;
+  const rates = APP_CONFIG.currencyRates;
+  return Math.round((amount / rates[from]) * rates[to] * 100) / 100;
+};
+
+/**
+ * Reads a price in one currency, without converting from others (step 1 of the fallback chain).
+ * @param {Object} prices - Price fields (numbers or Scryfall strings)
+ * @param {string|boolean} finish - Finish, or true/false for foil/nonfoil
+ * @param {string} currency - Currency code
+ * @returns {number|null} Price, null when the currency has none for the printing
+ */
+const readCurrencyPrice = (prices, finish, currency) => {
+  const { nonfoil, foil, etched } = CURRENCIES[currency].fields;
+  const isFoil = finish === true || isFoilFinish(finish);
+  const chain = [finish === 'etched' ? etched : null, isFoil ? foil : null, nonfoil, foil, etched];
+  for (const field of chain) {
+    const amount = field ? toAmount(prices?.[field]) : null;
+    if (amount !== null) return amount;
+  }
+  return null;
+};
+
+/**
+ * Returns a price in a currency, following the fallback chain.
+ * @param {Object} prices - Price fields (numbers or Scryfall strings)
+ * @param {string|boolean} finish - Finish, or true/false for foil/nonfoil
+ * @param {string} [currency] - Currency code
+ * @returns {number} Price, 0 when no currency has one
+ */
+export const getPrice = (prices, finish, currency = DEFAULT_CURRENCY) => {
+  const own = readCurrencyPrice(prices, finish, currency);
+  if (own !== null) return own;
+  for (const other of Object.keys(CURRENCIES)) {
+    if (other === currency) continue;
+    const amount = readCurrencyPrice(prices, finish, other);
+    if (amount !== null) return convertCurrency(amount, other, currency);
+  }
+  return 0;
+};
+
+/**
+ * Returns a card's price fields; entries saved before cards kept them only have their US dollar
+ * `price`, filed under their finish.
+ * @param {Object} card - Normalized card
+ * @returns {Object} Price fields
+ */
+export const getCardPrices = (card) => {
+  if (card?.prices && typeof card.prices === 'object') return card.prices;
+  const finish = getCardFinish(card);
+  const field = finish === 'etched' ? 'usd_etched' : isFoilFinish(finish) ? 'usd_foil' : 'usd';
+  return { [field]: typeof card?.price === 'number' ? card.price : null };
+};
+
+/**
+ * Returns a card's price in a currency, for its finish.
+ * @param {Object} card - Normalized card
+ * @param {string} [currency] - Currency code
+ * @returns {number} Price
+ */
+export const getCardValue = (card, currency = DEFAULT_CURRENCY) => getPrice(getCardPrices(card), getCardFinish(card), currency);
+
+/**
+ * Returns what selling a card pays, in a currency: its price, or the minimum sale price.
+ * @param {Object} card - Normalized card
+ * @param {string} [currency] - Currency code
+ * @returns {number} Sale value in that currency (getSaleCents pays it into the wallet)
+ */
+export const getSaleValue = (card, currency = DEFAULT_CURRENCY) => (
+  getCardValue(card, currency) || convertCurrency(MINIMUM_SALE_PRICE, DEFAULT_CURRENCY, currency)
+);
+
+/**
+ * Returns what selling a card pays into the wallet: its sale value in the selected currency,
+ * converted to US dollar cents with APP_CONFIG.currencyRates. Converted unrounded, so the minimum
+ * sale price stays exact whatever the currency.
+ * @param {Object} card - Normalized card
+ * @param {string} [currency] - Currency code the card is valued in
+ * @returns {number} Integer cents (US dollars)
+ */
+export const getSaleCents = (card, currency = DEFAULT_CURRENCY) => {
+  const value = getCardValue(card, currency);
+  if (!value) return Math.round(MINIMUM_SALE_PRICE * 100);
+  return Math.round((value / APP_CONFIG.currencyRates[currency]) * 100);
+};
+
+/**
+ * Formats an amount in a currency, e.g. "$1.50", "€1.50" or "1.50 tix".
+ * @param {number} amount - Amount
+ * @param {string} [currency] - Currency code
+ * @returns {string} Formatted amount
+ */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  const { symbol = '', suffix = '' } = CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+  const value = typeof amount === 'number' && Number.isFinite(amount) ? amount : 0;
+  return `${value < 0 ? '-' : ''}${symbol}${Math.abs(value).toFixed(2)}${suffix}`;
+};
+
+/**
+ * Formats a US dollar amount (wallet, pack prices) in a currency.
+ * @param {number} amount - Amount in US dollars
+ * @param {string} currency - Currency code
+ * @returns {string} Formatted, converted amount
+ */
+export const formatUsdIn = (amount, currency) => formatMoney(convertCurrency(amount, DEFAULT_CURRENCY, currency), currency);
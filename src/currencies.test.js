@@ -0,0 +1,76 @@
+/**
+ * Tests for the price fallback chain and sale values, against the hand-made Bloomburrow
+ * fixture in Scryfall's card format (src/__fixtures__/scryfall-blb.json).
+ */
+
+import cards from './__fixtures__/scryfall-blb.json';
+import { APP_CONFIG } from './config';
+import { convertCurrency, formatMoney, getCardValue, getPrice, getSaleCents, getSaleValue, readCurrency, readPrices } from './currencies';
+
+const pricesOf = (name) => cards.find(card => card.name === name && card.lang === 'en').prices;
+
+// Collection entry priced like formatCardData does
+const entry = (name, finish = 'nonfoil') => ({ name, foil: finish !== 'nonfoil', finish, prices: readPrices(pricesOf(name)) });
+
+describe('getPrice', () => {
+  it('reads the currency field for the finish', () => {
+    expect(getPrice(pricesOf('Lord of the Warren'), 'nonfoil', 'usd')).toBe(4.5);
+    expect(getPrice(pricesOf('Lord of the Warren'), true, 'usd')).toBe(9);
+    expect(getPrice(pricesOf('Lord of the Warren'), 'foil', 'eur')).toBe(4);
+    expect(getPrice(pricesOf('Lord of the Warren'), 'foil', 'tix')).toBe(1.2);
+  });
+
+  it('falls back to the other finishes of the currency', () => {
+    expect(getPrice(pricesOf('Stormcall Otter'), 'foil', 'usd')).toBe(0.3);
+    expect(getPrice(pricesOf('Season Wheel'), 'nonfoil', 'usd')).toBe(2);
+  });
+
+  it('falls back to other currencies, converted', () => {
+    const eur = APP_CONFIG.currencyRates.eur;
+    expect(getPrice(pricesOf('Harvest Feast'), 'nonfoil', 'usd')).toBe(Math.round((0.15 / eur) * 100) / 100);
+    expect(getPrice(pricesOf('Bramble Warden'), 'nonfoil', 'eur')).toBe(convertCurrency(0.2, 'usd', 'eur'));
+  });
+
+  it('is 0 when no currency has a price', () => {
+    expect(getPrice(pricesOf('Rabbit'), 'nonfoil', 'usd')).toBe(0);
+    expect(getPrice(undefined, 'nonfoil', 'eur')).toBe(0);
+  });
+});
+
+describe('getCardValue', () => {
+  it('values entries saved before price fields by their US dollar price', () => {
+    expect(getCardValue({ price: 2.5, foil: true })).toBe(2.5);
+    expect(getCardValue({ price: 2.5, foil: false }, 'eur')).toBe(convertCurrency(2.5, 'usd', 'eur'));
+  });
+});
+
+describe('sales', () => {
+  it('pays the sale value in the selected currency into the wallet as US dollar cents', () => {
+    const lord = entry('Lord of the Warren');
+    expect(getSaleCents(lord, 'usd')).toBe(450);
+    expect(getSaleValue(lord, 'eur')).toBe(4);
+    expect(getSaleCents(lord, 'eur')).toBe(Math.round((4 / APP_CONFIG.currencyRates.eur) * 100));
+    expect(getSaleCents(lord, 'tix')).toBe(Math.round((1.2 / APP_CONFIG.currencyRates.tix) * 100));
+  });
+
+  it('pays the minimum sale price for cards with no price, whatever the currency', () => {
+    const token = entry('Rabbit');
+    expect(getSaleCents(token, 'usd')).toBe(10);
+    expect(getSaleCents(token, 'eur')).toBe(10);
+    expect(getSaleValue(token, 'tix')).toBe(convertCurrency(0.1, 'usd', 'tix'));
+  });
+});
+
+describe('formatting', () => {
+  it('formats amounts with the currency symbol or suffix', () => {
+    expect(formatMoney(1.5, 'usd')).toBe('$1.50');
+    expect(formatMoney(-0.25, 'eur')).toBe('-€0.25');
+    expect(formatMoney(3, 'tix')).toBe('3.00 tix');
+    expect(formatMoney(NaN, 'usd')).toBe('$0.00');
+  });
+
+  it('falls back to US dollars for unknown currencies', () => {
+    expect(readCurrency('gbp')).toBe('usd');
+    expect(readCurrency('eur')).toBe('eur');
+  });
+});
@@ -1,21 +1,58 @@
 /**
  * BOOSTERS configuration module.
  * Each booster defines:
- * - name: display name
+ * - name: set name
  * - code: set code
+ * - type?: product type, 'play' (default) | 'draft' | 'set' | 'collector' (see src/booster-products.js)
  * - image: path under public/assets/
  * - price: pack price
  * - slots: array of slot definitions, in open order
+ * - printSheets?: print sheets the slots collate from, by name (see src/print-sheets.js):
+ *   { [name]: { cards: string[] } | { rarity: string, excludeType?: string } }
  *
  * Slot definition shape:
  * {
  *   count: number | (ctx) => number
- *   pool: 'common' | 'uncommon' | 'rare' | 'mythic' | 'land' | 'wildcard' | string
+ *   chance?: number // chance (0-1) that the slot is in a pack at all, rolled once per pack
+ *   pool: 'common' | 'uncommon' | 'rare' | 'mythic' | 'land' | 'wildcard' | 'bonus'
  *   odds?: { [rarity: string]: number } // sum to 1.0, e.g. { rare: 6/7, mythic: 1/7 }
  *   foil?: boolean // whether this slot is foil
- *   resolver?: (ctx) => { rarity: string, foil?: boolean, pool?: string }
+ *   foilChance?: number // chance (0-1) that each card of this slot is foil, instead of `foil`
+ *   finish?: 'nonfoil' | 'foil' | 'etched' | 'galaxy' | 'surge' | 'textured' // specific finish, instead of `foil`
+ *   treatment?: 'showcase' | 'borderless' | 'extendedart' | 'fullart'
+ *             | { frameEffect?, borderColor?, fullArt?, promoType? } // Scryfall frame_effects, border_color, full_art, promo_types
+ *   setCode?: string // bonus sheet: draw this slot from another set, e.g. 'brr' for The Brothers' War retro artifacts
+ *   type?: string | string[] // type line word(s) the card must have, e.g. 'battle' or ['legendary', 'creature']
+ *   excludeType?: string // type line word the card must not have
+ *   allowDuplicates?: boolean // let this slot repeat a card already in the pack (re-rolled otherwise)
+ *   printSheet?: string // take a run of consecutive cards from this sheet of the booster's printSheets
+ *   resolver?: (ctx) => { rarity: string, foil?: boolean, pool?: string, finish?: string, treatment?: string | Object }
  * }
  *
+ * Treatment and finish slots (see src/card-treatments.js) fall back to a regular card of the
+ * slot when the set has no print with that treatment or finish, e.g. a borderless etched rare:
+ *   { count: 1, pool: 'rare', odds: { rare: 6/7, mythic: 1/7 }, treatment: 'borderless', finish: 'etched' }
+ *
+ * Print sheet slots take their cards as one run from a random point of the sheet, like packs
+ * cut from a printed strip, instead of picking each card independently. The slot's pool and
+ * odds are still used when the sheet can't be built (e.g. the set's cards failed to load).
+ *
+ * Bonus sheet and type-constrained slots fall back to the constrained slot in the booster's own
+ * set, then to a regular card of the slot, when the sheet or the set has nothing that matches.
+ *
+ * The 'bonus' pool yields a non-playable card (token, emblem or art series card) from the set
+ * and its companion token/art sets; it needs no odds and is skipped when the set has none.
+ *
+ * Slots without functions (count as a number, no resolver) are declarative and can also be
+ * written in public/assets/boosters.json, which loadBoosters() merges over this list at runtime
+ * (see src/booster-definitions.js). There `slots` may also name one of SLOT_TEMPLATES.
+ *
+ * ctx.random is the pack's seeded random number generator (see src/rng.js); count and
+ * resolver functions must use it instead of Math.random so seeded packs can be replayed.
+ *
+ * Boosters are checked against this shape when they load (src/booster-validator.js);
+ * invalid ones are left out of the Store and their problems logged to the console.
+ *
  * Placeholder odds here mirror current random logic used in generateCards():
  * - 7 commons
  * - 3 uncommons
@@ -23,10 +60,16 @@
  * - 1 land (common) with 20% foil chance
  * - 1 non-foil wildcard (any rarity)
  * - 1 foil wildcard (any rarity)
+ * - 1 bonus card (token, emblem or art card), when the set has any
  *
- * You can customize per pack by changing the slots for that entry.
+ * You can customize per pack by changing the slots for that entry. A set can list several
+ * products by repeating its code with a different `type`, price and slots; the Store groups
+ * them under the set (e.g. the Collector Boosters below use COLLECTOR_SLOTS).
  */
 
+// Every rarity equally likely
+const ANY_RARITY = { common: 0.25, uncommon: 0.25, rare: 0.25, mythic: 0.25 };
+
 const DEFAULT_SLOTS = [
     // 7 Common cards
     { count: 7, pool: 'common' },
@@ -42,35 +85,24 @@ const DEFAULT_SLOTS = [
     },
 
     // 1 Land (20% chance of being foil)
-    {
-        count: 1,
-        resolver: () => {
-            const foil = Math.random() < 0.2;
-            return { rarity: 'common', foil, pool: 'land' };
-        }
-    },
+    { count: 1, pool: 'land', foilChance: 0.2 },
 
     // 1 Non-foil wildcard (any rarity)
-    {
-        count: 1,
-        resolver: () => {
-            const rarities = ['common', 'uncommon', 'rare', 'mythic'];
-            const rarity = rarities[Math.floor(Math.random() * rarities.length)];
-            return { rarity, foil: false, pool: 'wildcard' };
-        }
-    },
+    { count: 1, pool: 'wildcard', odds: ANY_RARITY, foil: false },
 
     // 1 Foil wildcard (any rarity)
-    {
-        count: 1,
-        resolver: () => {
-            const rarities = ['common', 'uncommon', 'rare', 'mythic'];
-            const rarity = rarities[Math.floor(Math.random() * rarities.length)];
-            return { rarity, foil: true, pool: 'wildcard' };
-        }
-    }
+    { count: 1, pool: 'wildcard', odds: ANY_RARITY, foil: true },
+
+    // 1 Token, emblem or art card (skipped when the set has none)
+    { count: 1, pool: 'bonus' }
 ];
 
+// DEFAULT_SLOTS with the commons and uncommons collated from print sheets. No built-in booster
+// uses it: collation is opt-in, through a boosters.json entry (see SLOT_TEMPLATES)
+const COLLATED_SLOTS = DEFAULT_SLOTS.map(slot => (
+    slot.pool === 'common' || slot.pool === 'uncommon' ? { ...slot, printSheet: slot.pool } : slot
+));
+
 const SLOTS_12_CARDS =
     [
         // 5 Common cards
@@ -87,35 +119,49 @@ const SLOTS_12_CARDS =
         },
 
         // 1 Land (20% chance of being foil)
-        {
-            count: 1,
-            resolver: () => {
-                const foil = Math.random() < 0.2;
-                return { rarity: 'common', foil, pool: 'land' };
-            }
-        },
+        { count: 1, pool: 'land', foilChance: 0.2 },
 
         // 1 Non-foil wildcard (any rarity)
-        {
-            count: 1,
-            resolver: () => {
-                const rarities = ['common', 'uncommon', 'rare', 'mythic'];
-                const rarity = rarities[Math.floor(Math.random() * rarities.length)];
-                return { rarity, foil: false, pool: 'wildcard' };
-            }
-        },
+        { count: 1, pool: 'wildcard', odds: ANY_RARITY, foil: false },
 
         // 1 Foil wildcard (any rarity)
-        {
-            count: 1,
-            resolver: () => {
-                const rarities = ['common', 'uncommon', 'rare', 'mythic'];
-                const rarity = rarities[Math.floor(Math.random() * rarities.length)];
-                return { rarity, foil: true, pool: 'wildcard' };
-            }
-        }
+        { count: 1, pool: 'wildcard', odds: ANY_RARITY, foil: true },
+
+        // 1 Token, emblem or art card (skipped when the set has none)
+        { count: 1, pool: 'bonus' }
     ];
 
+// Foils and treatments throughout, loosely following a Collector Booster
+const COLLECTOR_SLOTS = [
+    // 5 Foil commons
+    { count: 5, pool: 'common', foil: true },
+
+    // 2 Foil uncommons
+    { count: 2, pool: 'uncommon', foil: true },
+
+    // 1 Full-art foil land
+    { count: 1, pool: 'land', finish: 'foil', treatment: 'fullart' },
+
+    // 2 Showcase uncommons
+    { count: 2, pool: 'uncommon', treatment: 'showcase' },
+
+    // 1 Extended-art rare or mythic, and 1 more in foil
+    { count: 1, pool: 'rare', odds: { rare: 6 / 7, mythic: 1 / 7 }, treatment: 'extendedart' },
+    { count: 1, pool: 'rare', odds: { rare: 6 / 7, mythic: 1 / 7 }, treatment: 'extendedart', finish: 'foil' },
+
+    // 1 Showcase rare or mythic
+    { count: 1, pool: 'rare', odds: { rare: 4 / 5, mythic: 1 / 5 }, treatment: 'showcase' },
+
+    // 1 Borderless foil rare or mythic
+    { count: 1, pool: 'rare', odds: { rare: 4 / 5, mythic: 1 / 5 }, treatment: 'borderless', finish: 'foil' },
+
+    // 1 Borderless etched rare or mythic (foil when the set has no etched prints)
+    { count: 1, pool: 'rare', odds: { rare: 3 / 4, mythic: 1 / 4 }, treatment: 'borderless', finish: 'etched' },
+
+    // 1 Token, emblem or art card (skipped when the set has none)
+    { count: 1, pool: 'bonus' }
+];
+
 // const SLOTS_5_CARDS = [
 
 //         // 2 Uncommon cards
@@ -129,16 +175,112 @@ const SLOTS_12_CARDS =
 //         },
 
 //         // 1 Foil wildcard (any rarity)
-//         {
-//             count: 1,
-//             resolver: () => {
-//                 const rarities = ['common', 'uncommon', 'rare', 'mythic'];
-//                 const rarity = rarities[Math.floor(Math.random() * rarities.length)];
-//                 return { rarity, foil: true, pool: 'wildcard' };
-//             }
-//         }
+//         { count: 1, pool: 'wildcard', odds: ANY_RARITY, foil: true }
 //     ];
 
+// Dominaria United: every pack has a legendary creature
+const DMU_SLOTS = [
+    { count: 5, pool: 'common' },
+    { count: 2, pool: 'uncommon' },
+
+    // 1 Legendary creature, usually uncommon
+    { count: 1, pool: 'wildcard', odds: { uncommon: 0.8, rare: 0.17, mythic: 0.03 }, type: ['legendary', 'creature'] },
+
+    { count: 1, pool: 'rare', odds: { rare: 6 / 7, mythic: 1 / 7 } },
+    { count: 1, pool: 'land', foilChance: 0.2 },
+    { count: 1, pool: 'wildcard', odds: ANY_RARITY, foil: false },
+    { count: 1, pool: 'wildcard', odds: ANY_RARITY, foil: true },
+    { count: 1, pool: 'bonus' }
+];
+
+// March of the Machine: every pack has a battle, plus a Multiverse Legends card (MUL)
+const MOM_SLOTS = [
+    { count: 5, pool: 'common' },
+    { count: 2, pool: 'uncommon' },
+
+    // 1 Battle, usually uncommon
+    { count: 1, pool: 'wildcard', odds: { uncommon: 0.85, rare: 0.13, mythic: 0.02 }, type: 'battle' },
+
+    { count: 1, pool: 'rare', odds: { rare: 6 / 7, mythic: 1 / 7 } },
+    { count: 1, pool: 'land', foilChance: 0.2 },
+
+    // 1 Multiverse Legends card, in place of the non-foil wildcard
+    { count: 1, pool: 'wildcard', odds: { uncommon: 0.67, rare: 0.27, mythic: 0.06 }, setCode: 'mul' },
+
+    { count: 1, pool: 'wildcard', odds: ANY_RARITY, foil: true },
+    { count: 1, pool: 'bonus' }
+];
+
+// The Brothers' War: every pack has a retro-frame artifact (BRR)
+const BRO_SLOTS = [
+    { count: 5, pool: 'common' },
+    { count: 3, pool: 'uncommon' },
+    { count: 1, pool: 'rare', odds: { rare: 6 / 7, mythic: 1 / 7 } },
+    { count: 1, pool: 'land', foilChance: 0.2 },
+
+    // 1 Retro artifact, in place of the non-foil wildcard
+    { count: 1, pool: 'wildcard', odds: { uncommon: 0.65, rare: 0.29, mythic: 0.06 }, setCode: 'brr' },
+
+    { count: 1, pool: 'wildcard', odds: ANY_RARITY, foil: true },
+    { count: 1, pool: 'bonus' }
+];
+
+// Wilds of Eldraine: every pack has an Enchanting Tales card (WOT) in place of a common
+const WOE_SLOTS = [
+    { count: 4, pool: 'common' },
+    { count: 3, pool: 'uncommon' },
+    { count: 1, pool: 'rare', odds: { rare: 6 / 7, mythic: 1 / 7 } },
+    { count: 1, pool: 'land', foilChance: 0.2 },
+
+    // 1 Enchanting Tales card
+    { count: 1, pool: 'wildcard', odds: { uncommon: 0.67, rare: 0.27, mythic: 0.06 }, setCode: 'wot' },
+
+    { count: 1, pool: 'wildcard', odds: ANY_RARITY, foil: false },
+    { count: 1, pool: 'wildcard', odds: ANY_RARITY, foil: true },
+    { count: 1, pool: 'bonus' }
+];
+
+// Outlaws of Thunder Junction: a Breaking News card (OTP) in place of a common, and about
+// one pack in three adds a card from The Big Score (BIG)
+const OTJ_SLOTS = [
+    { count: 6, pool: 'common' },
+    { count: 3, pool: 'uncommon' },
+    { count: 1, pool: 'rare', odds: { rare: 6 / 7, mythic: 1 / 7 } },
+    { count: 1, pool: 'land', foilChance: 0.2 },
+
+    // 1 Breaking News card
+    { count: 1, pool: 'wildcard', odds: { uncommon: 0.67, rare: 0.27, mythic: 0.06 }, setCode: 'otp' },
+
+    // The Big Score card, in about one pack in three
+    { count: 1, chance: 1 / 3, pool: 'wildcard', odds: { rare: 0.8, mythic: 0.2 }, setCode: 'big' },
+
+    { count: 1, pool: 'wildcard', odds: ANY_RARITY, foil: false },
+    { count: 1, pool: 'wildcard', odds: ANY_RARITY, foil: true },
+    { count: 1, pool: 'bonus' }
+];
+
+/**
+ * Named slot lists that boosters.json entries can use instead of writing out their slots,
+ * e.g. "slots": "12-card". Set-specific templates are named by set code; only sets whose
+ * boosters have a slot of their own (a bonus sheet or a guaranteed card type) get one. The
+ * other built-in sets use the generic templates: Play Booster sets the 14-card default (or its
+ * collated variant), ONE and LCI the 12-card model.
+ * "collated" needs the booster to define "common" and "uncommon" printSheets, e.g. in boosters.json:
+ *   { "code": "BLB", "slots": "collated",
+ *     "printSheets": { "common": { "rarity": "common" }, "uncommon": { "rarity": "uncommon" } } }
+ */
+export const SLOT_TEMPLATES = {
+    default: DEFAULT_SLOTS,
+    '12-card': SLOTS_12_CARDS,
+    collector: COLLECTOR_SLOTS,
+    collated: COLLATED_SLOTS,
+    dmu: DMU_SLOTS,
+    mom: MOM_SLOTS,
+    bro: BRO_SLOTS,
+    woe: WOE_SLOTS,
+    otj: OTJ_SLOTS
+};
+
 // Helper to clone default slots so packs don't share references
 
 const cloneSlots = (SLOTS) => SLOTS.map(s => ({ ...s }));
@@ -165,12 +307,20 @@ export const BOOSTERS = [
         price: 4.15,
         slots: cloneSlots(DEFAULT_SLOTS)
     },
+    {
+        name: 'Bloomburrow',
+        code: 'BLB',
+        type: 'collector',
+        image: 'boosters/bloomburrow.png',
+        price: 24.99,
+        slots: cloneSlots(COLLECTOR_SLOTS)
+    },
     {
         name: 'Dominaria United',
         code: 'DMU',
         image: 'boosters/dominaria_united.png',
         price: 4.99,
-        slots: cloneSlots(SLOTS_12_CARDS)
+        slots: cloneSlots(DMU_SLOTS)
     },
     {
         name: 'Duskmourn: House of Horror',
@@ -179,6 +329,14 @@ export const BOOSTERS = [
         price: 3.95,
         slots: cloneSlots(DEFAULT_SLOTS)
     },
+    {
+        name: 'Duskmourn: House of Horror',
+        code: 'DSK',
+        type: 'collector',
+        image: 'boosters/duskmourn_house_of_horror.png',
+        price: 22.49,
+        slots: cloneSlots(COLLECTOR_SLOTS)
+    },
     {
         name: 'Final Fantasy',
         code: 'FIN',
@@ -193,6 +351,14 @@ export const BOOSTERS = [
         price: 3.88,
         slots: cloneSlots(DEFAULT_SLOTS)
     },
+    {
+        name: 'Foundations',
+        code: 'FDN',
+        type: 'collector',
+        image: 'boosters/foundations.png',
+        price: 19.99,
+        slots: cloneSlots(COLLECTOR_SLOTS)
+    },
     // {
     //     name: 'March of the Machine: The Aftermath',
     //     code: 'MAT',
@@ -205,7 +371,7 @@ export const BOOSTERS = [
         code: 'MOM',
         image: 'boosters/march_of_the_machine.png',
         price: 4.30,
-        slots: cloneSlots(SLOTS_12_CARDS)
+        slots: cloneSlots(MOM_SLOTS)
     },
     {
         name: 'Murders at Karlov Manor',
@@ -219,7 +385,7 @@ export const BOOSTERS = [
         code: 'OTJ',
         image: 'boosters/outlaws_of_thunder_junction.png',
         price: 3.79,
-        slots: cloneSlots(DEFAULT_SLOTS)
+        slots: cloneSlots(OTJ_SLOTS)
     },
     {
         name: 'Phyrexia: All Will Be One',
@@ -240,7 +406,7 @@ export const BOOSTERS = [
         code: 'BRO',
         image: 'boosters/the_brothers_war.png',
         price: 4.44,
-        slots: cloneSlots(SLOTS_12_CARDS)
+        slots: cloneSlots(BRO_SLOTS)
     },
     {
         name: 'The Lost Caverns of Ixalan',
@@ -254,7 +420,7 @@ export const BOOSTERS = [
         code: 'WOE',
         image: 'boosters/wilds_of_eldraine.png',
         price: 5.70,
-        slots: cloneSlots(SLOTS_12_CARDS)
+        slots: cloneSlots(WOE_SLOTS)
     }
 ];
 
@@ -269,8 +435,8 @@ export const BOOSTERS = [
 //       { count: 6, pool: 'common' },
 //       { count: 4, pool: 'uncommon' },
 //       { count: 1, pool: 'rare', odds: { rare: 0.75, mythic: 0.25 } },
-//       { count: 1, resolver: (ctx) => ({ rarity: 'common', foil: Math.random() < 0.1, pool: 'land' }) },
-//       { count: 2, resolver: (ctx) => ({ rarity: Math.random() < 0.5 ? 'common' : 'uncommon', foil: false, pool: 'wildcard' }) }
+//       { count: 1, pool: 'land', foilChance: 0.1 },
+//       { count: 2, resolver: (ctx) => ({ rarity: ctx.random() < 0.5 ? 'common' : 'uncommon', foil: false, pool: 'wildcard' }) }
 //     ]
 //   }
 // ];
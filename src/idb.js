@@ -0,0 +1,78 @@
+/**
+ * Minimal promise wrappers around IndexedDB.
+ * Shared by the persistent card cache and the save-data storage.
+ */
+
+/**
+ * Whether IndexedDB can be used in this environment (absent in tests, some private modes).
+ * @returns {boolean}
+ */
+export const isIndexedDbAvailable = () => {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Opens (and upgrades) a database.
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - (db, oldVersion, transaction) => void, runs on version change
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export const openDatabase = (name, version, upgrade) => new Promise((resolve, reject) => {
+  if (!isIndexedDbAvailable()) {
+    reject(new Error('IndexedDB is not available'));
+    return;
+  }
+  const request = indexedDB.open(name, version);
+  request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion, request.transaction);
+  request.onsuccess = () => {
+    const db = request.result;
+    // Another tab upgraded the schema: let it proceed, we'll reopen on next load
+    db.onversionchange = () => db.close();
+    resolve(db);
+  };
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error(`Opening database "${name}" is blocked by another tab`));
+});
+
+/**
+ * Runs work inside a transaction and resolves once it commits.
+ * @param {IDBDatabase} db - Open database
+ * @param {string|Array<string>} storeNames - Object stores to include
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} work - (stores) => any; receives an object of object stores by name
+ * @returns {Promise<any>} Value returned by work (awaited if it is a promise of IDB requests)
+ */
+export const runTransaction = (db, storeNames, mode, work) => new Promise((resolve, reject) => {
+  const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+  const tx = db.transaction(names, mode);
+  const stores = names.reduce((acc, storeName) => {
+    acc[storeName] = tx.objectStore(storeName);
+    return acc;
+  }, {});
+  let result;
+  try {
+    result = work(stores);
+  } catch (error) {
+    tx.abort();
+    reject(error);
+    return;
+  }
+  tx.oncomplete = () => Promise.resolve(result).then(resolve, reject);
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
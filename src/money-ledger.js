@@ -0,0 +1,123 @@
+/**
+ * Money ledger.
+ *
+ * Money is kept as integer cents (US dollars) in a ledger { balance, transactions }, so sales
+ * and purchases add up without floating-point drift. Every change of balance goes through
+ * recordTransaction(), which appends
+ *   { id, type, amount, balance, at, reference, description }
+ * with the signed amount in cents, the balance after it (the running balance, kept on each
+ * transaction so dropping old ones past APP_CONFIG.ledgerHistoryLimit doesn't change it),
+ * the ISO time, a reference to what it was for (pack key, card printing id) and a label.
+ * Free packs are recorded too, with a zero amount.
+ * Saves from before the ledger kept money as a float in dollars (mtgMoney); readLedger()
+ * carries such a balance over as a single 'migration' transaction.
+ */
+
+import { APP_CONFIG } from './config';
+
+// Transaction types and their labels in the transaction history
+export const TRANSACTION_TYPES = {
+  grant: 'Starting money',
+  migration: 'Balance carried over',
+  purchase: 'Pack purchase',
+  sale: 'Card sale',
+  freePack: 'Free pack'
+};
+
+/**
+ * Converts a dollar amount to integer cents.
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Cents
+ */
+export const toCents = (amount) => Math.round((Number(amount) || 0) * 100);
+
+/**
+ * Converts integer cents to a dollar amount, for display.
+ * @param {number} cents - Cents
+ * @returns {number} Amount in dollars
+ */
+export const fromCents = (cents) => cents / 100;
+
+/**
+ * Appends a transaction to a ledger.
+ * @param {Object} ledger - Ledger
+ * @param {Object} transaction
+ * @param {string} transaction.type - One of TRANSACTION_TYPES
+ * @param {number} transaction.amount - Signed amount in cents (negative for spending)
+ * @param {string} [transaction.reference] - What it was for: pack key, card printing id
+ * @param {string} [transaction.description] - Label shown in the transaction history
+ * @param {Date|string} [transaction.at] - Time of the transaction (default now)
+ * @returns {Object} New ledger
+ * @throws {Error} When the amount is not a whole number of cents
+ */
+export const recordTransaction = (ledger, { type, amount, reference = null, description = '', at = new Date() }) => {
+  if (!Number.isInteger(amount)) {
+    throw new Error(`Transaction amounts are whole cents, got ${amount}`);
+  }
+  const balance = ledger.balance + amount;
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    amount,
+    balance,
+    at: new Date(at).toISOString(),
+    reference,
+    description
+  };
+  return { balance, transactions: [...ledger.transactions, entry].slice(-APP_CONFIG.ledgerHistoryLimit) };
+};
+
+/**
+ * Creates the ledger of a new player, with the starting money.
+ * @param {Date|string} [at] - Time of the grant (default now)
+ * @returns {Object} Ledger
+ */
+export const createLedger = (at = new Date()) => recordTransaction({ balance: 0, transactions: [] }, {
+  type: 'grant',
+  amount: toCents(APP_CONFIG.startingMoney),
+  description: TRANSACTION_TYPES.grant,
+  at
+});
+
+/**
+ * Whether a saved transaction is well formed.
+ * @param {*} entry - Saved transaction
+ * @returns {boolean} True when it can be shown
+ */
+const isTransaction = (entry) => Boolean(entry)
+  && TRANSACTION_TYPES[entry.type] !== undefined
+  && Number.isInteger(entry.amount)
+  && Number.isInteger(entry.balance)
+  && !Number.isNaN(Date.parse(entry.at));
+
+/**
+ * Reads a saved ledger, or carries over the money of a save from before the ledger.
+ * @param {*} value - Saved ledger
+ * @param {*} [legacyMoney] - Money saved before the ledger (dollars)
+ * @returns {Object|null} Ledger, null when neither is valid (a new player)
+ */
+export const readLedger = (value, legacyMoney = null) => {
+  if (value && Number.isInteger(value.balance) && Array.isArray(value.transactions)) {
+    return { balance: value.balance, transactions: value.transactions.filter(isTransaction) };
+  }
+  if (typeof legacyMoney === 'number' && Number.isFinite(legacyMoney) && legacyMoney >= 0) {
+    return recordTransaction({ balance: 0, transactions: [] }, {
+      type: 'migration',
+      amount: toCents(legacyMoney),
+      description: TRANSACTION_TYPES.migration
+    });
+  }
+  return null;
+};
+
+/**
+ * Filters transactions for the transaction history, newest first.
+ * @param {Array<Object>} transactions - Ledger transactions
+ * @param {Object} [filters]
+ * @param {string} [filters.type] - Transaction type, 'all' for every type
+ * @param {number} [filters.since] - Earliest time in ms
+ * @returns {Array<Object>} Matching transactions
+ */
+export const filterTransactions = (transactions, { type = 'all', since = null } = {}) => transactions
+  .filter(entry => (type === 'all' || entry.type === type) && (since === null || Date.parse(entry.at) >= since))
+  .reverse();
@@ -0,0 +1,76 @@
+/**
+ * Tests for the money ledger: cents, running balances and saves from before the ledger.
+ */
+
+import { APP_CONFIG } from './config';
+import { createLedger, filterTransactions, readLedger, recordTransaction, toCents } from './money-ledger';
+
+const empty = () => ({ balance: 0, transactions: [] });
+
+describe('toCents', () => {
+  it('rounds dollar amounts to whole cents', () => {
+    expect(toCents(0.1 + 0.2)).toBe(30);
+    expect(toCents(4.995)).toBe(500);
+    expect(toCents('1.5')).toBe(150);
+    expect(toCents(undefined)).toBe(0);
+  });
+});
+
+describe('recordTransaction', () => {
+  it('keeps a running balance on every transaction', () => {
+    let ledger = createLedger('2024-08-01T00:00:00.000Z');
+    ledger = recordTransaction(ledger, { type: 'purchase', amount: -499, reference: 'blb-play', at: '2024-08-02T00:00:00.000Z' });
+    ledger = recordTransaction(ledger, { type: 'sale', amount: 10, reference: 'card-1' });
+    expect(ledger.balance).toBe(toCents(APP_CONFIG.startingMoney) - 489);
+    expect(ledger.transactions.map(entry => entry.balance)).toEqual([2000, 1501, 1511]);
+    expect(ledger.transactions[1]).toMatchObject({ type: 'purchase', amount: -499, reference: 'blb-play', at: '2024-08-02T00:00:00.000Z' });
+  });
+
+  it('adds sales up without floating-point drift', () => {
+    let ledger = empty();
+    for (let i = 0; i < 10; i++) ledger = recordTransaction(ledger, { type: 'sale', amount: toCents(0.1) });
+    expect(ledger.balance).toBe(100);
+  });
+
+  it('rejects amounts that are not whole cents', () => {
+    expect(() => recordTransaction(empty(), { type: 'sale', amount: 0.1 })).toThrow('whole cents');
+  });
+
+  it('drops the oldest transactions past the history limit, keeping the balance', () => {
+    let ledger = empty();
+    for (let i = 0; i < APP_CONFIG.ledgerHistoryLimit + 5; i++) ledger = recordTransaction(ledger, { type: 'sale', amount: 1 });
+    expect(ledger.transactions).toHaveLength(APP_CONFIG.ledgerHistoryLimit);
+    expect(ledger.balance).toBe(APP_CONFIG.ledgerHistoryLimit + 5);
+  });
+});
+
+describe('readLedger', () => {
+  it('keeps well-formed transactions of a saved ledger', () => {
+    const ledger = createLedger();
+    const saved = { ...ledger, transactions: [...ledger.transactions, { type: 'bribe', amount: 5, balance: 5, at: 'now' }] };
+    expect(readLedger(saved)).toEqual(ledger);
+  });
+
+  it('carries over money saved before the ledger', () => {
+    const ledger = readLedger(null, 12.345);
+    expect(ledger.balance).toBe(1235);
+    expect(ledger.transactions.map(entry => entry.type)).toEqual(['migration']);
+  });
+
+  it('returns null for a new player', () => {
+    expect(readLedger(undefined)).toBeNull();
+    expect(readLedger({ balance: 1.5, transactions: [] })).toBeNull();
+    expect(readLedger(null, -3)).toBeNull();
+  });
+});
+
+describe('filterTransactions', () => {
+  it('filters by type and time, newest first', () => {
+    let ledger = createLedger('2024-08-01T00:00:00.000Z');
+    ledger = recordTransaction(ledger, { type: 'sale', amount: 5, at: '2024-08-02T00:00:00.000Z' });
+    ledger = recordTransaction(ledger, { type: 'sale', amount: 7, at: '2024-08-03T00:00:00.000Z' });
+    expect(filterTransactions(ledger.transactions, { type: 'sale' }).map(entry => entry.amount)).toEqual([7, 5]);
+    expect(filterTransactions(ledger.transactions, { since: Date.parse('2024-08-02T00:00:00.000Z') })).toHaveLength(2);
+    expect(filterTransactions(ledger.transactions)).toHaveLength(3);
+  });
+});
@@ -1,89 +1,56 @@
 /**
- * MTG API utility functions for fetching real card data using direct fetch calls
+ * MTG API utility functions for fetching real card data through the active card source (see card-source.js)
  */
 
 import { logger } from './utils';
-
-// Cache for storing fetched cards to avoid repeated API calls
-const cardCache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+import { getCardSource, buildScryfallQuery, matchesIdentifier, isNonPlayableCard } from './card-source';
+import { loadSetPool, loadSetPools, loadLanguagePrintings, clearSetPools } from './card-pool';
+import { cacheReadThrough, clearCache } from './card-cache';
+import { createSlotContext, planPack, pickFromPool, generatePackFromPool, getSlotSetCodes, hasPickPools, warnDuplicateKept } from './pack-generator';
+import { abortable, createAbortError } from './request-scheduler';
+import { buildPrintSheets } from './print-sheets';
+import { getRawCardTreatment, isFoilFinish, resolveCardFinish } from './card-treatments';
+import { getCardMetadata } from './card-metadata';
+import { DEFAULT_LANGUAGE, getCardLanguage, getPrintingKey } from './card-languages';
+import { DEFAULT_CURRENCY, getPrice, readPrices } from './currencies';
+
+// Re-rolls of a card-source pick that returned a card already in the pack (each one is a request)
+const REMOTE_DUPLICATE_REROLLS = 3;
 
 /**
- * Fetches a random card from Scryfall API
+ * Fetches a random card from the active card source
  * @returns {Promise<Object>} Card data object
  */
 export const fetchRandomCard = async () => {
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-
-    const response = await fetch('https://api.scryfall.com/cards/random', {
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    const card = await getCardSource().fetchRandomCard({}, { timeout: 10000 });
+    if (!card) {
+      throw new Error('No card returned from card source');
     }
-
-    const card = await response.json();
     return formatCardData(card);
   } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error('Request timed out while fetching random card');
-    } else {
-      console.error('Error fetching random card:', error);
-    }
+    console.error('Error fetching random card:', error);
     return null;
   }
 };
 
 /**
- * Fetches cards by set code from Scryfall API
+ * Fetches cards by set code from the active card source
  * @param {string} setCode - The set code (e.g., 'mm2', 'znr')
  * @param {number} count - Number of cards to fetch
  * @returns {Promise<Array>} Array of card objects
  */
 export const fetchCardsBySet = async (setCode, count = 15) => {
   try {
-    // Check if we have cached results
-    const cacheKey = `set_${setCode}_${count}`;
-    const cached = cardCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-      return cached.data;
-    }
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
-
-    // Fetch cards from the specified set
-    const response = await fetch(`https://api.scryfall.com/cards/search?q=set:${setCode}`, {
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const result = await response.json();
-
-    if (!result.data || !Array.isArray(result.data)) {
-      throw new Error('Invalid response format from Scryfall API');
-    }
+    const source = getCardSource();
+    const rawCards = await cacheReadThrough(
+      `search:${source.name}:set:${setCode}`,
+      () => source.searchCards({ setCode }, { timeout: 15000 }),
+      { kind: 'search' }
+    );
 
     // Take only the requested number of cards
-    const cards = result.data.slice(0, count).map(formatCardData);
-
-    // Cache the results
-    cardCache.set(cacheKey, {
-      data: cards,
-      timestamp: Date.now()
-    });
-
-    return cards;
+    return rawCards.slice(0, count).map(card => formatCardData(card));
   } catch (error) {
     if (error.name === 'AbortError') {
       console.error(`Request timed out while fetching cards for set ${setCode}`);
@@ -95,53 +62,65 @@ export const fetchCardsBySet = async (setCode, count = 15) => {
 };
 
 /**
- * Fetches a booster pack worth of cards from a specific set
+ * Loads the printings a pack's picks are swapped for when it opens in another language.
+ * @param {Array<string>} setCodes - The booster's set code and bonus sheet set codes
+ * @param {string} lang - Scryfall language code
+ * @returns {Promise<Map<string, Object>|null>} Printings by printing key, null for English
+ */
+const loadPackPrintings = async (setCodes, lang) => {
+  if (!lang || lang === DEFAULT_LANGUAGE) return null;
+  const maps = await Promise.all(setCodes.map(code => loadLanguagePrintings(code, lang)));
+  return new Map(maps.flatMap(map => [...map]));
+};
+
+/**
+ * Swaps a picked card for its printing in the pack's language, keeping it when there is none.
+ * @param {Object} raw - Raw card
+ * @param {Map<string, Object>|null} printings - Printings from loadPackPrintings
+ * @returns {Object} Raw card to normalize
+ */
+const localizeCard = (raw, printings) => (printings ? printings.get(getPrintingKey(raw)) || raw : raw);
+
+/**
+ * Fetches a booster pack worth of cards from a specific set.
+ * Slots are sampled from the locally cached card pools of the set and of the other sets its
+ * slots draw from (bonus sheets, token and art-card companion sets; loaded once per set); picks
+ * the pools cannot fill fall back to one card-source query each. Optional picks (bonus cards)
+ * only query the card source when one of their pools failed to load: when the pools are all
+ * there, the set simply has no card for them.
  * @param {string} setCode - The set code
- * @returns {Promise<Array>} Array of 15 cards representing a booster pack
+ * @param {Array} slots - Slot definitions (see src/data/boosters.js)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels outstanding requests (rejects with an AbortError)
+ * @param {string} [options.seed] - Seed for slot rolls and pool picks (see rng.js); picks fetched
+ *   from the card source instead of the pool are not reproducible
+ * @param {Object} [options.printSheets] - The booster's print sheet definitions (see print-sheets.js);
+ *   ignored when the set pool can't be loaded
+ * @param {string} [options.lang] - Language to open the pack in (see card-languages.js); cards
+ *   without a printing in it stay in English
+ * @param {boolean} [options.offline] - Open from the cached set pools only: rejects when the set's
+ *   pool can't be loaded, and leaves out picks they can't fill instead of querying the card source
+ * @returns {Promise<Array>} Array of cards representing a booster pack
  */
-export const fetchBoosterPack = async (setCode, slots = null) => {
+export const fetchBoosterPack = async (setCode, slots = null, { signal = null, seed = null, printSheets = null, lang = DEFAULT_LANGUAGE, offline = false } = {}) => {
   const operationId = `fetchBoosterPack_${setCode}_${Date.now()}`;
   logger.log(`Starting booster pack fetch`, { setCode, operationId, hasSlots: !!slots });
 
-  // Helper to fetch a raw card with specific constraints; returns raw Scryfall card
-  const fetchRawCard = async ({ rarity = null, queryFoil = undefined, pool = null, type = null }) => {
-    let query = `set:${setCode}`;
-    if (rarity) query += ` rarity:${rarity}`;
-    if (type) query += ` type:${type}`;
-    if (pool === 'land') {
-      query += ` t:land`;
-    }
-    // Only constrain foil if explicitly requested
-    if (queryFoil === true) query += ` is:foil`;
-    if (queryFoil === false) query += ` is:nonfoil`;
-
-    // LOG the composed query for debugging foil issues
-    console.log('[mtg-api] fetchRawCard query:', {
-      setCode,
-      rarity,
-      type,
-      pool,
-      queryFoil,
-      finalQuery: query
-    });
-
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 8000); // 8 second timeout
-
-      const response = await fetch(`https://api.scryfall.com/cards/random?q=${encodeURIComponent(query)}`, {
-        signal: controller.signal
+  // Helper to fetch a raw card for one pick from the active card source, trying each criteria in order
+  // (in the pack's language first, then in English)
+  const fetchRawCard = async (criteriaList, { fallback = true } = {}) => {
+    const source = getCardSource();
+    const localized = lang && lang !== DEFAULT_LANGUAGE ? criteriaList.map(criteria => ({ ...criteria, lang })) : [];
+    for (const criteria of [...localized, ...criteriaList]) {
+      // LOG the composed query for debugging foil issues
+      console.log('[mtg-api] fetchRawCard query:', {
+        source: source.name,
+        criteria,
+        finalQuery: buildScryfallQuery(criteria)
       });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const card = await response.json();
+      const card = await source.fetchRandomCard(criteria, { timeout: 8000, signal });
       console.log('[mtg-api] fetchRawCard response:', {
-        ok: !!card && card.object !== 'error',
+        ok: !!card,
         finishes: card?.finishes,
         foilField: card?.foil,
         nonfoilField: card?.nonfoil,
@@ -149,143 +128,87 @@ export const fetchBoosterPack = async (setCode, slots = null) => {
         name: card?.name,
         id: card?.id
       });
-      if (card && card.object !== 'error') {
-        return card;
-      }
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        console.warn(`Request timed out for query "${query}"`);
-      } else {
-        console.warn(`Failed to fetch raw card with query "${query}":`, error);
-      }
+      if (card) return card;
     }
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout for fallback
-
-      const randomCardResponse = await fetch('https://api.scryfall.com/cards/random', {
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
+    if (!fallback) return null;
+
+    // Fall back to any random card so the pack keeps its size
+    const randomCard = await source.fetchRandomCard({}, { timeout: 5000, signal });
+    console.log('[mtg-api] fetchRawCard fallback random card response:', {
+      ok: !!randomCard,
+      rarity: randomCard?.rarity,
+      name: randomCard?.name,
+      id: randomCard?.id
+    });
+    return randomCard || null;
+  };
 
-      if (!randomCardResponse.ok) {
-        throw new Error(`HTTP ${randomCardResponse.status}: ${randomCardResponse.statusText}`);
-      }
+  // If slots provided, honor them; otherwise, refuse legacy fallback to avoid inconsistent pack sizes.
+  if (Array.isArray(slots) && slots.length > 0) {
+    let pools = null;
+    try {
+      // Stop waiting on cancel, but let the shared pool loads finish for the next open
+      pools = await abortable(loadSetPools(setCode, getSlotSetCodes(slots, setCode)), signal);
+    } catch (error) {
+      if (error.name === 'AbortError' && signal?.aborted) throw error;
+      if (offline) throw new Error(`${setCode.toUpperCase()} cards are not available offline`);
+      logger.warn(`Card pool unavailable for ${setCode}, fetching each card from the card source`, { operationId, error: error.message });
+    }
 
-      const randomCard = await randomCardResponse.json();
-      console.log('[mtg-api] fetchRawCard fallback /cards/random response:', {
-        ok: !!randomCard && randomCard.object !== 'error',
-        finishes: randomCard?.finishes,
-        foilField: randomCard?.foil,
-        nonfoilField: randomCard?.nonfoil,
-        rarity: randomCard?.rarity,
-        name: randomCard?.name,
-        id: randomCard?.id
-      });
-      if (randomCard && randomCard.object !== 'error') {
-        return randomCard;
-      }
+    let printings = null;
+    try {
+      printings = await abortable(loadPackPrintings([setCode, ...getSlotSetCodes(slots, setCode)], lang), signal);
     } catch (error) {
-      if (error.name === 'AbortError') {
-        console.warn('Fallback request timed out');
-      } else {
-        console.warn('Fallback request failed:', error);
-      }
+      if (error.name === 'AbortError' && signal?.aborted) throw error;
     }
-    return null;
-  };
 
-  const pushIfCard = (arr, raw, explicitFoil = null) => {
-    if (raw) arr.push(formatCardData(raw, explicitFoil));
-  };
+    // Print sheets are built from the set pool; without it, sheet slots pick cards independently
+    const sheets = pools ? buildPrintSheets(pools[setCode.toLowerCase()], printSheets) : null;
+    const ctx = createSlotContext({ seed, printSheets: sheets });
+    const picks = planPack(setCode.toLowerCase(), slots, ctx);
+    console.log('[mtg-api] fetchBoosterPack planned picks:', picks);
 
-  // If slots provided, honor them; otherwise, refuse legacy fallback to avoid inconsistent pack sizes.
-  if (Array.isArray(slots) && slots.length > 0) {
     const formatted = [];
-    console.log('[mtg-api] fetchBoosterPack per-slot mode enabled. slots:', slots);
-
-    for (const slot of slots) {
-      const count = typeof slot.count === 'function' ? Number(slot.count({})) : Number(slot.count || 0);
-      for (let i = 0; i < count; i++) {
-        let resolved = null;
-        if (typeof slot.resolver === 'function') {
-          try { resolved = slot.resolver({}); } catch (e) { console.warn('Slot resolver error:', e); }
-        }
-
-        let rarity = resolved?.rarity || null;
-        if (!rarity && slot.odds && typeof slot.odds === 'object') {
-          const entries = Object.entries(slot.odds);
-          let r = Math.random();
-          for (const [rar, weight] of entries) {
-            r -= Number(weight) || 0;
-            if (r <= 0) { rarity = rar; break; }
-          }
-          if (!rarity && entries.length > 0) rarity = entries[entries.length - 1][0];
-        }
-        if (!rarity && slot.pool && ['common','uncommon','rare','mythic'].includes(slot.pool)) {
-          rarity = slot.pool;
+    // Ids of the cards already in this pack, so picks re-roll duplicates (see pack-generator.js)
+    const picked = new Set();
+    let remoteFetches = 0;
+    // Picks left out offline, and bonus cards the set has none of
+    let skipped = 0;
+    let skippedOptional = 0;
+
+    // Fetches a pick from the card source, re-fetching cards already in the pack
+    const fetchNewRawCard = async (pick, options) => {
+      remoteFetches++;
+      let raw = await fetchRawCard(pick.criteria, options);
+      for (let reroll = 1; raw && !pick.allowDuplicates && picked.has(raw.id); reroll++) {
+        if (reroll > REMOTE_DUPLICATE_REROLLS) {
+          warnDuplicateKept(pick.criteria[0], REMOTE_DUPLICATE_REROLLS);
+          break;
         }
-
-        // Only set foil if slot explicitly defines it (boolean) or resolver returned it (boolean).
-        // Otherwise, leave undefined so API does not force foil/nonfoil.
-        const hasExplicitFoil = typeof slot.foil === 'boolean' || typeof resolved?.foil === 'boolean';
-        const foilFlag = typeof resolved?.foil === 'boolean' ? resolved.foil :
-                         typeof slot.foil === 'boolean' ? slot.foil : undefined;
-
-        if (slot.pool === 'land' || resolved?.pool === 'land') {
-          console.log('[mtg-api] slot land:', { resolved, slot, foilFlag, rarity });
-          const pickBasic = Math.random() < 0.95;
-          if (pickBasic) {
-            const raw = await fetchRawCard({ rarity: null, queryFoil: foilFlag, pool: 'land', type: 'basic' });
-            pushIfCard(formatted, raw, hasExplicitFoil ? foilFlag : null);
-          } else {
-            let query = `set:${setCode} t:land -t:basic`;
-            if (foilFlag === true) query += ' is:foil';
-            if (foilFlag === false) query += ' is:nonfoil';
-            console.log('[mtg-api] land non-basic query:', { finalQuery: query, foilFlag });
-            try {
-              const response = await fetch(`https://api.scryfall.com/cards/random?q=${encodeURIComponent(query)}`);
-              const card = await response.json();
-              console.log('[mtg-api] land non-basic response:', {
-                ok: !!card && card.object !== 'error',
-                finishes: card?.finishes,
-                foilField: card?.foil,
-                nonfoilField: card?.nonfoil,
-                name: card?.name,
-                id: card?.id
-              });
-              if (card && card.object !== 'error') {
-                pushIfCard(formatted, card, hasExplicitFoil ? foilFlag : null);
-              } else {
-                const fallback = await fetchRawCard({ rarity: null, queryFoil: foilFlag, pool: 'land' });
-                pushIfCard(formatted, fallback, hasExplicitFoil ? foilFlag : null);
-              }
-            } catch (e) {
-              console.warn('[mtg-api] land non-basic error:', e);
-              const fallback = await fetchRawCard({ rarity: null, queryFoil: foilFlag, pool: 'land' });
-              pushIfCard(formatted, fallback, hasExplicitFoil ? foilFlag : null);
-            }
-          }
-          continue;
-        }
-
-        console.log('[mtg-api] slot generic/wildcard request:', {
-          rarity,
-          pool: slot.pool || resolved?.pool || null,
-          foilFlag
-        });
-        const raw = await fetchRawCard({
-          rarity: rarity || null,
-          queryFoil: foilFlag,
-          pool: slot.pool || resolved?.pool || null,
-          type: null
-        });
-        pushIfCard(formatted, raw, hasExplicitFoil ? foilFlag : null);
+        remoteFetches++;
+        raw = await fetchRawCard(pick.criteria, options);
+      }
+      return raw;
+    };
+
+    for (const pick of picks) {
+      if (signal?.aborted) throw createAbortError('Booster pack fetch cancelled');
+      let raw = pools ? pickFromPool(pools, pick, ctx, picked) : null;
+      if (!raw && offline) {
+        // Offline, picks the pools can't fill are left out
+        skipped++;
+      } else if (!raw && pick.optional) {
+        // Optional picks (bonus cards) are dropped rather than replaced by an unrelated card
+        if (!hasPickPools(pools, pick)) raw = await fetchNewRawCard(pick, { fallback: false });
+        if (!raw) skippedOptional++;
+      } else if (!raw) {
+        raw = await fetchNewRawCard(pick);
       }
+      if (raw?.id) picked.add(raw.id);
+      if (raw) formatted.push(formatCardData(localizeCard(raw, printings), pick.explicitFinish));
     }
 
-    logger.log(`Booster pack fetch completed successfully`, { setCode, operationId, cardCount: formatted.length });
+    logger.log(`Booster pack fetch completed successfully`, { setCode, operationId, seed, lang, cardCount: formatted.length, remoteFetches, skipped, skippedOptional });
     return formatted;
   } else {
     logger.warn(`No valid slots provided for set ${setCode}`, { operationId });
@@ -294,37 +217,75 @@ export const fetchBoosterPack = async (setCode, slots = null) => {
   }
 };
 
+/**
+ * Regenerates a seeded booster pack from the local card pools, without any per-card queries.
+ * Produces the same cards as the original open as long as the set listing has not changed.
+ * @param {string} setCode - The set code
+ * @param {Array} slots - Slot definitions (see src/data/boosters.js)
+ * @param {string} seed - Seed the pack was opened with
+ * @param {Object} [printSheets] - The booster's print sheet definitions (see print-sheets.js)
+ * @param {string} [lang] - Language to show the cards in; picks are rolled in English, so the
+ *   replayed cards are the same in any language
+ * @returns {Promise<{ cards: Array, missing: number }>} Cards, and how many picks the pools could not fill
+ *   (optional picks count when one of their pools failed to load, as the original open may have
+ *   filled them from the card source)
+ */
+export const replayBoosterPack = async (setCode, slots, seed, printSheets = null, lang = DEFAULT_LANGUAGE) => {
+  const [pools, printings] = await Promise.all([
+    loadSetPools(setCode, getSlotSetCodes(slots, setCode)),
+    loadPackPrintings([setCode, ...getSlotSetCodes(slots, setCode)], lang)
+  ]);
+  const sheets = buildPrintSheets(pools[setCode.toLowerCase()], printSheets);
+  const picks = generatePackFromPool(pools, setCode, slots, createSlotContext({ seed, printSheets: sheets }));
+  const cards = picks.filter(pick => pick.card).map(pick => formatCardData(localizeCard(pick.card, printings), pick.explicitFinish));
+  logger.log('Booster pack replayed', { setCode, seed, cardCount: cards.length });
+  return { cards, missing: picks.filter(pick => !pick.card && (!pick.optional || !hasPickPools(pools, pick))).length };
+};
+
+/**
+ * Normalizes a raw card's rarity. Tokens, emblems and art series cards get the 'bonus'
+ * rarity, so they are never mistaken for commons.
+ * @param {Object} card - Raw card data from Scryfall API
+ * @returns {string} 'common' | 'uncommon' | 'rare' | 'mythic' | 'bonus'
+ */
+export const getCardRarity = (card) => {
+  if (isNonPlayableCard(card)) return 'bonus';
+  // Scryfall uses different terms
+  switch (String(card?.rarity || '').toLowerCase()) {
+    case 'uncommon':
+      return 'uncommon';
+    case 'rare':
+      return 'rare';
+    case 'mythic':
+    case 'mythic rare':
+      return 'mythic';
+    default:
+      return 'common';
+  }
+};
+
+/**
+ * Gets a raw card's price for a finish in US dollars: usd_etched for etched copies, usd_foil for
+ * other foil finishes, usd otherwise, falling back to whichever price Scryfall has (see
+ * getPrice in currencies.js).
+ * @param {Object} card - Raw card data from Scryfall API
+ * @param {string|boolean} finish - Finish of the copy (see card-treatments.js); true/false for foil/nonfoil
+ * @returns {number} Price in USD, 0 when unknown
+ */
+export const getCardPrice = (card, finish = 'nonfoil') => getPrice(card?.prices, finish, DEFAULT_CURRENCY);
+
 /**
  * Formats Scryfall card data to match our application's expected structure
  * @param {Object} card - Raw card data from Scryfall API
- * @param {boolean} explicitFoil - Optional: Force the foil status of the card
+ * @param {boolean|string|null} explicitFinish - Optional: finish the copy was opened in, a finish
+ *   name or true/false for foil/nonfoil (see card-treatments.js resolveCardFinish)
  * @returns {Object} Formatted card object
  */
-const formatCardData = (card, explicitFoil = null) => {
+export const formatCardData = (card, explicitFinish = null) => {
   if (!card) return null;
   
-  // Determine rarity (Scryfall uses different terms)
-  let rarity = 'common';
-  if (card.rarity) {
-    switch (card.rarity.toLowerCase()) {
-      case 'common':
-        rarity = 'common';
-        break;
-      case 'uncommon':
-        rarity = 'uncommon';
-        break;
-      case 'rare':
-        rarity = 'rare';
-        break;
-      case 'mythic':
-      case 'mythic rare':
-        rarity = 'mythic';
-        break;
-      default:
-        rarity = 'common';
-    }
-  }
-  
+  const rarity = getCardRarity(card);
+
   // Get image URL (prefer normal size, fallback to large)
   let imageUrl = '';
   let cardFaces = null;
@@ -346,24 +307,10 @@ const formatCardData = (card, explicitFoil = null) => {
     imageUrl = `https://placehold.co/200x280/${getRarityColor(rarity).replace('#', '')}/ffffff?text=${card.name || 'MTG Card'}`;
   }
   
-  // Get price with foil handling: prefer usd_foil for foil cards, fallback to usd
-  let price = 0;
-  if (card.prices) {
-    const rawFoil = typeof card.prices.usd_foil === 'string' ? parseFloat(card.prices.usd_foil) : NaN;
-    const rawUsd = typeof card.prices.usd === 'string' ? parseFloat(card.prices.usd) : NaN;
-    const isFoil = explicitFoil !== null ? explicitFoil : (card.foil || false);
-
-    if (isFoil && !isNaN(rawFoil)) {
-      price = rawFoil;
-    } else if (!isNaN(rawUsd)) {
-      price = rawUsd;
-    } else if (!isNaN(rawFoil)) {
-      // As a last resort, if usd is missing but usd_foil exists (and even if card isn't marked foil), use it
-      price = rawFoil;
-    } else {
-      price = 0;
-    }
-  }
+  // Only treat as foil when caller explicitly marks it as foil.
+  // Do NOT infer foil from Scryfall's card.foil, which only indicates availability.
+  const finish = resolveCardFinish(card, explicitFinish);
+  const price = getCardPrice(card, finish);
   
   // Generate a unique ID for each card instance to handle duplicates properly
   // This ensures each physical card can be flipped independently
@@ -373,17 +320,26 @@ const formatCardData = (card, explicitFoil = null) => {
     id: uniqueInstanceId,
     originalId: card.id, // Keep original ID for reference
     name: card.name || 'Unknown Card',
+    // Name as printed on non-English cards (name stays the English name)
+    printedName: card.printed_name || card.card_faces?.map(face => face.printed_name).filter(Boolean).join(' // ') || null,
+    lang: getCardLanguage(card),
     rarity: rarity,
     image: imageUrl,
     card_faces: cardFaces,
+    // US dollar price of the copy's finish; `prices` keeps every currency (see currencies.js)
     price: price,
-    type: card.type_line || 'Unknown',
+    prices: readPrices(card.prices),
+    // Reversible cards only have type lines on their faces
+    type: card.type_line || card.card_faces?.map(face => face.type_line).filter(Boolean).join(' // ') || 'Unknown',
     set: card.set_name || 'Unknown Set',
     setCode: card.set || 'Unknown', // Add setCode to formatted card data
     collectorNumber: card.collector_number || '',
-    // Only treat as foil when caller explicitly marks it as foil.
-    // Do NOT infer foil from Scryfall's card.foil, which only indicates availability.
-    foil: explicitFoil === true ? true : false
+    // Showcase/borderless/extended-art/full-art frame of the print, null for a regular frame
+    treatment: getRawCardTreatment(card),
+    finish,
+    foil: isFoilFinish(finish),
+    // Mana cost, colors, rules text, stats, legalities, faces... (see card-metadata.js)
+    ...getCardMetadata(card)
   };
 };
 
@@ -397,7 +353,8 @@ const getRarityColor = (rarity) => {
     common: '#999999',
     uncommon: '#33cc33',
     rare: '#ffcc00',
-    mythic: '#ff6600'
+    mythic: '#ff6600',
+    bonus: '#66ccff'
   };
   return rarityColors[rarity] || rarityColors.common;
 };
@@ -416,8 +373,8 @@ export const getPriceCategory = (price) => {
 };
  
 /**
- * Fetch all unique print cards for a given set code from Scryfall, with pagination and caching.
- * Returns lightweight normalized objects suitable for Collection missing entries.
+ * Fetch all unique print cards for a given set code from the active card source, with caching.
+ * Returns nonfoil formatCardData entries without an instance id, for Collection missing entries.
  * @param {string} setCode
  * @returns {Promise<Array>} Array of normalized card entries
  */
@@ -425,111 +382,24 @@ export const fetchAllCardsInSet = async (setCode) => {
   if (!setCode || typeof setCode !== 'string') {
     throw new Error('fetchAllCardsInSet requires a non-empty setCode string');
   }
-  const cacheKey = `all_set_${setCode.toLowerCase()}`;
-  const cached = cardCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    return cached.data;
-  }
-
-  const baseUrl = `https://api.scryfall.com/cards/search?q=e%3A${encodeURIComponent(setCode)}&unique=prints`;
-  let url = baseUrl;
   const results = [];
 
   try {
-    while (url) {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 20000); // 20 second timeout for large requests
-
-      const resp = await fetch(url, {
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!resp.ok) {
-        throw new Error(`HTTP ${resp.status}`);
-      }
-      const json = await resp.json();
-      if (json.object === 'error') {
-        throw new Error(json.details || 'Scryfall error object returned');
-      }
-
-      const data = Array.isArray(json.data) ? json.data : [];
-      for (const card of data) {
-        // Skip tokens and cards without usable imagery
-        if (card.layout === 'token' || card.set_type === 'token') continue;
-
-        // Determine image URL, preferring normal PNG. For double-faced, use front face image.
-        let imageUrl = '';
-        if (card.image_uris && (card.image_uris.normal || card.image_uris.large || card.image_uris.small)) {
-          imageUrl = card.image_uris.normal || card.image_uris.large || card.image_uris.small || '';
-        } else if (Array.isArray(card.card_faces) && card.card_faces.length > 0) {
-          const front = card.card_faces[0];
-          if (front && front.image_uris) {
-            imageUrl = front.image_uris.normal || front.image_uris.large || front.image_uris.small || '';
-          }
-        }
-        if (!imageUrl) continue; // skip entries without usable images
-
-        // Normalize rarity exactly as in formatCardData
-        let rarity = 'common';
-        if (card.rarity) {
-          switch ((card.rarity || '').toLowerCase()) {
-            case 'common':
-              rarity = 'common';
-              break;
-            case 'uncommon':
-              rarity = 'uncommon';
-              break;
-            case 'rare':
-              rarity = 'rare';
-              break;
-            case 'mythic':
-            case 'mythic rare':
-              rarity = 'mythic';
-              break;
-            default:
-              rarity = 'common';
-          }
-        }
-
-        let price = 0;
-        // if (card.prices) {
-        //   const rawFoil = typeof card.prices.usd_foil === 'string' ? parseFloat(card.prices.usd_foil) : NaN;
-        //   const rawUsd = typeof card.prices.usd === 'string' ? parseFloat(card.prices.usd) : NaN;
-        //   const isFoil = false; // For fetchAllCardsInSet, we assume non-foil by default for collection view
-
-        //   if (isFoil && !isNaN(rawFoil)) {
-        //     price = rawFoil;
-        //   } else if (!isNaN(rawUsd)) {
-        //     price = rawUsd;
-        //   } else if (!isNaN(rawFoil)) {
-        //     price = rawFoil;
-        //   } else {
-        //     price = 0;
-        //   }
-        // }
-
-        const normalized = {
-          originalId: card.id,
-          name: card.name || 'Unknown Card',
-          rarity,
-          type: card.type_line || 'Unknown',
-          set: card.set_name || 'Unknown Set',
-          setCode: card.set || (setCode.toLowerCase()),
-          collectorNumber: String(card.collector_number || ''),
-          image: imageUrl,
-          foil: false,
-          price: price
-        };
-        results.push(normalized);
-      }
-
-      url = json.has_more ? json.next_page : null;
+    // Shares the set load with pack generation, so a set is only paginated once
+    const { rawCards: data } = await loadSetPool(setCode);
+    for (const card of data) {
+      // Skip tokens, emblems, art cards and cards without usable imagery
+      if (isNonPlayableCard(card)) continue;
+
+      // Skip entries without usable images (formatCardData would give them a placeholder)
+      const imageUris = card.image_uris || card.card_faces?.[0]?.image_uris;
+      if (!imageUris?.normal && !imageUris?.large && !imageUris?.small) continue;
+
+      // Same shape as opened cards (prices in every currency, language...), without an instance id
+      const { id, ...entry } = formatCardData(card, 'nonfoil');
+      results.push({ ...entry, setCode: card.set || setCode.toLowerCase(), collectorNumber: String(card.collector_number || '') });
     }
 
-    // Cache and return
-    cardCache.set(cacheKey, { data: results, timestamp: Date.now() });
     return results;
   } catch (err) {
     // Wrap with context and rethrow a clean Error
@@ -537,3 +407,69 @@ export const fetchAllCardsInSet = async (setCode) => {
     throw new Error(`Failed to fetch all cards for set "${setCode}": ${message}`);
   }
 };
+
+/**
+ * Fetches a single card record by Scryfall id, read through the persistent card cache.
+ * @param {string} cardId - Scryfall card id (a collection entry's originalId)
+ * @returns {Promise<Object|null>} Raw Scryfall card, or null if unknown
+ */
+export const fetchCardById = async (cardId) => {
+  if (!cardId) return null;
+  const source = getCardSource();
+  return cacheReadThrough(`card:${source.name}:${cardId}`, () => source.fetchCardById(cardId), { kind: 'card' });
+};
+
+/**
+ * Looks up the metadata (see card-metadata.js) of saved cards by their originalId, one card
+ * record at a time through the card cache, so collections saved before the metadata existed
+ * can be filled in without refetching whole sets.
+ * @param {Array<string>} cardIds - Scryfall card ids
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the lookup between cards
+ * @returns {Promise<Map<string, Object>>} Metadata by card id; ids that can't be found are left out
+ */
+export const fetchCardMetadata = async (cardIds, { signal = null } = {}) => {
+  const metadata = new Map();
+  for (const cardId of cardIds) {
+    if (signal?.aborted) throw createAbortError();
+    try {
+      const card = await fetchCardById(cardId);
+      if (card) metadata.set(cardId, getCardMetadata(card));
+    } catch (error) {
+      logger.warn('Could not fetch card metadata', { cardId, error: error.message });
+    }
+  }
+  return metadata;
+};
+
+/**
+ * Fetches the rulings for a card, read through the persistent card cache.
+ * @param {string} cardId - Scryfall card id
+ * @returns {Promise<Array>} Rulings ({ source, published_at, comment })
+ */
+export const fetchCardRulings = async (cardId) => {
+  if (!cardId) return [];
+  const source = getCardSource();
+  return cacheReadThrough(`rulings:${source.name}:${cardId}`, () => source.fetchRulings(cardId), { kind: 'rulings' });
+};
+
+/**
+ * Looks up raw cards for a list of identifiers (set + collector number, name + set, or name).
+ * @param {Array<Object>} identifiers - Card identifiers (see card-source.js)
+ * @returns {Promise<Array<Object|null>>} Raw card per identifier, null where none matched
+ */
+export const fetchCardsByIdentifiers = async (identifiers) => {
+  if (identifiers.length === 0) return [];
+  const { found, notFound } = await getCardSource().fetchCardsByIdentifiers(identifiers);
+  logger.log('Resolved card identifiers', { requested: identifiers.length, found: found.length, notFound: notFound.length });
+  // Responses don't say which identifier each card answered, so match them back up
+  return identifiers.map(identifier => found.find(card => matchesIdentifier(card, identifier)) || null);
+};
+
+/**
+ * Clears the persistent card cache and the in-memory set pools built from it.
+ */
+export const clearCardDataCache = async () => {
+  await clearCache();
+  clearSetPools();
+};
@@ -0,0 +1,60 @@
+/**
+ * Tests for seeded booster openings: the same seed opens the same pack, and replaying a seed
+ * gives back the pack it was opened with. Card data comes from the hand-made Bloomburrow
+ * fixture in Scryfall's card format (src/__fixtures__/scryfall-blb.json) through the bulk-data
+ * card source, so every pick is answered from the local pools.
+ */
+
+import cards from './__fixtures__/scryfall-blb.json';
+import { createBulkDataCardSource, setCardSource } from './card-source';
+import { SLOT_TEMPLATES } from './data/boosters';
+import { clearCardDataCache, fetchBoosterPack, replayBoosterPack } from './mtg-api';
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const SLOTS = SLOT_TEMPLATES.default;
+const PRINT_SHEETS = { common: { rarity: 'common' }, uncommon: { rarity: 'uncommon' } };
+
+// What makes two packs the same: the printings and finishes, in open order
+// (entry ids are unique per opened copy)
+const contents = (pack) => pack.map(card => `${card.originalId}:${card.finish}`);
+
+beforeEach(async () => {
+  // Math.random would answer any pick the pools leave to the card source
+  setCardSource(createBulkDataCardSource({ cards, random: () => { throw new Error('Unseeded card source query'); } }));
+  await clearCardDataCache();
+});
+
+afterAll(() => setCardSource(null));
+
+describe('seeded booster openings', () => {
+  it('open the same pack for the same seed', async () => {
+    const first = await fetchBoosterPack('blb', SLOTS, { seed: 'k3j9x2ab0c' });
+    const second = await fetchBoosterPack('blb', SLOTS, { seed: 'k3j9x2ab0c' });
+    expect(first).toHaveLength(15);
+    expect(contents(second)).toEqual(contents(first));
+  });
+
+  it('open different packs for different seeds', async () => {
+    const packs = await Promise.all(['a1', 'b2', 'c3', 'd4'].map(seed => fetchBoosterPack('blb', SLOTS, { seed })));
+    expect(new Set(packs.map(pack => contents(pack).join())).size).toBeGreaterThan(1);
+  });
+
+  it('replay the pack they were opened with', async () => {
+    const opened = await fetchBoosterPack('blb', SLOTS, { seed: 'replay', printSheets: PRINT_SHEETS });
+    const replayed = await replayBoosterPack('blb', SLOTS, 'replay', PRINT_SHEETS);
+    expect(replayed.missing).toBe(0);
+    expect(contents(replayed.cards)).toEqual(contents(opened));
+  });
+
+  it('roll the same cards in every language', async () => {
+    const english = await replayBoosterPack('blb', SLOTS, 'k3j9x2ab0c');
+    const japanese = await fetchBoosterPack('blb', SLOTS, { seed: 'k3j9x2ab0c', lang: 'ja' });
+    expect(japanese.map(card => card.name)).toEqual(english.cards.map(card => card.name));
+    // Cards with a Japanese printing (same set and collector number) are swapped for it
+    const hasJapanese = (card) => cards.some(raw => raw.lang === 'ja' && raw.set === card.setCode && raw.collector_number === card.collectorNumber);
+    expect(english.cards.some(hasJapanese)).toBe(true);
+    expect(japanese.map(card => card.lang)).toEqual(english.cards.map(card => (hasJapanese(card) ? 'ja' : 'en')));
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Booster odds simulator.
+ *
+ * Runs many virtual openings of a booster's slot definitions against a set's card pool
+ * (the same generator real openings use, with a seeded random number generator) and
+ * reports what the slots actually produce: rarity and foil shares per slot, the chance of
+ * at least one mythic, and the pack's value distribution and expected value against its price.
+ * It also measures pack composition (colors among the commons, how evenly uncommons show up),
+ * so boosters collated from print sheets can be compared with independent picks.
+ * Used by the Store's pack details view and by scripts/simulate-odds.mjs.
+ */
+
+import { findPoolMatches, loadSetPools } from './card-pool';
+import { createSlotContext, generatePackFromPool, getSlotSetCodes } from './pack-generator';
+import { buildPrintSheets, getRawCardColors } from './print-sheets';
+import { getCardPrice, getCardRarity } from './mtg-api';
+import { isFoilFinish, resolveCardFinish } from './card-treatments';
+import { createAbortError } from './request-scheduler';
+
+const RARITY_ORDER = ['common', 'uncommon', 'rare', 'mythic', 'bonus'];
+const COLORS = ['W', 'U', 'B', 'R', 'G'];
+
+/**
+ * Returns the value at a percentile of a sorted array.
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile in [0, 1]
+ * @returns {number} Value
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+/**
+ * Buckets values into equal-width bins between their minimum and maximum.
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} bins - Number of bins
+ * @returns {Array<{ from: number, to: number, count: number }>} Histogram
+ */
+const buildHistogram = (sorted, bins) => {
+  if (sorted.length === 0) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = (max - min) / bins || 1;
+  const histogram = Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  for (const value of sorted) {
+    histogram[Math.min(bins - 1, Math.floor((value - min) / width))].count++;
+  }
+  return histogram;
+};
+
+/**
+ * Checks slot definitions for odds that don't sum to 1.
+ * @param {Array} slots - Slot definitions
+ * @returns {Array<string>} Problems found, empty when the odds are consistent
+ */
+export const checkSlotOdds = (slots) => {
+  const problems = [];
+  slots.forEach((slot, index) => {
+    if (!slot.odds) return;
+    const total = Object.values(slot.odds).reduce((sum, weight) => sum + (Number(weight) || 0), 0);
+    if (Math.abs(total - 1) > 0.001) {
+      problems.push(`Slot ${index + 1} (${slot.pool || 'custom'}) odds sum to ${total.toFixed(4)}, expected 1`);
+    }
+  });
+  return problems;
+};
+
+/**
+ * Starts a simulation of a booster's openings: packs are opened in batches (openPacks), so
+ * callers can spread the work out, and report() summarizes every pack opened so far.
+ * @param {Object} pools - Card pools keyed by set code (see loadSetPools in card-pool.js)
+ * @param {string} setCode - The booster's set code
+ * @param {Array} slots - Slot definitions (see src/data/boosters.js)
+ * @param {Object} options - Same as simulateOpenings
+ * @returns {{ openPacks: Function, report: Function }} Simulation
+ */
+const createSimulation = (pools, setCode, slots, { seed, price, bins, printSheets }) => {
+  const setPool = pools[setCode.toLowerCase()];
+  const ctx = createSlotContext({ seed, printSheets: printSheets ? buildPrintSheets(setPool, printSheets) : null });
+  const slotStats = slots.map((slot, slotIndex) => ({ slotIndex, pool: slot.pool || null, chance: typeof slot.chance === 'number' ? slot.chance : null, cards: 0, rarity: {}, foil: 0, unfilled: 0 }));
+  const values = [];
+  let packsWithMythic = 0;
+  let totalCards = 0;
+  let unfilled = 0;
+  // Composition: colors among each pack's common-slot cards, packs seen per uncommon-slot card
+  let commonColors = 0;
+  let packsMissingColor = 0;
+  const uncommonPacks = new Map();
+
+  const openPacks = (count) => {
+    for (let run = 0; run < count; run++) {
+      let value = 0;
+      let hasMythic = false;
+      const colors = new Set();
+      const uncommons = new Set();
+      for (const pick of generatePackFromPool(pools, setCode, slots, ctx)) {
+        const stats = slotStats[pick.slotIndex];
+        stats.pool = stats.pool || pick.pool;
+        if (!pick.card) {
+          // Optional picks (bonus cards) are simply left out when the set has none
+          if (pick.optional) continue;
+          stats.unfilled++;
+          unfilled++;
+          continue;
+        }
+        const rarity = getCardRarity(pick.card);
+        const finish = resolveCardFinish(pick.card, pick.explicitFinish);
+        const foil = isFoilFinish(finish);
+        stats.cards++;
+        stats.rarity[rarity] = (stats.rarity[rarity] || 0) + 1;
+        if (foil) stats.foil++;
+        if (rarity === 'mythic') hasMythic = true;
+        if (pick.pool === 'common') getRawCardColors(pick.card).forEach(color => colors.add(color));
+        if (pick.pool === 'uncommon') uncommons.add(pick.card.name);
+        value += getCardPrice(pick.card, finish);
+        totalCards++;
+      }
+      values.push(value);
+      if (hasMythic) packsWithMythic++;
+      const packColors = COLORS.filter(color => colors.has(color)).length;
+      commonColors += packColors;
+      if (packColors < COLORS.length) packsMissingColor++;
+      uncommons.forEach(name => uncommonPacks.set(name, (uncommonPacks.get(name) || 0) + 1));
+    }
+  };
+
+  const report = () => {
+    const runs = values.length;
+    // Uncommons that never showed up count as appearing in no pack
+    const uncommonCounts = new Map(uncommonPacks);
+    if (setPool) {
+      findPoolMatches(setPool, { rarity: 'uncommon', excludeType: 'basic' })
+        .forEach(card => { if (!uncommonCounts.has(card.name)) uncommonCounts.set(card.name, 0); });
+    }
+    const uncommonRates = [...uncommonCounts.values()].map(packs => packs / (runs || 1));
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    const expectedValue = values.reduce((sum, value) => sum + value, 0) / (runs || 1);
+    const byRarity = (counts, total) => Object.fromEntries(
+      Object.entries(counts)
+        .sort(([a], [b]) => RARITY_ORDER.indexOf(a) - RARITY_ORDER.indexOf(b))
+        .map(([rarity, count]) => [rarity, count / (total || 1)])
+    );
+
+    return {
+      setCode: setCode.toLowerCase(),
+      runs,
+      seed,
+      price,
+      cardsPerPack: totalCards / (runs || 1),
+      slots: slotStats.map(stats => ({
+        slotIndex: stats.slotIndex,
+        pool: stats.pool,
+        chance: stats.chance,
+        cardsPerPack: stats.cards / (runs || 1),
+        rarity: byRarity(stats.rarity, stats.cards),
+        foil: stats.foil / (stats.cards || 1),
+        unfilled: stats.unfilled
+      })),
+      atLeastOneMythic: packsWithMythic / (runs || 1),
+      expectedValue,
+      evRatio: price ? expectedValue / price : null,
+      value: {
+        min: sorted[0] || 0,
+        p10: percentile(sorted, 0.1),
+        median: percentile(sorted, 0.5),
+        p90: percentile(sorted, 0.9),
+        max: sorted[sorted.length - 1] || 0
+      },
+      histogram: buildHistogram(sorted, bins),
+      composition: {
+        commonColors: commonColors / (runs || 1),
+        missingColor: packsMissingColor / (runs || 1),
+        uncommonRate: {
+          cards: uncommonRates.length,
+          min: uncommonRates.length > 0 ? Math.min(...uncommonRates) : 0,
+          max: uncommonRates.length > 0 ? Math.max(...uncommonRates) : 0
+        }
+      },
+      unfilled
+    };
+  };
+
+  return { openPacks, report };
+};
+
+/**
+ * Simulates openings of a booster against card pools.
+ * @param {Object} pools - Card pools keyed by set code (see loadSetPools in card-pool.js)
+ * @param {string} setCode - The booster's set code
+ * @param {Array} slots - Slot definitions (see src/data/boosters.js)
+ * @param {Object} [options]
+ * @param {number} [options.runs] - Number of packs to open
+ * @param {string} [options.seed] - Seed, so reports are reproducible
+ * @param {number|null} [options.price] - Pack price to compare the expected value with
+ * @param {number} [options.bins] - Histogram bins
+ * @param {Object} [options.printSheets] - The booster's print sheet definitions; without them,
+ *   print-sheet slots pick their cards independently
+ * @returns {Object} Report { runs, seed, price, cardsPerPack, slots, atLeastOneMythic, expectedValue, evRatio, value, histogram, composition, unfilled }
+ */
+export const simulateOpenings = (pools, setCode, slots, { runs = 10000, seed = 'odds-simulator', price = null, bins = 20, printSheets = null } = {}) => {
+  const simulation = createSimulation(pools, setCode, slots, { seed, price, bins, printSheets });
+  simulation.openPacks(runs);
+  return simulation.report();
+};
+
+/**
+ * Same as simulateOpenings, but opens the packs in chunks and yields to the event loop between
+ * them, so a simulation in the browser doesn't freeze the page. Same seed, same report.
+ * @param {Object} pools - Card pools keyed by set code
+ * @param {string} setCode - The booster's set code
+ * @param {Array} slots - Slot definitions
+ * @param {Object} [options] - Same as simulateOpenings, plus:
+ * @param {number} [options.chunkSize] - Packs opened between yields
+ * @param {AbortSignal} [options.signal] - Stops the simulation (rejects with an AbortError)
+ * @returns {Promise<Object>} Report from simulateOpenings
+ */
+export const simulateOpeningsInChunks = async (pools, setCode, slots, {
+  runs = 10000, seed = 'odds-simulator', price = null, bins = 20, printSheets = null, chunkSize = 100, signal = null
+} = {}) => {
+  const simulation = createSimulation(pools, setCode, slots, { seed, price, bins, printSheets });
+  for (let opened = 0; opened < runs; opened += chunkSize) {
+    if (signal?.aborted) throw createAbortError('Simulation cancelled');
+    simulation.openPacks(Math.min(chunkSize, runs - opened));
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  if (signal?.aborted) throw createAbortError('Simulation cancelled');
+  return simulation.report();
+};
+
+/**
+ * Loads a booster's set pool (and bonus sheet pools) and simulates openings of it.
+ * @param {Object} booster - Pack configuration ({ setCode, slots, price, printSheets }) as returned by loadBoosters
+ * @param {Object} [options] - Same as simulateOpenings (price and printSheets default to the booster's), plus:
+ * @param {string} [options.collation] - 'sheets' to collate from the booster's print sheets,
+ *   'random' to pick every card independently
+ * @param {number} [options.chunkSize] - Open the packs in chunks of this size without blocking
+ *   (see simulateOpeningsInChunks); all at once when left out
+ * @param {AbortSignal} [options.signal] - Stops a chunked simulation
+ * @returns {Promise<Object>} Report from simulateOpenings
+ */
+export const simulateBooster = async (booster, { collation = 'sheets', chunkSize = null, ...options } = {}) => {
+  const pools = await loadSetPools(booster.setCode, getSlotSetCodes(booster.slots, booster.setCode));
+  const simulate = chunkSize ? simulateOpeningsInChunks : simulateOpenings;
+  return simulate(pools, booster.setCode, booster.slots, {
+    chunkSize,
+    price: booster.price ?? null,
+    printSheets: collation === 'sheets' ? booster.printSheets || null : null,
+    ...options
+  });
+};
+
+/**
+ * Simulates a booster both collated from its print sheets and with independent picks, with
+ * the same seed, to compare their pack composition.
+ * @param {Object} booster - Pack configuration, as for simulateBooster
+ * @param {Object} [options] - Same as simulateOpenings
+ * @returns {Promise<{ sheets: Object, random: Object }>} Report per collation mode
+ */
+export const compareCollation = async (booster, options = {}) => ({
+  sheets: await simulateBooster(booster, { ...options, collation: 'sheets' }),
+  random: await simulateBooster(booster, { ...options, collation: 'random' })
+});
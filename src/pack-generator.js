@@ -0,0 +1,360 @@
+/**
+ * Booster pack generation from slot definitions (see src/data/boosters.js).
+ *
+ * Generation is split in two steps so the same slot logic serves every backend:
+ * - planPack() resolves counts, odds, resolvers and land/foil rolls into pick requests.
+ * - pickFromPool() answers a pick request from local card pools (card-pool.js), keyed by
+ *   set code so slots can draw from bonus sheets in other sets (see getSlotSetCodes), and bonus
+ *   slots from the set's token and art-card companion sets (see getBonusSetCodes);
+ *   mtg-api.js falls back to the card source for picks the pools cannot fill.
+ *
+ * Like a real print run, a pack holds each print at most once: a pick that lands on a card
+ * already in the pack is re-rolled within the same criteria, up to DUPLICATE_REROLL_BUDGET
+ * times. Slots with allowDuplicates: true opt out.
+ *
+ * Slots pointing at a print sheet (printSheet, see print-sheets.js) take a run of consecutive
+ * cards from it instead, when the slot context carries the booster's built sheets. Sheet picks
+ * follow the same rules: a card that lacks the slot's foil or finish, or is already in the pack,
+ * is passed over for the next one on the sheet.
+ */
+
+import { findPoolMatches } from './card-pool';
+import { NON_PLAYABLE_LAYOUTS, matchesCriteria } from './card-source';
+import { getFinishCriteria, getTreatmentCriteria, isFoilFinish } from './card-treatments';
+import { createRandom } from './rng';
+import { getSheetCard } from './print-sheets';
+import { logger } from './utils';
+
+const RARITIES = ['common', 'uncommon', 'rare', 'mythic'];
+
+// Share of land slots that yield a basic land rather than a non-basic one
+const BASIC_LAND_CHANCE = 0.95;
+
+// Re-rolls per pick before a duplicate is kept because the pool is too small
+export const DUPLICATE_REROLL_BUDGET = 20;
+
+// Criteria already warned about as too small to avoid duplicates, so simulations don't flood the console
+const warnedSmallPools = new Set();
+
+/**
+ * Logs (once per criteria) that a pick had to keep a duplicate.
+ * @param {Object} criteria - Criteria the pick could not fill with a new card
+ * @param {number} rerolls - Re-rolls spent
+ */
+export const warnDuplicateKept = (criteria, rerolls) => {
+  const key = JSON.stringify(criteria);
+  if (warnedSmallPools.has(key)) return;
+  warnedSmallPools.add(key);
+  logger.warn(`Kept a duplicate card after ${rerolls} re-rolls: too few cards match the slot`, { criteria });
+};
+
+/**
+ * Resolves how many cards a slot yields: none when its `chance` roll fails, else its count.
+ * @param {Object} slot - Slot definition
+ * @param {Object} ctx - Slot context
+ * @returns {number} Card count
+ */
+export const getSlotCount = (slot, ctx) => {
+  if (typeof slot.chance === 'number' && ctx.random() >= slot.chance) return 0;
+  const count = typeof slot.count === 'function' ? Number(slot.count(ctx)) : Number(slot.count || 0);
+  return Number.isFinite(count) ? Math.max(0, Math.floor(count)) : 0;
+};
+
+/**
+ * Picks a rarity from a weighted odds map.
+ * @param {Object} odds - Mapping rarity -> weight (sums to 1)
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {string|null} Rarity
+ */
+const rollOdds = (odds, random) => {
+  const entries = Object.entries(odds);
+  let r = random();
+  for (const [rarity, weight] of entries) {
+    r -= Number(weight) || 0;
+    if (r <= 0) return rarity;
+  }
+  return entries.length > 0 ? entries[entries.length - 1][0] : null;
+};
+
+/**
+ * Lists the companion sets Scryfall files a set's tokens and art cards under ("tblb", "ablb" for "blb").
+ * @param {string} setCode - The set code
+ * @returns {Array<string>} Lowercase set codes
+ */
+export const getBonusSetCodes = (setCode) => {
+  const code = String(setCode || '').toLowerCase();
+  return [`t${code}`, `a${code}`];
+};
+
+/**
+ * Lists the other set codes a booster's slots draw from: bonus sheets, and the companion
+ * sets of bonus slots (see getBonusSetCodes).
+ * @param {Array} slots - Slot definitions
+ * @param {string} [setCode] - The booster's own set code, left out of the result
+ * @returns {Array<string>} Lowercase set codes
+ */
+export const getSlotSetCodes = (slots, setCode = null) => {
+  const own = setCode ? setCode.toLowerCase() : null;
+  const list = Array.isArray(slots) ? slots : [];
+  const codes = list
+    .map(slot => (typeof slot?.setCode === 'string' ? slot.setCode.toLowerCase() : null))
+    .filter(code => code && code !== own);
+  if (own && list.some(slot => slot?.pool === 'bonus')) codes.push(...getBonusSetCodes(own));
+  return [...new Set(codes)];
+};
+
+/**
+ * Resolves one card of a slot into rarity, pool, foil, finish, treatment, sheet and type constraints.
+ * @param {Object} slot - Slot definition
+ * @param {Object} ctx - Slot context
+ * @returns {{ rarity: string|null, pool: string|null, foil: boolean|undefined, finish: string|null, treatment: string|Object|null, sheet: string|null, type: string|Array<string>|null, excludeType: string|null }} Resolved slot
+ */
+export const resolveSlot = (slot, ctx) => {
+  let resolved = null;
+  if (typeof slot.resolver === 'function') {
+    try { resolved = slot.resolver(ctx); } catch (e) { console.warn('Slot resolver error:', e); }
+  }
+
+  let rarity = resolved?.rarity || null;
+  if (!rarity && slot.odds && typeof slot.odds === 'object') {
+    rarity = rollOdds(slot.odds, ctx.random);
+  }
+  if (!rarity && slot.pool && RARITIES.includes(slot.pool)) {
+    rarity = slot.pool;
+  }
+
+  // A specific finish (e.g. 'etched') decides foil on its own
+  const finish = resolved?.finish || slot.finish || null;
+
+  // Only set foil if slot explicitly defines it (finish, boolean or foilChance roll) or resolver returned it (boolean).
+  // Otherwise, leave undefined so the source does not force foil/nonfoil.
+  const foil = finish ? isFoilFinish(finish) :
+               typeof resolved?.foil === 'boolean' ? resolved.foil :
+               typeof slot.foil === 'boolean' ? slot.foil :
+               typeof slot.foilChance === 'number' ? ctx.random() < slot.foilChance : undefined;
+
+  const treatment = resolved?.treatment || slot.treatment || null;
+  return {
+    rarity,
+    pool: slot.pool || resolved?.pool || null,
+    foil,
+    finish,
+    treatment,
+    sheet: typeof slot.setCode === 'string' ? slot.setCode.toLowerCase() : null,
+    type: slot.type || null,
+    excludeType: slot.excludeType || null
+  };
+};
+
+/**
+ * Turns a resolved slot into an ordered list of criteria to try (first match wins).
+ * @param {Object} resolved - Output of resolveSlot
+ * @param {string} setCode - The set code
+ * @param {Object} ctx - Slot context
+ * @returns {Array<Object>} Criteria list (see card-source.js)
+ */
+const getSlotCriteria = ({ rarity, pool, foil, finish, treatment, sheet = null, type = null, excludeType = null }, setCode, ctx) => {
+  if (sheet || type || excludeType) {
+    // Bonus sheets and type-constrained slots fall back to the constrained slot in the set itself,
+    // then to a regular card of the slot
+    const regular = getSlotCriteria({ rarity, pool, foil, finish, treatment }, setCode, ctx);
+    const constraints = { ...(type ? { type } : {}), ...(excludeType ? { excludeType } : {}) };
+    const constrained = type || excludeType ? regular.map(criteria => ({ ...criteria, ...constraints })) : [];
+    const fromSheet = sheet ? (constrained.length > 0 ? constrained : regular).map(criteria => ({ ...criteria, setCode: sheet })) : [];
+    return [...fromSheet, ...constrained, ...regular];
+  }
+  if (finish || treatment) {
+    // Sets without the requested treatment or finish fall back to a regular card of the slot
+    const special = { ...getTreatmentCriteria(treatment), ...getFinishCriteria(finish) };
+    const regular = getSlotCriteria({ rarity, pool, foil }, setCode, ctx);
+    // The finish decides the foil constraint itself (etched prints may have no 'foil' finish)
+    const withSpecial = regular.map(({ foil: regularFoil, ...criteria }) => ({ ...criteria, ...(finish ? {} : { foil: regularFoil }), ...special }));
+    return [...withSpecial, ...regular];
+  }
+  if (pool === 'bonus') {
+    // Scryfall files tokens and art cards under companion sets (see getBonusSetCodes)
+    return [{ setCode: [setCode, ...getBonusSetCodes(setCode)], layout: NON_PLAYABLE_LAYOUTS }];
+  }
+  if (pool === 'land') {
+    if (ctx.random() < BASIC_LAND_CHANCE) {
+      return [{ setCode, type: 'basic', foil }, { setCode, type: 'land', foil }];
+    }
+    return [{ setCode, type: 'land', excludeType: 'basic', foil }, { setCode, type: 'land', foil }];
+  }
+  return [{ setCode, rarity, foil }];
+};
+
+/**
+ * Creates a slot context. Slot count/resolver functions receive it as `ctx`.
+ * Every random decision while generating a pack (slot rolls and card picks) goes through
+ * ctx.random, so a seeded context always produces the same pack from the same pool.
+ * @param {Object} [options]
+ * @param {string} [options.seed] - Seed for a deterministic generator (see rng.js)
+ * @param {Function} [options.random] - Random number generator returning [0, 1); ignored when seed is set
+ * @param {Object} [options.printSheets] - Built print sheets (buildPrintSheets in print-sheets.js);
+ *   without them, slots ignore printSheet and pick cards independently
+ * @returns {Object} Slot context { random, seed, printSheets }
+ */
+export const createSlotContext = ({ seed = null, random = Math.random, printSheets = null } = {}) => ({
+  random: seed !== null ? createRandom(seed) : random,
+  seed,
+  printSheets
+});
+
+/**
+ * Plans a pack: resolves every slot into pick requests, in open order.
+ * @param {string} setCode - The set code
+ * @param {Array} slots - Slot definitions
+ * @param {Object} ctx - Slot context
+ * @returns {Array<Object>} Pick requests { slotIndex, pool, sheet, printSheet, foil, explicitFoil, explicitFinish, optional, allowDuplicates, criteria }
+ */
+export const planPack = (setCode, slots, ctx) => {
+  const picks = [];
+  slots.forEach((slot, slotIndex) => {
+    const count = getSlotCount(slot, ctx);
+    // A print-sheet slot takes its cards as one run of consecutive cards from a random start
+    const sheet = slot.printSheet ? ctx.printSheets?.[slot.printSheet] : null;
+    const runStart = sheet ? Math.floor(ctx.random() * sheet.length) : 0;
+    for (let i = 0; i < count; i++) {
+      const resolved = resolveSlot(slot, ctx);
+      picks.push({
+        slotIndex,
+        pool: resolved.pool,
+        // Other set the slot draws from, when it has a bonus sheet
+        sheet: resolved.sheet,
+        printSheet: sheet ? { name: slot.printSheet, position: runStart + i } : null,
+        rarity: resolved.rarity,
+        foil: resolved.foil,
+        // Cards are only marked foil when the slot explicitly decided the finish
+        explicitFoil: typeof resolved.foil === 'boolean' ? resolved.foil : null,
+        // Finish to give the card (see card-treatments.js resolveCardFinish)
+        explicitFinish: resolved.finish || (typeof resolved.foil === 'boolean' ? resolved.foil : null),
+        // Bonus cards are skipped when the set has none, rather than replaced by another card
+        optional: resolved.pool === 'bonus',
+        allowDuplicates: slot.allowDuplicates === true,
+        criteria: getSlotCriteria(resolved, setCode, ctx)
+      });
+    }
+  });
+  return picks;
+};
+
+/**
+ * Lists the set codes a criteria draws from, lowercase.
+ * @param {Object} criteria - Query criteria
+ * @returns {Array<string>} Set codes
+ */
+const getCriteriaSetCodes = ({ setCode }) => (Array.isArray(setCode) ? setCode : [setCode])
+  .filter(Boolean)
+  .map(code => String(code).toLowerCase());
+
+/**
+ * Whether every set a pick draws from has a loaded pool, so the pools alone decide whether
+ * the pick can be filled.
+ * @param {Object} pools - Card pools keyed by lowercase set code
+ * @param {Object} pick - Pick request from planPack
+ * @returns {boolean} True when no pool the pick needs is missing
+ */
+export const hasPickPools = (pools, pick) => Boolean(pools)
+  && pick.criteria.every(criteria => getCriteriaSetCodes(criteria).every(code => pools[code]));
+
+/**
+ * Returns every card of the loaded pools matching a criteria, across all the set codes it lists.
+ * @param {Object} pools - Card pools keyed by lowercase set code
+ * @param {Object} criteria - Query criteria
+ * @returns {Array} Matching raw cards
+ */
+const findCriteriaMatches = (pools, criteria) => getCriteriaSetCodes(criteria)
+  .flatMap(code => (pools[code] ? findPoolMatches(pools[code], criteria) : []));
+
+/**
+ * Samples a card for one criteria, re-rolling cards already in the pack.
+ * @param {Object} pools - Card pools keyed by lowercase set code
+ * @param {Object} criteria - Query criteria
+ * @param {Object} ctx - Slot context
+ * @param {Set<string>|null} picked - Ids of the cards already in the pack, or null to allow duplicates
+ * @returns {Object|null} Raw card, or null when nothing matches
+ */
+const sampleNewCard = (pools, criteria, ctx, picked) => {
+  const matches = findCriteriaMatches(pools, criteria);
+  if (matches.length === 0) return null;
+  const sample = () => matches[Math.floor(ctx.random() * matches.length)];
+  let card = sample();
+  if (!picked) return card;
+  for (let reroll = 1; picked.has(card.id); reroll++) {
+    if (reroll > DUPLICATE_REROLL_BUDGET) {
+      warnDuplicateKept(criteria, DUPLICATE_REROLL_BUDGET);
+      break;
+    }
+    card = sample();
+  }
+  return card;
+};
+
+/**
+ * Reads a print-sheet pick: the card at its position, or the next one along the sheet that has
+ * the slot's foil and finish and isn't in the pack yet.
+ * @param {Array<Object>} sheet - Sheet of raw cards
+ * @param {Object} pick - Pick request from planPack, with a printSheet
+ * @param {Set<string>|null} exclude - Ids of the cards the pick must not repeat
+ * @returns {Object|null} Raw card, or null when no card on the sheet fits
+ */
+const pickFromSheet = (sheet, pick, exclude) => {
+  const { foil, finish } = pick.criteria[0] || {};
+  for (let offset = 0; offset < sheet.length; offset++) {
+    const card = getSheetCard(sheet, pick.printSheet.position + offset);
+    if (matchesCriteria(card, { foil, finish }) && !exclude?.has(card.id)) return card;
+  }
+  return null;
+};
+
+/**
+ * Answers a pick request from card pools.
+ * Tries each criteria in order, then retries without the foil constraint since
+ * finish data is the most likely to be incomplete. Criteria draw from every listed set that has
+ * a loaded pool; the others are skipped.
+ * @param {Object} pools - Card pools keyed by lowercase set code (see loadSetPools in card-pool.js)
+ * @param {Object} pick - Pick request from planPack
+ * @param {Object} ctx - Slot context
+ * @param {Set<string>} [picked] - Ids of the cards already in the pack; matching cards are re-rolled
+ *   unless the pick allows duplicates (print-sheet picks move on along their sheet)
+ * @returns {Object|null} Raw card, or null when the pools cannot fill the pick
+ */
+export const pickFromPool = (pools, pick, ctx, picked = null) => {
+  const exclude = pick.allowDuplicates ? null : picked;
+  const sheet = pick.printSheet ? ctx.printSheets?.[pick.printSheet.name] : null;
+  if (sheet) {
+    // A sheet without a fitting card leaves the pick to the slot's pool, like a sheet that can't be built
+    const card = pickFromSheet(sheet, pick, exclude);
+    if (card) return card;
+  }
+
+  for (const criteria of pick.criteria) {
+    const card = sampleNewCard(pools, criteria, ctx, exclude);
+    if (card) return card;
+  }
+  for (const { foil, ...criteria } of pick.criteria) {
+    if (typeof foil !== 'boolean') continue;
+    const card = sampleNewCard(pools, criteria, ctx, exclude);
+    if (card) return card;
+  }
+  return null;
+};
+
+/**
+ * Generates a full pack synchronously from card pools.
+ * Picks the pools cannot fill are returned with card: null.
+ * @param {Object} pools - Card pools keyed by lowercase set code, including the booster's own set
+ * @param {string} setCode - The booster's set code
+ * @param {Array} slots - Slot definitions
+ * @param {Object} ctx - Slot context
+ * @returns {Array<Object>} Picks with the sampled raw card attached as `card`
+ */
+export const generatePackFromPool = (pools, setCode, slots, ctx) => {
+  const picked = new Set();
+  return planPack(setCode.toLowerCase(), slots, ctx).map(pick => {
+    const card = pickFromPool(pools, pick, ctx, picked);
+    if (card?.id) picked.add(card.id);
+    return { ...pick, card };
+  });
+};
@@ -0,0 +1,103 @@
+/**
+ * Tests for pack planning and pool-based generation, against the hand-made Bloomburrow
+ * fixture in Scryfall's card format (src/__fixtures__/scryfall-blb.json).
+ */
+
+import cards from './__fixtures__/scryfall-blb.json';
+import { buildCardPool } from './card-pool';
+import { buildPrintSheets } from './print-sheets';
+import { SLOT_TEMPLATES } from './data/boosters';
+import { createSlotContext, generatePackFromPool, planPack } from './pack-generator';
+
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const english = cards.filter(card => card.lang === 'en');
+const createPools = () => ({
+  blb: buildCardPool(english.filter(card => card.set === 'blb'), 'blb'),
+  tblb: buildCardPool(english.filter(card => card.set === 'tblb'), 'tblb')
+});
+
+const slotCount = (slots) => slots.reduce((total, slot) => total + slot.count, 0);
+
+describe('planPack', () => {
+  it('plans one pick per card of every slot, in open order', () => {
+    const slots = SLOT_TEMPLATES.default;
+    const picks = planPack('blb', slots, createSlotContext({ seed: 'plan' }));
+    expect(picks).toHaveLength(slotCount(slots));
+    expect(picks.map(pick => pick.slotIndex)).toEqual([...picks.map(pick => pick.slotIndex)].sort((a, b) => a - b));
+    expect(picks.slice(0, 7).every(pick => pick.rarity === 'common')).toBe(true);
+  });
+
+  it('plans the same pack for the same seed', () => {
+    const plan = (seed) => planPack('blb', SLOT_TEMPLATES.default, createSlotContext({ seed }));
+    expect(plan('same')).toEqual(plan('same'));
+  });
+
+  it('decides the finish of explicit foil slots only', () => {
+    const picks = planPack('blb', SLOT_TEMPLATES.default, createSlotContext({ seed: 'finish' }));
+    const wildcards = picks.filter(pick => pick.pool === 'wildcard');
+    expect(wildcards.map(pick => pick.explicitFoil)).toEqual([false, true]);
+    expect(picks[0].explicitFoil).toBeNull();
+  });
+
+  it('only marks bonus picks as optional', () => {
+    const picks = planPack('blb', SLOT_TEMPLATES.default, createSlotContext({ seed: 'bonus' }));
+    expect(picks.filter(pick => pick.optional).map(pick => pick.pool)).toEqual(['bonus']);
+  });
+});
+
+describe('generatePackFromPool', () => {
+  it('fills every slot from the pools without duplicates', () => {
+    const picks = generatePackFromPool(createPools(), 'BLB', SLOT_TEMPLATES.default, createSlotContext({ seed: 'fill' }));
+    expect(picks.every(pick => pick.card)).toBe(true);
+    const ids = picks.map(pick => pick.card.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(picks.slice(0, 7).every(pick => pick.card.rarity === 'common')).toBe(true);
+    expect(picks.slice(7, 10).every(pick => pick.card.rarity === 'uncommon')).toBe(true);
+    expect(['rare', 'mythic']).toContain(picks[10].card.rarity);
+    expect(picks[picks.length - 1].card.layout).toBe('token');
+  });
+
+  it('generates the same pack for the same seed', () => {
+    const open = (seed) => generatePackFromPool(createPools(), 'blb', SLOT_TEMPLATES.default, createSlotContext({ seed }))
+      .map(pick => pick.card.id);
+    expect(open('k3j9x2ab0c')).toEqual(open('k3j9x2ab0c'));
+    const packs = new Set(['a', 'b', 'c', 'd'].map(seed => open(seed).join()));
+    expect(packs.size).toBeGreaterThan(1);
+  });
+
+  it('gives foil wildcards a card that comes in foil', () => {
+    for (const seed of ['f1', 'f2', 'f3', 'f4', 'f5']) {
+      const picks = generatePackFromPool(createPools(), 'blb', SLOT_TEMPLATES.default, createSlotContext({ seed }));
+      const foil = picks.find(pick => pick.pool === 'wildcard' && pick.explicitFoil === true);
+      expect(foil.card.finishes).toContain('foil');
+    }
+  });
+
+  it('leaves picks the pools cannot fill empty', () => {
+    const picks = generatePackFromPool({ blb: buildCardPool([], 'blb') }, 'blb', SLOT_TEMPLATES.default, createSlotContext({ seed: 'empty' }));
+    expect(picks.every(pick => pick.card === null)).toBe(true);
+  });
+
+  it('takes collated picks as runs along their print sheets', () => {
+    const pools = createPools();
+    const printSheets = buildPrintSheets(pools.blb, { common: { rarity: 'common' }, uncommon: { rarity: 'uncommon' } });
+    const picks = generatePackFromPool(pools, 'blb', SLOT_TEMPLATES.collated, createSlotContext({ seed: 'sheet', printSheets }));
+    for (const name of ['common', 'uncommon']) {
+      const sheet = printSheets[name];
+      const run = picks.filter(pick => pick.printSheet?.name === name);
+      const start = sheet.indexOf(run[0].card);
+      expect(run.map(pick => pick.card)).toEqual(run.map((pick, i) => sheet[(start + i) % sheet.length]));
+    }
+  });
+
+  it('moves sheet picks along the sheet to a card with the slot finish', () => {
+    const pools = createPools();
+    const printSheets = buildPrintSheets(pools.blb, { uncommon: { rarity: 'uncommon' } });
+    const slots = [{ count: 1, pool: 'uncommon', foil: true, printSheet: 'uncommon' }];
+    for (const seed of ['s1', 's2', 's3', 's4', 's5', 's6']) {
+      const [pick] = generatePackFromPool(pools, 'blb', slots, createSlotContext({ seed, printSheets }));
+      expect(pick.card.finishes).toContain('foil');
+    }
+  });
+});
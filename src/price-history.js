@@ -0,0 +1,158 @@
+/**
+ * Card price refresh and price history.
+ *
+ * A card's `price` is read from Scryfall when the card is opened. The price refresh (run
+ * daily from App.js, and on demand from the Collection) looks every printing in
+ * the collection up again through /cards/collection by originalId, in batches, and:
+ * - updates each copy's `prices` and its `price` for its own finish (applyCurrentPrices, with
+ *   getCardPrice in mtg-api.js), keeping the prices it was obtained at as `obtainedPrices`
+ *   (and the US dollar one as `obtainedPrice`);
+ * - records the day's Scryfall prices per printing in the price history
+ *   { refreshedAt, printings: { [originalId]: [{ date: 'YYYY-MM-DD', prices: { usd, usd_foil, ..., tix } }] } },
+ *   one entry per day, the last APP_CONFIG.priceHistoryLimit kept (recordPriceHistory).
+ * The history is saved with the game state (priceHistory in storage.js).
+ */
+
+import { APP_CONFIG } from './config';
+import { fetchCardsByIdentifiers, getCardPrice } from './mtg-api';
+import { getCardFinish } from './card-treatments';
+import { DEFAULT_CURRENCY, convertCurrency, getCardPrices, getCardValue, getPrice, readPrices } from './currencies';
+import { logger } from './utils';
+
+export const EMPTY_PRICE_HISTORY = { refreshedAt: null, printings: {} };
+
+/**
+ * Reads a saved price history.
+ * @param {*} value - Saved value
+ * @returns {{ refreshedAt: string|null, printings: Object }} Last refresh and dated prices per printing
+ */
+export const readPriceHistory = (value) => ({
+  refreshedAt: typeof value?.refreshedAt === 'string' ? value.refreshedAt : null,
+  printings: value?.printings && typeof value.printings === 'object' ? value.printings : {}
+});
+
+/**
+ * Whether the collection's prices are older than APP_CONFIG.priceRefreshInterval.
+ * @param {Object} history - Price history
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} True when a refresh is due
+ */
+export const isPriceRefreshDue = (history, now = Date.now()) => {
+  const last = Date.parse(history?.refreshedAt || '');
+  return Number.isNaN(last) || now - last >= APP_CONFIG.priceRefreshInterval;
+};
+
+/**
+ * Fetches the current Scryfall prices of the printings in a collection.
+ * A batch that fails is logged and skipped, so one bad request doesn't lose the others.
+ * @param {Array<Object>} cards - Collection cards
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops between batches when aborted
+ * @returns {Promise<{ prices: Map<string, Object>, failed: number }>} Prices by originalId, and how many printings got none
+ */
+export const fetchCurrentPrices = async (cards, { signal = null } = {}) => {
+  const ids = [...new Set(cards.map(card => card.originalId).filter(Boolean))];
+  const prices = new Map();
+  for (let i = 0; i < ids.length; i += APP_CONFIG.priceRefreshBatch) {
+    if (signal?.aborted) break;
+    const batch = ids.slice(i, i + APP_CONFIG.priceRefreshBatch);
+    try {
+      const rawCards = await fetchCardsByIdentifiers(batch.map(id => ({ id })));
+      rawCards.forEach((raw, index) => {
+        if (!raw?.prices) return;
+        prices.set(batch[index], readPrices(raw.prices));
+      });
+    } catch (error) {
+      logger.warn('Price refresh batch failed', { from: i, size: batch.length, error: error.message });
+    }
+  }
+  return { prices, failed: ids.length - prices.size };
+};
+
+/**
+ * Updates collection cards to fetched prices, each for its own finish.
+ * @param {Array<Object>} cards - Collection cards
+ * @param {Map<string, Object>} prices - Scryfall prices by originalId (see fetchCurrentPrices)
+ * @param {string} refreshedAt - ISO time of the refresh
+ * @returns {Array<Object>} Cards; cards with no fetched price are returned as they are
+ */
+export const applyCurrentPrices = (cards, prices, refreshedAt) => cards.map(card => {
+  const current = prices.get(card.originalId);
+  if (!current) return card;
+  // The first refresh keeps the prices the card was obtained at (entries refreshed before
+  // prices were kept per currency only have obtainedPrice)
+  const obtained = typeof card.obtainedPrice === 'number'
+    ? {}
+    : { obtainedPrice: card.price || 0, obtainedPrices: getCardPrices(card) };
+  return {
+    ...card,
+    ...obtained,
+    price: getCardPrice({ prices: current }, getCardFinish(card)),
+    prices: current,
+    priceUpdatedAt: refreshedAt
+  };
+});
+
+/**
+ * Adds the day's prices to the price history, replacing an entry of the same day.
+ * @param {Object} history - Price history
+ * @param {Map<string, Object>} prices - Scryfall prices by originalId
+ * @param {string} refreshedAt - ISO time of the refresh
+ * @returns {Object} New price history
+ */
+export const recordPriceHistory = (history, prices, refreshedAt) => {
+  const date = refreshedAt.slice(0, 10);
+  const printings = { ...(history?.printings || {}) };
+  for (const [originalId, current] of prices) {
+    const entries = (printings[originalId] || []).filter(entry => entry.date !== date);
+    printings[originalId] = [...entries, { date, prices: current }].slice(-APP_CONFIG.priceHistoryLimit);
+  }
+  return { refreshedAt, printings };
+};
+
+/**
+ * Merges an imported price history into the current one. Days both have keep the current entry;
+ * the current refresh time is kept, so the daily refresh isn't skipped.
+ * @param {Object} history - Current price history
+ * @param {Object} incoming - Imported price history
+ * @returns {Object} New price history
+ */
+export const mergePriceHistory = (history, incoming) => {
+  const printings = { ...(history?.printings || {}) };
+  for (const [originalId, entries] of Object.entries(incoming?.printings || {})) {
+    const current = printings[originalId] || [];
+    const dates = new Set(current.map(entry => entry.date));
+    printings[originalId] = [...current, ...entries.filter(entry => !dates.has(entry.date))]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .slice(-APP_CONFIG.priceHistoryLimit);
+  }
+  return { refreshedAt: history?.refreshedAt ?? null, printings };
+};
+
+/**
+ * Returns a card's price history for its finish, oldest first.
+ * @param {Object} history - Price history
+ * @param {Object} card - Collection card
+ * @param {string} [currency] - Currency code (see currencies.js)
+ * @returns {Array<{ date: string, price: number }>} Dated prices
+ */
+export const getCardPriceHistory = (history, card, currency = DEFAULT_CURRENCY) => {
+  const entries = history?.printings?.[card?.originalId] || [];
+  return entries.map(entry => ({ date: entry.date, price: getPrice(entry.prices, getCardFinish(card), currency) }));
+};
+
+/**
+ * Returns how a card's price moved since it was obtained.
+ * @param {Object} card - Collection card
+ * @param {string} [currency] - Currency code (see currencies.js)
+ * @returns {{ obtained: number, change: number, percent: number|null }|null} Price when obtained,
+ *   change and percent (null percent when obtained for free), or null when the price was never refreshed
+ */
+export const getPriceTrend = (card, currency = DEFAULT_CURRENCY) => {
+  if (typeof card?.obtainedPrice !== 'number') return null;
+  const obtained = card.obtainedPrices
+    ? getPrice(card.obtainedPrices, getCardFinish(card), currency)
+    : convertCurrency(card.obtainedPrice, DEFAULT_CURRENCY, currency);
+  const change = getCardValue(card, currency) - obtained;
+  return { obtained, change, percent: obtained > 0 ? (change / obtained) * 100 : null };
+};
@@ -0,0 +1,127 @@
+/**
+ * Print-sheet collation.
+ *
+ * Real packs are collated from print sheets: long ordered strips of cards that packs take
+ * runs of consecutive cards from, which keeps the colors of a pack's commons balanced and
+ * every uncommon equally likely. A booster opts in by naming sheets in `printSheets` and
+ * pointing slots at them with `printSheet` (see src/data/boosters.js). A sheet is either:
+ * - { cards: [...] }: an ordered list of collector numbers or card names from the set;
+ * - { rarity, excludeType? }: generated from the set pool, with each color spread evenly
+ *   along the sheet (color-balanced striping).
+ * Slots keep their pool/odds for when a sheet can't be built (the set pool failed to load,
+ * or nothing in the set matches), and the odds simulator opens the same booster without
+ * sheets to compare both modes (see odds-simulator.js).
+ */
+
+import { findPoolMatches } from './card-pool';
+import { logger } from './utils';
+
+// Stripe order of the color buckets: the five colors, then multicolor and colorless
+const STRIPE_ORDER = ['W', 'U', 'B', 'R', 'G', 'M', 'C'];
+
+// Built sheets per pool object, keyed by the JSON of their definition
+const builtSheets = new WeakMap();
+
+/**
+ * Returns a raw card's colors, reading the front face of double-faced cards.
+ * @param {Object} card - Raw Scryfall card
+ * @returns {Array<string>} Color letters
+ */
+export const getRawCardColors = (card) => {
+  if (Array.isArray(card?.colors)) return card.colors;
+  const face = Array.isArray(card?.card_faces) ? card.card_faces[0] : null;
+  return Array.isArray(face?.colors) ? face.colors : [];
+};
+
+/**
+ * Returns the stripe bucket of a card: its color, 'M' for multicolor or 'C' for colorless.
+ * @param {Object} card - Raw Scryfall card
+ * @returns {string} Bucket
+ */
+const getStripeBucket = (card) => {
+  const colors = getRawCardColors(card);
+  if (colors.length > 1) return 'M';
+  return colors[0] || 'C';
+};
+
+const compareCollectorNumbers = (a, b) =>
+  String(a.collector_number || '').localeCompare(String(b.collector_number || ''), undefined, { numeric: true });
+
+/**
+ * Orders cards into a color-balanced sheet: each color bucket is spread evenly along the
+ * sheet, so any run of consecutive cards draws from as many colors as the set allows.
+ * @param {Array<Object>} cards - Raw cards
+ * @returns {Array<Object>} Sheet, in print order
+ */
+export const stripeByColor = (cards) => {
+  const buckets = new Map();
+  for (const card of [...cards].sort(compareCollectorNumbers)) {
+    const bucket = getStripeBucket(card);
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(card);
+  }
+  // Place the i-th card of an n-card bucket at (i + 0.5) / n along the sheet
+  const placed = [];
+  for (const [bucket, bucketCards] of buckets) {
+    bucketCards.forEach((card, i) => placed.push({ card, at: (i + 0.5) / bucketCards.length, order: STRIPE_ORDER.indexOf(bucket) }));
+  }
+  placed.sort((a, b) => a.at - b.at || a.order - b.order);
+  return placed.map(({ card }) => card);
+};
+
+/**
+ * Builds one sheet from its definition against a set pool.
+ * @param {Object} pool - Card pool (see card-pool.js)
+ * @param {Object} definition - Sheet definition ({ cards } or { rarity, excludeType? })
+ * @param {string} name - Sheet name, for warnings
+ * @returns {Array<Object>} Sheet of raw cards (empty when nothing matches)
+ */
+const buildSheet = (pool, definition, name) => {
+  if (Array.isArray(definition?.cards)) {
+    const sheet = [];
+    const missing = [];
+    for (const entry of definition.cards) {
+      const wanted = String(entry).toLowerCase();
+      const card = pool.rawCards.find(raw => String(raw.collector_number || '').toLowerCase() === wanted)
+        || pool.rawCards.find(raw => String(raw.name || '').toLowerCase() === wanted);
+      if (card) sheet.push(card);
+      else missing.push(entry);
+    }
+    if (missing.length > 0) {
+      logger.warn(`Print sheet "${name}" lists cards not found in ${pool.setCode}`, { missing });
+    }
+    return sheet;
+  }
+  // Generated sheets leave basics out, as basic lands have their own slot
+  const { rarity, excludeType = 'basic' } = definition || {};
+  return stripeByColor(findPoolMatches(pool, { rarity, excludeType }));
+};
+
+/**
+ * Builds (once per pool) a booster's print sheets.
+ * @param {Object} pool - The booster's set pool
+ * @param {Object} definitions - Mapping sheet name -> definition (booster.printSheets)
+ * @returns {Object} Mapping sheet name -> sheet of raw cards; sheets with no cards are left out
+ */
+export const buildPrintSheets = (pool, definitions) => {
+  if (!pool || !definitions) return {};
+  if (!builtSheets.has(pool)) builtSheets.set(pool, new Map());
+  const cache = builtSheets.get(pool);
+
+  const sheets = {};
+  for (const [name, definition] of Object.entries(definitions)) {
+    const key = JSON.stringify(definition);
+    if (!cache.has(key)) cache.set(key, buildSheet(pool, definition, name));
+    const sheet = cache.get(key);
+    if (sheet.length > 0) sheets[name] = sheet;
+  }
+  return sheets;
+};
+
+/**
+ * Reads a card of a sheet run: the sheet wraps around, like a printed strip cut into packs.
+ * @param {Array<Object>} sheet - Sheet of raw cards
+ * @param {number} position - Position from the start of the sheet
+ * @returns {Object} Raw card
+ */
+export const getSheetCard = (sheet, position) => sheet[position % sheet.length];
@@ -0,0 +1,211 @@
+/**
+ * Central request scheduler for the Scryfall API.
+ *
+ * Every Scryfall call goes through one scheduler so we:
+ * - keep the spacing between requests Scryfall asks for (50–100 ms),
+ * - retry HTTP 429 and 5xx responses with exponential backoff and jitter (honoring Retry-After),
+ * - share one in-flight request between identical deterministic queries,
+ * - let callers cancel through an AbortSignal (e.g. when the user leaves the opening screen).
+ *
+ * Requests whose answer changes per call (e.g. /cards/random) must pass `dedupe: false`.
+ */
+
+import { logger } from './utils';
+
+const RETRYABLE_STATUS = (status) => status === 429 || status >= 500;
+
+/**
+ * Creates an Error that looks like the one fetch throws on abort.
+ * @param {string} message - Error message
+ * @returns {Error} AbortError
+ */
+export const createAbortError = (message = 'Request aborted') => {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Resolves after `ms`, or rejects early when the signal aborts.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(createAbortError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Makes a promise reject as soon as the signal aborts, without cancelling the underlying work.
+ * @param {Promise} promise - Work to wait for
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise} The same result, or an AbortError
+ */
+export const abortable = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(createAbortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => { signal.removeEventListener('abort', onAbort); resolve(value); },
+      error => { signal.removeEventListener('abort', onAbort); reject(error); }
+    );
+  });
+};
+
+/**
+ * Creates a request scheduler.
+ * @param {Object} [options]
+ * @param {number} [options.minInterval] - Minimum spacing between request starts, in ms
+ * @param {number} [options.maxRetries] - Retries for 429/5xx/network failures
+ * @param {number} [options.baseDelay] - First backoff delay, in ms (doubles per retry)
+ * @param {number} [options.maxDelay] - Backoff ceiling, in ms
+ * @param {Function} [options.random] - Random number generator for jitter
+ * @returns {Object} Scheduler with requestJson()
+ */
+export const createRequestScheduler = ({
+  minInterval = 100,
+  maxRetries = 4,
+  baseDelay = 500,
+  maxDelay = 16000,
+  random = Math.random
+} = {}) => {
+  // Earliest time the next request may start; reserved in call order
+  let nextStart = 0;
+  const inFlight = new Map();
+
+  const waitForTurn = (signal) => {
+    const now = Date.now();
+    const start = Math.max(now, nextStart);
+    nextStart = start + minInterval;
+    return start > now ? delay(start - now, signal) : Promise.resolve();
+  };
+
+  // Exponential backoff with "equal jitter": half fixed, half random
+  const getBackoff = (attempt, retryAfterHeader) => {
+    const retryAfter = Number(retryAfterHeader);
+    if (Number.isFinite(retryAfter) && retryAfter > 0) {
+      return Math.min(maxDelay, retryAfter * 1000);
+    }
+    const cap = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    return cap / 2 + random() * (cap / 2);
+  };
+
+  const run = async (url, { signal, timeout, body }) => {
+    for (let attempt = 0; ; attempt++) {
+      await waitForTurn(signal);
+
+      const controller = new AbortController();
+      let timedOut = false;
+      const timeoutId = setTimeout(() => { timedOut = true; controller.abort(); }, timeout);
+      const onAbort = () => controller.abort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      let response = null;
+      let networkError = null;
+      try {
+        response = await fetch(url, body === undefined
+          ? { signal: controller.signal }
+          : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body), signal: controller.signal });
+      } catch (error) {
+        if (signal?.aborted) throw createAbortError();
+        if (timedOut) throw createAbortError(`Request timed out after ${timeout}ms: ${url}`);
+        networkError = error;
+      } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+      }
+
+      const retryable = networkError || RETRYABLE_STATUS(response.status);
+      if (retryable && attempt < maxRetries) {
+        const wait = getBackoff(attempt, response?.headers?.get?.('Retry-After'));
+        if (response?.status === 429) {
+          // Throttled: hold back every queued request, not just this one
+          nextStart = Math.max(nextStart, Date.now() + wait);
+        }
+        logger.warn(`Scryfall request failed, retrying in ${Math.round(wait)}ms`, {
+          url,
+          attempt: attempt + 1,
+          status: response?.status,
+          error: networkError?.message
+        });
+        await delay(wait, signal);
+        continue;
+      }
+
+      if (networkError) throw networkError;
+
+      const json = await response.json().catch(() => null);
+      if (!response.ok || json?.object === 'error') {
+        const error = new Error(json?.details || `HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+      return json;
+    }
+  };
+
+  return {
+    /**
+     * Schedules a GET (or, with a body, POST) request and resolves with its parsed JSON body.
+     * Throws on HTTP errors (with `status`), Scryfall error objects, timeouts and aborts (AbortError).
+     * @param {string} url - Request URL
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancellation signal
+     * @param {number} [options.timeout] - Per-attempt timeout, in ms
+     * @param {boolean} [options.dedupe] - Share the response with identical in-flight requests
+     * @param {Object} [options.body] - JSON request body; makes this a POST, which is never shared
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    requestJson: (url, { signal = null, timeout = 10000, dedupe = true, body } = {}) => {
+      if (!dedupe || body !== undefined) return run(url, { signal, timeout, body });
+      // An aborted caller never joins, or it would hold a shared request no one releases
+      if (signal?.aborted) return Promise.reject(createAbortError());
+
+      let entry = inFlight.get(url);
+      if (!entry) {
+        // The shared request is only cancelled once every caller waiting on it has cancelled
+        const controller = new AbortController();
+        entry = { controller, waiting: 0, promise: null };
+        const created = entry;
+        entry.promise = run(url, { signal: controller.signal, timeout })
+          .finally(() => {
+            if (inFlight.get(url) === created) inFlight.delete(url);
+          });
+        inFlight.set(url, entry);
+      }
+      const shared = entry;
+      shared.waiting++;
+      const release = () => {
+        shared.waiting--;
+        if (shared.waiting === 0) {
+          // Late callers must start a fresh request rather than join a cancelled one
+          if (inFlight.get(url) === shared) inFlight.delete(url);
+          shared.controller.abort();
+        }
+      };
+      if (signal) {
+        signal.addEventListener('abort', release, { once: true });
+      }
+      return abortable(shared.promise, signal).finally(() => {
+        signal?.removeEventListener('abort', release);
+      });
+    }
+  };
+};
+
+// Shared scheduler for all Scryfall traffic
+export const scryfallScheduler = createRequestScheduler();
@@ -0,0 +1,76 @@
+/**
+ * Seedable random numbers for reproducible packs.
+ *
+ * A seed is a short string; createRandom() hashes it into a 32-bit state and returns a
+ * mulberry32 generator with the same [0, 1) contract as Math.random. Opened packs record
+ * their seed, and a pack share code ("<packType>:<seed>") is enough to regenerate the
+ * pack from the same card pool.
+ */
+
+const SEED_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+const SEED_LENGTH = 10;
+
+/**
+ * Creates a new random seed.
+ * @returns {string} Seed of SEED_LENGTH lowercase base-36 characters
+ */
+export const createSeed = () => {
+  const values = new Uint32Array(SEED_LENGTH);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(values);
+  } else {
+    for (let i = 0; i < SEED_LENGTH; i++) values[i] = Math.floor(Math.random() * 0x100000000);
+  }
+  return Array.from(values, value => SEED_ALPHABET[value % SEED_ALPHABET.length]).join('');
+};
+
+/**
+ * Hashes a seed string into a 32-bit integer (FNV-1a).
+ * @param {string} seed - Seed
+ * @returns {number} Unsigned 32-bit hash
+ */
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Creates a deterministic random number generator.
+ * @param {string} seed - Seed; the same seed always yields the same sequence
+ * @returns {Function} () => number in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  // mulberry32
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Builds the share code for an opened pack.
+ * @param {string} packType - Pack key (e.g. 'blb-play')
+ * @param {string} seed - Seed the pack was generated with
+ * @returns {string} Share code, e.g. "blb-play:k3j9x2ab0c"
+ */
+export const formatPackSeed = (packType, seed) => `${packType}:${seed}`;
+
+/**
+ * Parses a pack share code.
+ * @param {string} code - Share code from formatPackSeed
+ * @returns {{ packType: string, seed: string }|null} Parsed code, or null when malformed
+ */
+export const parsePackSeed = (code) => {
+  const match = /^\s*([a-z0-9_-]+):([a-z0-9]+)\s*$/i.exec(String(code || ''));
+  if (!match) return null;
+  return { packType: match[1].toLowerCase(), seed: match[2].toLowerCase() };
+};
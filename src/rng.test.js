@@ -0,0 +1,40 @@
+/**
+ * Tests for seedable random numbers and pack share codes.
+ */
+
+import { createRandom, createSeed, formatPackSeed, parsePackSeed } from './rng';
+
+const take = (random, count) => Array.from({ length: count }, () => random());
+
+describe('createRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    expect(take(createRandom('k3j9x2ab0c'), 20)).toEqual(take(createRandom('k3j9x2ab0c'), 20));
+  });
+
+  it('gives different sequences for different seeds', () => {
+    expect(take(createRandom('seed-a'), 5)).not.toEqual(take(createRandom('seed-b'), 5));
+  });
+
+  it('returns numbers in [0, 1)', () => {
+    expect(take(createRandom('range'), 1000).every(value => value >= 0 && value < 1)).toBe(true);
+  });
+});
+
+describe('createSeed', () => {
+  it('creates ten lowercase base-36 characters', () => {
+    expect(createSeed()).toMatch(/^[0-9a-z]{10}$/);
+  });
+});
+
+describe('pack share codes', () => {
+  it('round-trips a pack key and seed', () => {
+    expect(parsePackSeed(formatPackSeed('blb-play', 'k3j9x2ab0c'))).toEqual({ packType: 'blb-play', seed: 'k3j9x2ab0c' });
+  });
+
+  it('reads pasted codes loosely and rejects malformed ones', () => {
+    expect(parsePackSeed('  BLB-Play:K3J9X2AB0C \n')).toEqual({ packType: 'blb-play', seed: 'k3j9x2ab0c' });
+    expect(parsePackSeed('blb-play')).toBeNull();
+    expect(parsePackSeed('blb play:seed')).toBeNull();
+    expect(parsePackSeed(null)).toBeNull();
+  });
+});
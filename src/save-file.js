@@ -0,0 +1,358 @@
+/**
+ * Save-file export and import.
+ *
+ * A save file is a versioned JSON document holding the whole game state (collection,
+ * money ledger, pack inventory, free-pack timer, pack history, language and currency preferences
+ * and price history). Imports are migrated step by
+ * step from their version up to SAVE_FILE_VERSION, validated, and turned into an import
+ * plan the UI previews before anything is applied.
+ *
+ * Versions:
+ * - 0: unversioned dumps: a bare card array (mtgCollection) or an object of legacy localStorage keys
+ * - 1: { version, data: { collection, money, packInventory, lastFreePack } }, cards may predate
+ *      collectorNumber/setCode
+ * - 2: cards always carry collectorNumber/setCode; data.history lists opened packs
+ * - 3: pack inventory and history are keyed by booster product ("blb-play", see booster-products.js)
+ *      instead of by set code
+ * - 4: data.ledger (integer cents and transactions, see money-ledger.js) replaces data.money (a float
+ *      in dollars)
+ * - 5: data.languagePreferences (see card-languages.js), data.currency (see currencies.js) and
+ *      data.priceHistory (see price-history.js); null in files from before, which keep the current ones
+ */
+
+import { validateCard } from './utils';
+import { APP_CONFIG } from './config';
+import { migratePackHistory, migratePackInventory } from './booster-products';
+import { readLedger } from './money-ledger';
+import { CARD_LANGUAGES, DEFAULT_LANGUAGE, readLanguagePreferences } from './card-languages';
+import { CURRENCIES } from './currencies';
+import { mergePriceHistory, readPriceHistory } from './price-history';
+
+export const SAVE_FILE_FORMAT = 'mtg-booster-simulator-save';
+export const SAVE_FILE_VERSION = 5;
+
+/**
+ * Error raised for files that cannot be imported at all.
+ */
+export class SaveFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SaveFileError';
+  }
+}
+
+const parseMaybeJson = (value, fallback) => {
+  if (typeof value !== 'string') return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Migration steps keyed by the version they upgrade from.
+ * Each receives the document at that version and the import context ({ packs }).
+ */
+const MIGRATIONS = {
+  0: (doc) => {
+    if (Array.isArray(doc)) {
+      return { format: SAVE_FILE_FORMAT, version: 1, data: { collection: doc } };
+    }
+    // Object copied from localStorage: values are the raw stored strings
+    const money = parseFloat(doc.mtgMoney);
+    return {
+      format: SAVE_FILE_FORMAT,
+      version: 1,
+      data: {
+        collection: parseMaybeJson(doc.mtgCollection, []),
+        money: isNaN(money) ? null : money,
+        packInventory: parseMaybeJson(doc.mtgPackInventory, {}),
+        lastFreePack: doc.mtgLastFreePack || null
+      }
+    };
+  },
+
+  1: (doc, { packs }) => {
+    // Cards saved before collectorNumber/setCode existed: recover the set code from the set name
+    const setCodesByName = Object.values(packs || {}).reduce((acc, pack) => {
+      if (pack?.setName && pack?.setCode) acc[pack.setName.toLowerCase()] = pack.setCode.toLowerCase();
+      return acc;
+    }, {});
+    const collection = (Array.isArray(doc.data?.collection) ? doc.data.collection : []).map(card => {
+      if (!card || typeof card !== 'object') return card;
+      return {
+        ...card,
+        setCode: card.setCode || setCodesByName[String(card.set || '').toLowerCase()] || 'Unknown',
+        collectorNumber: card.collectorNumber !== undefined ? String(card.collectorNumber) : ''
+      };
+    });
+    return { ...doc, version: 2, data: { ...doc.data, collection, history: [] } };
+  },
+
+  2: (doc) => {
+    // Packs were keyed by set code before a set could have several booster products
+    const packInventory = doc.data?.packInventory && typeof doc.data.packInventory === 'object'
+      ? migratePackInventory(doc.data.packInventory)
+      : doc.data?.packInventory;
+    const history = Array.isArray(doc.data?.history) ? migratePackHistory(doc.data.history) : doc.data?.history;
+    return { ...doc, version: 3, data: { ...doc.data, packInventory, history } };
+  },
+
+  3: (doc) => {
+    // Money was a float in dollars before the ledger; an invalid amount is passed on as it is,
+    // so validateSaveData reports it
+    const { money, ...data } = doc.data || {};
+    return { ...doc, version: 4, data: { ...data, ledger: readLedger(null, money) || (money ?? null) } };
+  },
+
+  4: (doc) => {
+    // Preferences and price history were not exported yet
+    return { ...doc, version: 5, data: { ...doc.data, languagePreferences: null, currency: null, priceHistory: null } };
+  }
+};
+
+/**
+ * Detects the version of a parsed save document.
+ * @param {any} doc - Parsed JSON
+ * @returns {number} Version
+ */
+const getVersion = (doc) => {
+  if (Array.isArray(doc)) return 0;
+  if (!doc || typeof doc !== 'object') {
+    throw new SaveFileError('This file does not contain a save.');
+  }
+  if (doc.format === SAVE_FILE_FORMAT && Number.isInteger(doc.version)) return doc.version;
+  if ('mtgCollection' in doc || 'mtgMoney' in doc) return 0;
+  throw new SaveFileError('This file is not an MTG Booster Simulator save.');
+};
+
+/**
+ * Validates migrated save data, dropping invalid entries.
+ * @param {Object} data - Save data at SAVE_FILE_VERSION
+ * @returns {{ data: Object, warnings: Array<string> }} Clean data and what was dropped
+ */
+const validateSaveData = (data) => {
+  const warnings = [];
+  const rawCollection = Array.isArray(data.collection) ? data.collection : [];
+  const seenIds = new Set();
+  const collection = rawCollection.filter(card => {
+    if (!validateCard(card) || seenIds.has(card.id)) return false;
+    seenIds.add(card.id);
+    return true;
+  }).map(card => (typeof card.price === 'number' && isFinite(card.price) ? card : { ...card, price: 0 }));
+  if (collection.length < rawCollection.length) {
+    warnings.push(`${rawCollection.length - collection.length} invalid or duplicate cards will be skipped.`);
+  }
+
+  const ledger = readLedger(data.ledger);
+  if (data.ledger !== undefined && data.ledger !== null && ledger === null) {
+    warnings.push('The saved money amount is invalid and will be ignored.');
+  }
+
+  const packInventory = {};
+  if (data.packInventory && typeof data.packInventory === 'object') {
+    for (const [packType, count] of Object.entries(data.packInventory)) {
+      const n = Math.floor(Number(count));
+      if (Number.isFinite(n) && n > 0) packInventory[packType] = n;
+    }
+  }
+
+  let lastFreePack = null;
+  if (data.lastFreePack) {
+    const date = new Date(data.lastFreePack);
+    if (isNaN(date.getTime())) {
+      warnings.push('The saved free-pack timer is invalid and will be ignored.');
+    } else {
+      lastFreePack = date.toISOString();
+    }
+  }
+
+  const history = Array.isArray(data.history)
+    ? data.history.filter(entry => entry && typeof entry.packType === 'string' && !Number.isNaN(Date.parse(entry.openedAt)))
+    : [];
+
+  let languagePreferences = null;
+  if (data.languagePreferences) {
+    const { global, packs } = readLanguagePreferences(data.languagePreferences);
+    languagePreferences = {
+      global: CARD_LANGUAGES[global] ? global : DEFAULT_LANGUAGE,
+      packs: Object.fromEntries(Object.entries(packs).filter(([, language]) => CARD_LANGUAGES[language]))
+    };
+  }
+
+  let currency = null;
+  if (data.currency) {
+    if (CURRENCIES[data.currency]) {
+      currency = data.currency;
+    } else {
+      warnings.push('The saved currency is unknown and will be ignored.');
+    }
+  }
+
+  let priceHistory = null;
+  if (data.priceHistory) {
+    const { refreshedAt, printings } = readPriceHistory(data.priceHistory);
+    priceHistory = {
+      refreshedAt: Number.isNaN(Date.parse(refreshedAt)) ? null : refreshedAt,
+      printings: Object.fromEntries(Object.entries(printings)
+        .filter(([, entries]) => Array.isArray(entries))
+        .map(([originalId, entries]) => [
+          originalId,
+          entries.filter(entry => typeof entry?.date === 'string' && entry.prices && typeof entry.prices === 'object')
+        ]))
+    };
+  }
+
+  return {
+    data: { collection, ledger, packInventory, lastFreePack, history, languagePreferences, currency, priceHistory },
+    warnings
+  };
+};
+
+/**
+ * Builds a save document from the current game state.
+ * @param {Object} state - { collection, ledger, packInventory, lastFreePack (Date|null), history,
+ *   languagePreferences, currency, priceHistory }
+ * @returns {Object} Save document
+ */
+export const buildSaveFile = ({
+  collection, ledger, packInventory, lastFreePack, history, languagePreferences, currency, priceHistory
+}) => ({
+  format: SAVE_FILE_FORMAT,
+  version: SAVE_FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: {
+    collection,
+    ledger,
+    packInventory,
+    lastFreePack: lastFreePack ? lastFreePack.toISOString() : null,
+    history: history || [],
+    languagePreferences: languagePreferences || null,
+    currency: currency || null,
+    priceHistory: priceHistory || null
+  }
+});
+
+/**
+ * Downloads the current game state as a JSON save file.
+ * @param {Object} state - Same as buildSaveFile
+ */
+export const downloadSaveFile = (state) => {
+  const blob = new Blob([JSON.stringify(buildSaveFile(state))], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `mtg-booster-save-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Parses, migrates and validates a save file.
+ * @param {string} text - File contents
+ * @param {Object} [context]
+ * @param {Object} [context.packs] - Loaded packs, used to recover set codes of old cards
+ * @returns {{ data: Object, version: number, warnings: Array<string> }} Import-ready data
+ * @throws {SaveFileError} When the file cannot be imported
+ */
+export const parseSaveFile = (text, { packs = {} } = {}) => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new SaveFileError('This file is not valid JSON.');
+  }
+
+  const originalVersion = getVersion(doc);
+  if (originalVersion > SAVE_FILE_VERSION) {
+    throw new SaveFileError(`This save was made by a newer version of the app (v${originalVersion}).`);
+  }
+
+  let version = originalVersion;
+  while (version < SAVE_FILE_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new SaveFileError(`No migration from save version ${version}.`);
+    doc = migrate(doc, { packs });
+    version = doc.version;
+  }
+
+  const { data, warnings } = validateSaveData(doc.data || {});
+  return { data, version: originalVersion, warnings };
+};
+
+/**
+ * Computes what an import would do, for previewing before it is applied.
+ * - replace: the imported save overwrites everything (saves from before version 5 keep the current
+ *   preferences and price history).
+ * - merge: imported cards (new ids only), packs, history and price history are added; current money
+ *   ledger, timer and preferences are kept. Pack history is kept in opening order.
+ * Either way the collection is capped at APP_CONFIG.maxCollectionSize: the last imported cards past
+ * it are dropped (summary.cardsDropped).
+ * @param {Object} current - { collection, ledger, packInventory, lastFreePack (Date|null), history,
+ *   languagePreferences, currency, priceHistory }
+ *   Summary money amounts are in cents.
+ * @param {Object} incoming - data returned by parseSaveFile
+ * @param {'replace'|'merge'} mode - Import mode
+ * @returns {Object} { mode, result, summary }
+ */
+export const planImport = (current, incoming, mode) => {
+  if (mode === 'replace') {
+    const collection = incoming.collection.slice(0, APP_CONFIG.maxCollectionSize);
+    return {
+      mode,
+      result: {
+        collection,
+        ledger: incoming.ledger || current.ledger,
+        packInventory: incoming.packInventory,
+        lastFreePack: incoming.lastFreePack ? new Date(incoming.lastFreePack) : current.lastFreePack,
+        history: incoming.history,
+        languagePreferences: incoming.languagePreferences || current.languagePreferences,
+        currency: incoming.currency || current.currency,
+        priceHistory: incoming.priceHistory || current.priceHistory
+      },
+      summary: {
+        cardsRemoved: current.collection.length,
+        cardsAdded: collection.length,
+        cardsDropped: incoming.collection.length - collection.length,
+        moneyBefore: current.ledger.balance,
+        moneyAfter: (incoming.ledger || current.ledger).balance,
+        packsBefore: Object.values(current.packInventory).reduce((a, b) => a + b, 0),
+        packsAfter: Object.values(incoming.packInventory).reduce((a, b) => a + b, 0)
+      }
+    };
+  }
+
+  const existingIds = new Set(current.collection.map(card => card.id));
+  const newCards = incoming.collection.filter(card => !existingIds.has(card.id));
+  const added = newCards.slice(0, Math.max(0, APP_CONFIG.maxCollectionSize - current.collection.length));
+  const packInventory = { ...current.packInventory };
+  for (const [packType, count] of Object.entries(incoming.packInventory)) {
+    packInventory[packType] = (packInventory[packType] || 0) + count;
+  }
+  return {
+    mode,
+    result: {
+      collection: [...current.collection, ...added],
+      ledger: current.ledger,
+      packInventory,
+      lastFreePack: current.lastFreePack,
+      history: [...current.history, ...incoming.history].sort((a, b) => Date.parse(a.openedAt) - Date.parse(b.openedAt)),
+      languagePreferences: current.languagePreferences,
+      currency: current.currency,
+      priceHistory: incoming.priceHistory ? mergePriceHistory(current.priceHistory, incoming.priceHistory) : current.priceHistory
+    },
+    summary: {
+      cardsRemoved: 0,
+      cardsAdded: added.length,
+      cardsSkipped: incoming.collection.length - newCards.length,
+      cardsDropped: newCards.length - added.length,
+      moneyBefore: current.ledger.balance,
+      moneyAfter: current.ledger.balance,
+      packsBefore: Object.values(current.packInventory).reduce((a, b) => a + b, 0),
+      packsAfter: Object.values(packInventory).reduce((a, b) => a + b, 0)
+    }
+  };
+};
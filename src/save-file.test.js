@@ -0,0 +1,158 @@
+/**
+ * Tests for save-file migrations (every version up to SAVE_FILE_VERSION), validation and
+ * import plans.
+ */
+
+import { buildSaveFile, parseSaveFile, planImport, SaveFileError, SAVE_FILE_FORMAT, SAVE_FILE_VERSION } from './save-file';
+import { createLedger } from './money-ledger';
+
+const packs = { 'blb-play': { setCode: 'BLB', setName: 'Bloomburrow' } };
+
+const card = (id, extra = {}) => ({
+  id,
+  name: `Card ${id}`,
+  rarity: 'common',
+  image: `https://cards.scryfall.io/normal/front/blb/${id}.jpg`,
+  set: 'Bloomburrow',
+  setCode: 'blb',
+  collectorNumber: String(id),
+  price: 0.1,
+  ...extra
+});
+
+const save = (version, data) => JSON.stringify({ format: SAVE_FILE_FORMAT, version, data });
+
+describe('parseSaveFile migrations', () => {
+  it('reads a bare card array (version 0)', () => {
+    const { data, version } = parseSaveFile(JSON.stringify([card(1), card(2)]), { packs });
+    expect(version).toBe(0);
+    expect(data.collection.map(entry => entry.id)).toEqual([1, 2]);
+    expect(data.ledger).toBeNull();
+    expect(data.history).toEqual([]);
+  });
+
+  it('reads a dump of legacy localStorage keys (version 0)', () => {
+    const dump = {
+      mtgCollection: JSON.stringify([card(1)]),
+      mtgMoney: '12.34',
+      mtgPackInventory: JSON.stringify({ blb: 2 }),
+      mtgLastFreePack: '2024-08-01T10:00:00.000Z'
+    };
+    const { data } = parseSaveFile(JSON.stringify(dump), { packs });
+    expect(data.collection).toHaveLength(1);
+    expect(data.ledger.balance).toBe(1234);
+    expect(data.ledger.transactions.map(entry => entry.type)).toEqual(['migration']);
+    expect(data.packInventory).toEqual({ 'blb-play': 2 });
+    expect(data.lastFreePack).toBe('2024-08-01T10:00:00.000Z');
+  });
+
+  it('recovers set codes and collector numbers of version 1 cards', () => {
+    const old = card(1, { setCode: undefined, collectorNumber: 7 });
+    const { data } = parseSaveFile(save(1, { collection: [old, card(2, { set: 'Unheard Of', setCode: undefined })], money: 5 }), { packs });
+    expect(data.collection.map(entry => [entry.setCode, entry.collectorNumber])).toEqual([['blb', '7'], ['Unknown', '2']]);
+    expect(data.history).toEqual([]);
+  });
+
+  it('keys version 2 inventories and history by booster product', () => {
+    const history = [{ packType: 'blb', openedAt: '2024-08-02T00:00:00.000Z' }];
+    const { data } = parseSaveFile(save(2, { collection: [], packInventory: { blb: 1, 'blb-play': 2 }, history }), { packs });
+    expect(data.packInventory).toEqual({ 'blb-play': 3 });
+    expect(data.history.map(entry => entry.packType)).toEqual(['blb-play']);
+  });
+
+  it('turns version 3 money into a ledger in cents', () => {
+    const { data } = parseSaveFile(save(3, { collection: [], money: 0.3 }), { packs });
+    expect(data.ledger.balance).toBe(30);
+  });
+
+  it('keeps the current preferences for version 4 saves', () => {
+    const { data } = parseSaveFile(save(4, { collection: [], ledger: createLedger() }), { packs });
+    expect(data.ledger.balance).toBe(2000);
+    expect(data.languagePreferences).toBeNull();
+    expect(data.currency).toBeNull();
+    expect(data.priceHistory).toBeNull();
+  });
+
+  it('round-trips the current version', () => {
+    const state = {
+      collection: [card(1, { lang: 'ja', prices: { usd: 0.1, eur: null } })],
+      ledger: createLedger('2024-08-01T00:00:00.000Z'),
+      packInventory: { 'blb-play': 1 },
+      lastFreePack: new Date('2024-08-01T12:00:00.000Z'),
+      history: [{ packType: 'blb-play', openedAt: '2024-08-01T12:00:00.000Z', seed: 'k3j9x2ab0c' }],
+      languagePreferences: { global: 'ja', packs: { 'blb-play': 'de', 'dsk-play': 'xx' } },
+      currency: 'eur',
+      priceHistory: null
+    };
+    const { data, version, warnings } = parseSaveFile(JSON.stringify(buildSaveFile(state)), { packs });
+    expect(version).toBe(SAVE_FILE_VERSION);
+    expect(warnings).toEqual([]);
+    expect(data.collection).toEqual(state.collection);
+    expect(data.ledger).toEqual(state.ledger);
+    expect(data.history).toEqual(state.history);
+    expect(data.languagePreferences).toEqual({ global: 'ja', packs: { 'blb-play': 'de' } });
+    expect(data.currency).toBe('eur');
+  });
+});
+
+describe('parseSaveFile validation', () => {
+  it('rejects files that are not saves', () => {
+    expect(() => parseSaveFile('{', { packs })).toThrow(SaveFileError);
+    expect(() => parseSaveFile('"text"', { packs })).toThrow('does not contain a save');
+    expect(() => parseSaveFile('{"hello":1}', { packs })).toThrow('not an MTG Booster Simulator save');
+    expect(() => parseSaveFile(save(SAVE_FILE_VERSION + 1, {}), { packs })).toThrow('newer version');
+  });
+
+  it('drops invalid and duplicate cards with a warning', () => {
+    const { data, warnings } = parseSaveFile(save(SAVE_FILE_VERSION, { collection: [card(1), card(1), { id: 2 }] }), { packs });
+    expect(data.collection).toHaveLength(1);
+    expect(warnings).toEqual(['2 invalid or duplicate cards will be skipped.']);
+  });
+
+  it('ignores an unknown currency and history without a date', () => {
+    const history = [{ packType: 'blb-play', openedAt: 'yesterday' }];
+    const { data, warnings } = parseSaveFile(save(SAVE_FILE_VERSION, { collection: [], currency: 'gbp', history }), { packs });
+    expect(data.currency).toBeNull();
+    expect(data.history).toEqual([]);
+    expect(warnings).toEqual(['The saved currency is unknown and will be ignored.']);
+  });
+});
+
+describe('planImport', () => {
+  const current = {
+    collection: [card(1)],
+    ledger: createLedger(),
+    packInventory: { 'blb-play': 1 },
+    lastFreePack: null,
+    history: [{ packType: 'blb-play', openedAt: '2024-08-03T00:00:00.000Z' }],
+    languagePreferences: { global: 'en', packs: {} },
+    currency: 'usd',
+    priceHistory: null
+  };
+  const incoming = {
+    collection: [card(1), card(2)],
+    ledger: null,
+    packInventory: { 'blb-play': 2 },
+    lastFreePack: null,
+    history: [{ packType: 'blb-play', openedAt: '2024-08-01T00:00:00.000Z' }],
+    languagePreferences: null,
+    currency: null,
+    priceHistory: null
+  };
+
+  it('merges new cards, packs and history in opening order', () => {
+    const { result, summary } = planImport(current, incoming, 'merge');
+    expect(result.collection.map(entry => entry.id)).toEqual([1, 2]);
+    expect(result.packInventory).toEqual({ 'blb-play': 3 });
+    expect(result.history.map(entry => entry.openedAt)).toEqual(['2024-08-01T00:00:00.000Z', '2024-08-03T00:00:00.000Z']);
+    expect(summary).toMatchObject({ cardsAdded: 1, cardsSkipped: 1, cardsDropped: 0 });
+  });
+
+  it('keeps the current money and preferences when replacing with an older save', () => {
+    const { result, summary } = planImport(current, incoming, 'replace');
+    expect(result.collection).toEqual(incoming.collection);
+    expect(result.ledger).toBe(current.ledger);
+    expect(result.languagePreferences).toBe(current.languagePreferences);
+    expect(summary).toMatchObject({ cardsRemoved: 1, cardsAdded: 2, packsAfter: 2 });
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Service worker registration.
+ *
+ * Registers src/service-worker.js (built to service-worker.js under PUBLIC_URL) in production
+ * builds; development servers never register it, so they always serve fresh code. A new
+ * version of the worker activates as soon as it is installed and takes over on the next load.
+ */
+
+import { logger } from './utils';
+
+/**
+ * Registers the service worker once the page has loaded.
+ */
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+  // The worker can only control pages under its own origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          if (installing.state !== 'installed') return;
+          if (navigator.serviceWorker.controller) {
+            logger.log('New app version installed, activating it for the next load');
+            registration.waiting?.postMessage({ type: 'SKIP_WAITING' });
+          } else {
+            logger.log('App cached for offline use');
+          }
+        };
+      };
+    } catch (error) {
+      logger.warn('Service worker registration failed', { error: error.message });
+    }
+  });
+};
@@ -0,0 +1,142 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Service worker.
+ *
+ * Built by react-scripts (Workbox InjectManifest) from this file, and registered in
+ * production builds by service-worker-registration.js. It makes the app work offline:
+ * - app shell: the build's JS/CSS/HTML are precached, navigations are answered with index.html;
+ * - booster art, sounds and the card back (public/assets) are cached on install, booster art
+ *   listed both in src/data/boosters.js and in public/assets/boosters.json;
+ * - Scryfall card images: cache first, they never change for a given URL;
+ * - Scryfall API responses: network first, falling back to the last response when offline
+ *   (card and set data also persist in the app's own card cache, see card-cache.js), except
+ *   /cards/random, which is never cached: a cached answer would be the same "random" card every time.
+ * Offline, packs only open from sets whose card pool is cached (see openPack in App.js).
+ */
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst, NetworkOnly, StaleWhileRevalidate } from 'workbox-strategies';
+import { BOOSTERS } from './data/boosters';
+import { BOOSTER_DEFINITIONS_PATH } from './booster-definitions';
+
+const PUBLIC_URL = process.env.PUBLIC_URL;
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Cache names; bump a version to drop what an older worker cached
+const CACHES = {
+  assets: 'mtg-assets-v1',
+  cardImages: 'scryfall-images-v1',
+  scryfallApi: 'scryfall-api-v2'
+};
+
+// Static files under public/ the app loads at runtime
+const STATIC_ASSETS = ['assets/card_back.jpg', 'assets/flash1.wav', 'assets/flash2.wav', 'assets/flash3.wav', 'manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'];
+
+clientsClaim();
+
+// Build output (JS, CSS, index.html), injected by Workbox at build time
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Answer navigations with the app shell, except for files (anything with an extension)
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && url.origin === self.location.origin
+    && !url.pathname.startsWith('/_')
+    && !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(`${PUBLIC_URL}/index.html`)
+);
+
+// boosters.json changes whenever sets are tuned: serve the cached copy, refresh it in the background
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname === `${PUBLIC_URL}/${BOOSTER_DEFINITIONS_PATH}`,
+  new StaleWhileRevalidate({ cacheName: CACHES.assets })
+);
+
+// Booster art, sounds, card back and icons
+registerRoute(
+  ({ url }) => url.origin === self.location.origin
+    && (STATIC_ASSETS.some(path => url.pathname === `${PUBLIC_URL}/${path}`) || url.pathname.startsWith(`${PUBLIC_URL}/assets/boosters/`)),
+  new CacheFirst({ cacheName: CACHES.assets })
+);
+
+// Card images: Scryfall's image URLs are immutable; <img> responses are opaque (status 0)
+registerRoute(
+  ({ url }) => url.hostname === 'cards.scryfall.io',
+  new CacheFirst({
+    cacheName: CACHES.cardImages,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 3000, maxAgeSeconds: 60 * DAY_SECONDS, purgeOnQuotaError: true })
+    ]
+  })
+);
+
+// Random cards must come from the network; offline, the pack leaves the pick out instead
+registerRoute(
+  ({ url }) => url.hostname === 'api.scryfall.com' && url.pathname === '/cards/random',
+  new NetworkOnly()
+);
+
+// Scryfall API, including the image redirects used for meld results
+registerRoute(
+  ({ url }) => url.hostname === 'api.scryfall.com',
+  new NetworkFirst({
+    cacheName: CACHES.scryfallApi,
+    networkTimeoutSeconds: 8,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 1000, maxAgeSeconds: 7 * DAY_SECONDS, purgeOnQuotaError: true })
+    ]
+  })
+);
+
+/**
+ * Lists the booster art to cache on install: built-in boosters and boosters.json entries.
+ * @returns {Promise<Array<string>>} Paths under public/assets
+ */
+const listBoosterArt = async () => {
+  const images = BOOSTERS.map(booster => booster.image);
+  try {
+    const response = await fetch(`${PUBLIC_URL}/${BOOSTER_DEFINITIONS_PATH}`, { cache: 'no-cache' });
+    if (response.ok) {
+      const definitions = await response.json();
+      if (Array.isArray(definitions)) images.push(...definitions.map(definition => definition?.image));
+    }
+  } catch {
+    // Offline or missing file: the built-in art is still cached
+  }
+  return [...new Set(images.filter(image => typeof image === 'string' && image))].map(image => `assets/${image}`);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHES.assets);
+    const paths = [...STATIC_ASSETS, BOOSTER_DEFINITIONS_PATH, ...(await listBoosterArt())];
+    // Added one by one, so a missing file doesn't keep the rest out of the cache
+    await Promise.all(paths.map(path => cache.add(`${PUBLIC_URL}/${path}`).catch(() => {})));
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  const current = new Set(Object.values(CACHES));
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    // Workbox's precache manages itself; drop runtime caches of older versions
+    await Promise.all(names
+      .filter(name => /^(mtg-assets|scryfall-images|scryfall-api)-v\d+$/.test(name) && !current.has(name))
+      .map(name => caches.delete(name)));
+  })());
+});
+
+// Lets the page activate a waiting worker (see service-worker-registration.js)
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
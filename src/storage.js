@@ -0,0 +1,324 @@
+/**
+ * Save data storage.
+ *
+ * Keeps the player's collection in IndexedDB as one record per card instance, so adding
+ * or selling cards writes only the affected records instead of re-serializing the whole
+ * collection, and the localStorage quota no longer caps the collection size. Small values
+ * (money ledger, pack inventory, timers, pending opened ids, pack history) live in a key/value `meta` store.
+ *
+ * On first load, existing localStorage saves (mtgCollection, mtgMoney, mtgPackInventory,
+ * mtgLastFreePack, mtgPendingOpenedCards, mtgPackHistory, mtgLanguagePreferences,
+ * mtgPriceHistory, mtgCurrency) are copied over in a single transaction and only removed
+ * from localStorage once that transaction commits. When IndexedDB is unavailable
+ * the same API is served from localStorage using the legacy keys.
+ *
+ * Pack inventory and history keys saved before booster products existed (a bare set code)
+ * are upgraded to product keys on load (see booster-products.js) and saved back on the next write.
+ * Money saved before the ledger (`money`, a float in dollars) is carried over into a ledger on
+ * load (see money-ledger.js), which is saved in its place right away.
+ */
+
+import { openDatabase, requestToPromise, runTransaction } from './idb';
+import { logger } from './utils';
+import { migratePackHistory, migratePackInventory } from './booster-products';
+import { readLanguagePreferences } from './card-languages';
+import { readCurrency } from './currencies';
+import { readLedger } from './money-ledger';
+import { readPriceHistory } from './price-history';
+
+const DB_NAME = 'mtg-save-data';
+const DB_VERSION = 1;
+
+// Meta keys and the legacy localStorage keys they replace
+export const SAVE_KEYS = {
+  money: 'mtgMoney',
+  ledger: 'mtgLedger',
+  packInventory: 'mtgPackInventory',
+  lastFreePack: 'mtgLastFreePack',
+  pendingOpenedCards: 'mtgPendingOpenedCards',
+  packHistory: 'mtgPackHistory',
+  languagePreferences: 'mtgLanguagePreferences',
+  priceHistory: 'mtgPriceHistory',
+  currency: 'mtgCurrency'
+};
+const LEGACY_COLLECTION_KEY = 'mtgCollection';
+const MIGRATED_FLAG = 'migratedFromLocalStorage';
+
+/**
+ * Reads and parses the legacy localStorage save, skipping anything unparseable.
+ * @returns {Object} { collection, money, ledger, packInventory, lastFreePack, pendingOpenedCards, packHistory, languagePreferences, priceHistory, currency, found }
+ */
+const readLegacySave = () => {
+  const parseJson = (key, fallback) => {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.error(`Error parsing ${key} from localStorage:`, error);
+      return fallback;
+    }
+  };
+
+  const collection = parseJson(LEGACY_COLLECTION_KEY, []);
+  const rawMoney = localStorage.getItem(SAVE_KEYS.money);
+  const money = rawMoney !== null && !isNaN(parseFloat(rawMoney)) ? parseFloat(rawMoney) : null;
+  const ledger = parseJson(SAVE_KEYS.ledger, null);
+  const packInventory = parseJson(SAVE_KEYS.packInventory, {});
+  const pendingOpenedCards = parseJson(SAVE_KEYS.pendingOpenedCards, []);
+  const packHistory = parseJson(SAVE_KEYS.packHistory, []);
+  const languagePreferences = parseJson(SAVE_KEYS.languagePreferences, null);
+  const priceHistory = parseJson(SAVE_KEYS.priceHistory, null);
+
+  return {
+    collection: Array.isArray(collection) ? collection : [],
+    money,
+    ledger,
+    packInventory: packInventory && typeof packInventory === 'object' ? packInventory : {},
+    lastFreePack: localStorage.getItem(SAVE_KEYS.lastFreePack),
+    pendingOpenedCards: Array.isArray(pendingOpenedCards) ? pendingOpenedCards : [],
+    packHistory: Array.isArray(packHistory) ? packHistory : [],
+    languagePreferences: readLanguagePreferences(languagePreferences),
+    priceHistory: readPriceHistory(priceHistory),
+    currency: readCurrency(localStorage.getItem(SAVE_KEYS.currency)),
+    found: [LEGACY_COLLECTION_KEY, ...Object.values(SAVE_KEYS)].some(key => localStorage.getItem(key) !== null)
+  };
+};
+
+/**
+ * IndexedDB backend.
+ * @returns {Promise<Object>} Backend
+ */
+const createIdbBackend = async () => {
+  const db = await openDatabase(DB_NAME, DB_VERSION, (database, oldVersion) => {
+    if (oldVersion < 1) {
+      database.createObjectStore('collection', { keyPath: 'id' });
+      database.createObjectStore('meta', { keyPath: 'key' });
+    }
+  });
+
+  const readAll = () => runTransaction(db, ['collection', 'meta'], 'readonly', ({ collection, meta }) =>
+    Promise.all([requestToPromise(collection.getAll()), requestToPromise(meta.getAll())])
+  );
+
+  const migrate = async () => {
+    const flag = await runTransaction(db, 'meta', 'readonly', ({ meta }) => requestToPromise(meta.get(MIGRATED_FLAG)));
+    if (flag) return;
+
+    const legacy = readLegacySave();
+    await runTransaction(db, ['collection', 'meta'], 'readwrite', ({ collection, meta }) => {
+      for (const card of legacy.collection) {
+        if (card && typeof card.id !== 'undefined') collection.put(card);
+      }
+      if (legacy.money !== null) meta.put({ key: 'money', value: legacy.money });
+      if (legacy.ledger) meta.put({ key: 'ledger', value: legacy.ledger });
+      meta.put({ key: 'packInventory', value: legacy.packInventory });
+      if (legacy.lastFreePack) meta.put({ key: 'lastFreePack', value: legacy.lastFreePack });
+      meta.put({ key: 'pendingOpenedCards', value: legacy.pendingOpenedCards });
+      meta.put({ key: 'packHistory', value: legacy.packHistory });
+      meta.put({ key: 'languagePreferences', value: legacy.languagePreferences });
+      meta.put({ key: 'priceHistory', value: legacy.priceHistory });
+      meta.put({ key: 'currency', value: legacy.currency });
+      meta.put({ key: MIGRATED_FLAG, value: new Date().toISOString() });
+    });
+
+    // Only drop the old copy once IndexedDB holds it
+    if (legacy.found) {
+      logger.log('Migrated save data from localStorage to IndexedDB', { cards: legacy.collection.length });
+      localStorage.removeItem(LEGACY_COLLECTION_KEY);
+      Object.values(SAVE_KEYS).forEach(key => localStorage.removeItem(key));
+    }
+  };
+
+  return {
+    name: 'indexeddb',
+    load: async () => {
+      await migrate();
+      const [cards, metas] = await readAll();
+      const values = metas.reduce((acc, entry) => {
+        acc[entry.key] = entry.value;
+        return acc;
+      }, {});
+      // Restore collection order (records come back sorted by id)
+      cards.sort((a, b) => (a.dateObtained || 0) - (b.dateObtained || 0));
+      return {
+        collection: cards,
+        money: typeof values.money === 'number' ? values.money : null,
+        ledger: values.ledger || null,
+        packInventory: values.packInventory || {},
+        lastFreePack: values.lastFreePack || null,
+        pendingOpenedCards: Array.isArray(values.pendingOpenedCards) ? values.pendingOpenedCards : [],
+        packHistory: Array.isArray(values.packHistory) ? values.packHistory : [],
+        languagePreferences: readLanguagePreferences(values.languagePreferences),
+        priceHistory: readPriceHistory(values.priceHistory),
+        currency: readCurrency(values.currency)
+      };
+    },
+    putCards: (cards) => runTransaction(db, 'collection', 'readwrite', ({ collection }) => {
+      for (const card of cards) collection.put(card);
+    }),
+    deleteCards: (ids) => runTransaction(db, 'collection', 'readwrite', ({ collection }) => {
+      for (const id of ids) collection.delete(id);
+    }),
+    setMeta: (key, value) => runTransaction(db, 'meta', 'readwrite', ({ meta }) => {
+      if (value === null || value === undefined) meta.delete(key);
+      else meta.put({ key, value });
+    }),
+    clear: () => runTransaction(db, ['collection', 'meta'], 'readwrite', ({ collection, meta }) => {
+      collection.clear();
+      meta.clear();
+    })
+  };
+};
+
+/**
+ * localStorage backend using the legacy keys, for browsers without IndexedDB.
+ * Collection writes still re-serialize the whole array here.
+ * @returns {Object} Backend
+ */
+const createLocalStorageBackend = () => {
+  let cards = new Map();
+
+  const writeCollection = () => {
+    localStorage.setItem(LEGACY_COLLECTION_KEY, JSON.stringify(Array.from(cards.values())));
+  };
+
+  return {
+    name: 'localstorage',
+    load: async () => {
+      const legacy = readLegacySave();
+      cards = new Map(legacy.collection.map(card => [card.id, card]));
+      return {
+        collection: legacy.collection,
+        money: legacy.money,
+        ledger: legacy.ledger,
+        packInventory: legacy.packInventory,
+        lastFreePack: legacy.lastFreePack,
+        pendingOpenedCards: legacy.pendingOpenedCards,
+        packHistory: legacy.packHistory,
+        languagePreferences: legacy.languagePreferences,
+        priceHistory: legacy.priceHistory,
+        currency: legacy.currency
+      };
+    },
+    putCards: async (added) => {
+      for (const card of added) cards.set(card.id, card);
+      writeCollection();
+    },
+    deleteCards: async (ids) => {
+      for (const id of ids) cards.delete(id);
+      writeCollection();
+    },
+    setMeta: async (key, value) => {
+      const storageKey = SAVE_KEYS[key] || key;
+      if (value === null || value === undefined) {
+        localStorage.removeItem(storageKey);
+      } else {
+        localStorage.setItem(storageKey, typeof value === 'string' || typeof value === 'number' ? String(value) : JSON.stringify(value));
+      }
+    },
+    clear: async () => {
+      cards = new Map();
+      localStorage.removeItem(LEGACY_COLLECTION_KEY);
+      Object.values(SAVE_KEYS).forEach(key => localStorage.removeItem(key));
+    }
+  };
+};
+
+let backendPromise = null;
+
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = createIdbBackend().catch((error) => {
+      logger.warn('IndexedDB unavailable for save data, falling back to localStorage', { error: error.message });
+      return createLocalStorageBackend();
+    });
+  }
+  return backendPromise;
+};
+
+// Writes are chained so they land in the order the app issued them
+let writeQueue = Promise.resolve();
+
+const enqueueWrite = (write) => {
+  const next = writeQueue.then(async () => write(await getBackend()));
+  writeQueue = next.catch(() => {});
+  return next;
+};
+
+/**
+ * Loads the saved game state, migrating legacy localStorage saves on first run.
+ * @returns {Promise<Object>} { collection, ledger, packInventory, lastFreePack, pendingOpenedCards, packHistory, languagePreferences, priceHistory, currency }
+ *   ledger is null for a new player; lastFreePack is an ISO string or null.
+ */
+export const loadSaveData = async () => {
+  const backend = await getBackend();
+  try {
+    const { money, ...saved } = await backend.load();
+    const ledger = readLedger(saved.ledger, money);
+    if (ledger && !saved.ledger) {
+      logger.log('Carried saved money over into the money ledger', { money, balance: ledger.balance });
+      // The ledger is written before the old value goes, so the money is never lost
+      enqueueWrite(async (target) => {
+        await target.setMeta('ledger', ledger);
+        await target.setMeta('money', null);
+      }).catch(error => logger.error('Failed saving the migrated money ledger', error));
+    }
+    return {
+      ...saved,
+      ledger,
+      packInventory: migratePackInventory(saved.packInventory),
+      packHistory: migratePackHistory(saved.packHistory)
+    };
+  } catch (error) {
+    logger.error('Failed loading save data', error);
+    throw error;
+  }
+};
+
+/**
+ * Stores (adds or replaces) collection entries.
+ * @param {Array} cards - Card instances (keyed by id)
+ * @returns {Promise<void>}
+ */
+export const putCollectionCards = (cards) => (cards.length === 0 ? Promise.resolve() : enqueueWrite(backend => backend.putCards(cards)));
+
+/**
+ * Removes collection entries by instance id.
+ * @param {Array} ids - Card instance ids
+ * @returns {Promise<void>}
+ */
+export const deleteCollectionCards = (ids) => (ids.length === 0 ? Promise.resolve() : enqueueWrite(backend => backend.deleteCards(ids)));
+
+/**
+ * Stores a small save value.
+ * @param {string} key - One of the SAVE_KEYS names (ledger, packInventory, lastFreePack, pendingOpenedCards, packHistory, ...)
+ * @param {any} value - JSON-serializable value; null removes it
+ * @returns {Promise<void>}
+ */
+export const saveValue = (key, value) => enqueueWrite(backend => backend.setMeta(key, value));
+
+/**
+ * Deletes every saved value and collection entry.
+ * @returns {Promise<void>}
+ */
+export const clearSaveData = () => enqueueWrite(backend => backend.clear());
+
+/**
+ * Diffs two collection snapshots by instance id.
+ * @param {Array} previous - Previous collection
+ * @param {Array} next - New collection
+ * @returns {{ added: Array, removedIds: Array }} Entries to write and ids to delete
+ */
+export const diffCollections = (previous, next) => {
+  const previousById = new Map(previous.map(card => [card.id, card]));
+  const nextIds = new Set();
+  const added = [];
+  for (const card of next) {
+    nextIds.add(card.id);
+    // Unchanged entries keep their object identity, so a reference check finds edits cheaply
+    if (previousById.get(card.id) !== card) added.push(card);
+  }
+  const removedIds = previous.filter(card => !nextIds.has(card.id)).map(card => card.id);
+  return { added, removedIds };
+};
@@ -10,22 +10,48 @@
  * @returns {Promise<Object>} An object where keys are booster codes and values are booster pack details.
  */
 import { BOOSTERS } from './data/boosters';
+import { validateBoosters } from './booster-validator';
+import { fetchBoosterDefinitions, mergeBoosterDefinitions } from './booster-definitions';
+import { getCardFinish } from './card-treatments';
+import { isValidCardMetadata } from './card-metadata';
+import { DEFAULT_LANGUAGE, getCardLanguage } from './card-languages';
+import { PRODUCT_TYPE_LABELS, getPackKey, getProductType } from './booster-products';
 
 /**
- * Loads booster pack data from the boosters module.
- * @returns {Promise<Object>} An object where keys are booster codes (lowercase) and values are booster pack details.
+ * Loads booster pack data from the boosters module, merged with the runtime definitions in
+ * public/assets/boosters.json. Boosters that fail validation (see booster-validator.js) are left out and their problems logged.
+ * @param {Object} [options]
+ * @param {Function} [options.imageExists] - Async check for an image path under public/assets/
+ * @param {Function} [options.onProblems] - Called with the list of problems when any booster is invalid
+ * @param {Function} [options.loadDefinitions] - Async loader of runtime definitions merged over the
+ *   built-in ones (defaults to fetching public/assets/boosters.json, see booster-definitions.js)
+ * @returns {Promise<Object>} An object where keys are pack keys ("<code>-<type>", see booster-products.js)
+ *   and values are booster pack details.
  */
-export const loadBoosters = async () => {
+export const loadBoosters = async ({ imageExists, onProblems, loadDefinitions = fetchBoosterDefinitions } = {}) => {
   try {
-    // BOOSTERS is a static array; map to the object shape used by the app
-    const boostersObject = BOOSTERS.reduce((acc, booster) => {
-      acc[booster.code.toLowerCase()] = {
-        name: booster.name,
+    const boosters = mergeBoosterDefinitions(BOOSTERS, await loadDefinitions());
+    const { valid, problems } = await validateBoosters(boosters, imageExists ? { imageExists } : {});
+    if (problems.length > 0) {
+      logger.warn(`Invalid booster configuration, ${boosters.length - valid.length} booster(s) left out of the Store:\n${problems.join('\n')}`);
+      if (onProblems) onProblems(problems);
+    }
+
+    // Map the merged definitions to the object shape used by the app
+    const boostersObject = valid.reduce((acc, booster) => {
+      const type = getProductType(booster);
+      acc[getPackKey(booster.code, type)] = {
+        name: `${booster.name} ${PRODUCT_TYPE_LABELS[type]}`,
+        setName: booster.name,
+        type,
+        typeLabel: PRODUCT_TYPE_LABELS[type],
         image: `${process.env.PUBLIC_URL}/assets/${booster.image}`,
         price: booster.price,
         setCode: booster.code,
         // expose slot config so per-pack odds/logic can be customized
-        slots: booster.slots
+        slots: booster.slots,
+        // print sheets the slots collate from, if any (see print-sheets.js)
+        printSheets: booster.printSheets || null
       };
       return acc;
     }, {});
@@ -39,7 +65,7 @@ export const loadBoosters = async () => {
 /**
  * Gets the hex color for a given card rarity.
  * 
- * @param {string} rarity - The card rarity ('common', 'uncommon', 'rare', 'mythic')
+ * @param {string} rarity - The card rarity ('common', 'uncommon', 'rare', 'mythic', 'bonus')
  * @returns {string} The hex color code for the rarity
  */
 export const getRarityColor = (rarity) => {
@@ -47,7 +73,8 @@ export const getRarityColor = (rarity) => {
     common: '#999999',
     uncommon: '#33cc33',
     rare: '#ffcc00',
-    mythic: '#ff6600'
+    mythic: '#ff6600',
+    bonus: '#66ccff'
   };
 
   return rarityColors[rarity] || rarityColors.common;
@@ -56,7 +83,7 @@ export const getRarityColor = (rarity) => {
 /**
  * Gets the rgba color for a given card rarity (used for aura effects).
  * 
- * @param {string} rarity - The card rarity ('common', 'uncommon', 'rare', 'mythic')
+ * @param {string} rarity - The card rarity ('common', 'uncommon', 'rare', 'mythic', 'bonus')
  * @returns {string} The rgba color code for the rarity
  */
 export const getAuraColor = (rarity) => {
@@ -64,7 +91,8 @@ export const getAuraColor = (rarity) => {
     common: 'rgba(153, 153, 153, 0.6)',
     uncommon: 'rgba(51, 204, 51, 0.6)',
     rare: 'rgba(255, 204, 0, 0.6)',
-    mythic: 'rgba(255, 102, 0, 0.6)'
+    mythic: 'rgba(255, 102, 0, 0.6)',
+    bonus: 'rgba(102, 204, 255, 0.6)'
   };
 
   return auraColors[rarity] || auraColors.common;
@@ -77,7 +105,8 @@ export const getAuraColor = (rarity) => {
  * @returns {boolean} Whether the rarity is valid
  */
 export const isValidRarity = (rarity) => {
-  const validRarities = ['common', 'uncommon', 'rare', 'mythic'];
+  // 'bonus' covers non-playable cards: tokens, emblems and art series cards
+  const validRarities = ['common', 'uncommon', 'rare', 'mythic', 'bonus'];
   return validRarities.includes(rarity);
 };
 
@@ -90,11 +119,33 @@ export const validateCard = (card) => {
   if (!card) return false;
   if (typeof card.id === 'undefined') return false;
   if (!card.name || typeof card.name !== 'string') return false;
-  if (!card.rarity || typeof card.rarity !== 'string') return false;
+  if (!isValidRarity(card.rarity)) return false;
   if (!card.image || typeof card.image !== 'string') return false;
+  // Metadata fields are optional (older saves are backfilled lazily) but must be well-formed
+  if (!isValidCardMetadata(card)) return false;
+  if (card.lang !== undefined && typeof card.lang !== 'string') return false;
+  // Set by the price refresh (see price-history.js)
+  if (card.obtainedPrice !== undefined && (typeof card.obtainedPrice !== 'number' || !Number.isFinite(card.obtainedPrice))) return false;
+  if (card.priceUpdatedAt !== undefined && typeof card.priceUpdatedAt !== 'string') return false;
+  // Price fields per currency (see currencies.js)
+  const isPriceFields = (prices) => prices === undefined
+    || (prices !== null && typeof prices === 'object' && Object.values(prices).every(amount => amount === null || (typeof amount === 'number' && Number.isFinite(amount))));
+  if (!isPriceFields(card.prices) || !isPriceFields(card.obtainedPrices)) return false;
   return true;
 };
 
+/**
+ * Key that groups copies of the same card in the collection (name, set, language and finish).
+ * The finish always comes last, and English cards leave the language out,
+ * e.g. "Lightning Bolt-Magic 2010-etched" or "Lightning Bolt-Magic 2010-ja-etched".
+ * @param {object} card - Collection card
+ * @returns {string} Group key
+ */
+export const getCardGroupKey = (card) => {
+  const lang = getCardLanguage(card);
+  return `${card.name}-${card.set || 'unknown'}${lang === DEFAULT_LANGUAGE ? '' : `-${lang}`}-${getCardFinish(card)}`;
+};
+
 /**
  * Enhanced logging utility for debugging crashes and performance issues
  */